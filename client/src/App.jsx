@@ -3,6 +3,7 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import Login from './components/Auth/Login';
 import Register from './components/Auth/Register';
 import Dashboard from './pages/Dashboard';
+import PublicShare from './pages/PublicShare';
 import { initSocket, disconnectSocket } from './services/syncService';
 import useAuthStore from './stores/authStore';
 
@@ -40,6 +41,7 @@ function App() {
                 />
                 <Route path="/login" element={<Login />} />
                 <Route path="/register" element={<Register />} />
+                <Route path="/s/:token" element={<PublicShare />} />
                 <Route
                     path="/dashboard"
                     element={
@@ -0,0 +1,37 @@
+import React from 'react';
+import './Breadcrumb.css';
+
+function Breadcrumb({ path, onNavigate }) {
+    const segments = path.split('/').filter(Boolean);
+
+    return (
+        <nav className="breadcrumb" aria-label="Folder path">
+            <button
+                className={`breadcrumb-item ${segments.length === 0 ? 'current' : ''}`}
+                onClick={() => onNavigate('/')}
+                disabled={segments.length === 0}
+            >
+                🏠 Home
+            </button>
+            {segments.map((segment, index) => {
+                const segmentPath = '/' + segments.slice(0, index + 1).join('/');
+                const isCurrent = index === segments.length - 1;
+
+                return (
+                    <React.Fragment key={segmentPath}>
+                        <span className="breadcrumb-separator">/</span>
+                        <button
+                            className={`breadcrumb-item ${isCurrent ? 'current' : ''}`}
+                            onClick={() => onNavigate(segmentPath)}
+                            disabled={isCurrent}
+                        >
+                            {segment}
+                        </button>
+                    </React.Fragment>
+                );
+            })}
+        </nav>
+    );
+}
+
+export default Breadcrumb;
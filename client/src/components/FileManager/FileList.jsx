@@ -1,52 +1,90 @@
 import React from 'react';
 import useAuthStore from '../../stores/authStore';
-import { fileAPI } from '../../services/api';
-import { formatFileSize, formatDate, getFileIcon, getFileExtension } from '../../utils/fileUtils';
-import pako from 'pako';
+import { fileAPI, folderAPI, getThumbnailUrl, getStreamUrl, downloadArchive } from '../../services/api';
+import uploadService from '../../services/uploadService';
+import { formatFileSize, formatDate, getFileIcon, getFileExtension, downloadFromUrl, canPreview } from '../../utils/fileUtils';
 import ShareModal from './ShareModal';
+import VersionDrawer from './VersionDrawer';
+import TagsModal from './TagsModal';
+import PreviewModal from './PreviewModal';
+import { highlightMatches } from './SearchBar';
 import './FileList.css';
 
-function FileList({ files, onFileDeleted, showOwner = false }) {
-    const { user, setUser } = useAuthStore();
+/**
+ * Roles from least to most access; each unlocks the actions of the ones before
+ */
+const ROLE_RANK = { 'viewer': 1, 'commenter': 2, 'editor': 3, 'co-owner': 4, 'owner': 5 };
+
+const ROLE_LABELS = { 'viewer': 'Viewer', 'commenter': 'Commenter', 'editor': 'Editor', 'co-owner': 'Co-owner' };
+
+function FileList({
+    files,
+    folders = [],
+    onFileDeleted,
+    onFileMoved,
+    onOpenFolder,
+    onFoldersChanged,
+    onVersionUploaded,
+    onFileUpdated,
+    onTagClick,
+    showOwner = false,
+    showPath = false,
+    workspaceOwner,
+    searchText = '',
+    workspaceRole = 'owner',
+    emptyText = 'No files yet',
+    emptySubtext = 'Upload your first file to get started',
+    hasMore = false,
+    loadingMore = false,
+    onLoadMore,
+    view = 'list',
+    selectedIds,
+    onToggleSelect,
+}) {
+    const { user, setUser, refreshUser } = useAuthStore();
     const [deleting, setDeleting] = React.useState(null);
     const [shareModalOpen, setShareModalOpen] = React.useState(false);
     const [sharingFile, setSharingFile] = React.useState(null);
+    const [sharingFolder, setSharingFolder] = React.useState(null);
+    const [versionsFile, setVersionsFile] = React.useState(null);
+    const [taggingFile, setTaggingFile] = React.useState(null);
+    const [previewing, setPreviewing] = React.useState(null); // { file, version }
+    const [renaming, setRenaming] = React.useState(null);
+    const [renameValue, setRenameValue] = React.useState('');
+    const renameCancelledRef = React.useRef(false);
+    const [uploadingVersion, setUploadingVersion] = React.useState(null);
+    const versionControllerRef = React.useRef(null);
+    const versionInputRef = React.useRef(null);
+    const versionTargetRef = React.useRef(null);
+    const loadMoreRef = React.useRef(null);
+    const onLoadMoreRef = React.useRef(onLoadMore);
+    onLoadMoreRef.current = onLoadMore;
 
-    const handleDownload = async (file) => {
-        try {
-            const fileId = file.id || file._id;
-            const response = await fileAPI.download(fileId);
-            const { downloadUrl } = response.data;
-
-            // Fetch file from S3
-            const fileResponse = await fetch(downloadUrl);
-            const blob = await fileResponse.blob();
-
-            // Decompress if needed
-            let finalBlob = blob;
-            if (file.isCompressed) {
-                const arrayBuffer = await blob.arrayBuffer();
-                const decompressed = pako.ungzip(new Uint8Array(arrayBuffer));
-                finalBlob = new Blob([decompressed], { type: file.mimeType });
+    // Infinite scroll: load the next page when the end of the list comes into view
+    React.useEffect(() => {
+        const sentinel = loadMoreRef.current;
+        if (!hasMore || !sentinel) {
+            return;
+        }
+
+        const observer = new IntersectionObserver((entries) => {
+            if (entries[0].isIntersecting && onLoadMoreRef.current) {
+                onLoadMoreRef.current();
             }
+        }, { rootMargin: '200px' });
 
-            // Download the file
-            const url = window.URL.createObjectURL(finalBlob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = file.filename;
-            document.body.appendChild(a);
-            a.click();
-            window.URL.revokeObjectURL(url);
-            document.body.removeChild(a);
-        } catch (error) {
-            console.error('Download error:', error);
-            alert('Failed to download file');
-        }
+        observer.observe(sentinel);
+        return () => observer.disconnect();
+    }, [hasMore, files?.length]);
+
+    // Download the current version, or a specific entry from the version
+    // history, streamed (and decompressed) by the server
+    const handleDownload = (file, version = null) => {
+        downloadFromUrl(getStreamUrl(file, version?.version), file.filename);
     };
 
     const handleDelete = async (file) => {
-        if (!confirm(`Are you sure you want to delete "${file.filename}"?`)) {
+        if (!confirm(`Move "${file.filename}" to the trash?`)) {
             return;
         }
 
@@ -78,71 +116,398 @@ function FileList({ files, onFileDeleted, showOwner = false }) {
         }
     };
 
+    const handleMove = async (file) => {
+        const destination = prompt(`Move "${file.filename}" to folder:`, file.path || '/');
+        if (destination === null) {
+            return;
+        }
+
+        const fileId = file.id || file._id;
+        try {
+            const response = await fileAPI.move(fileId, destination);
+
+            if (onFileMoved) {
+                onFileMoved(fileId, response.data.file.path);
+            }
+        } catch (error) {
+            console.error('Move error:', error);
+            alert(error.response?.data?.error || 'Failed to move file');
+        }
+    };
+
+    // Inline rename: the name turns into an input, Enter or leaving it saves
+    const startRename = (file) => {
+        renameCancelledRef.current = false;
+        setRenaming(file.id || file._id);
+        setRenameValue(file.filename);
+    };
+
+    const handleRename = async (file) => {
+        const name = renameValue.trim();
+        setRenaming(null);
+
+        if (renameCancelledRef.current || !name || name === file.filename) {
+            return;
+        }
+
+        try {
+            const response = await fileAPI.rename(file.id || file._id, name);
+
+            if (onFileUpdated) {
+                onFileUpdated(response.data.file);
+            }
+        } catch (error) {
+            console.error('Rename error:', error);
+            alert(error.response?.data?.error || 'Failed to rename file');
+        }
+    };
+
+    const handleRenameKeyDown = (e) => {
+        if (e.key === 'Enter') {
+            e.target.blur(); // Saves through onBlur
+        } else if (e.key === 'Escape') {
+            renameCancelledRef.current = true;
+            e.target.blur();
+        }
+    };
+
+    const handleRenameFolder = async (folder) => {
+        const name = prompt('Rename folder:', folder.name);
+        if (!name || name === folder.name) {
+            return;
+        }
+
+        try {
+            await folderAPI.rename(folder.id || folder._id, name);
+            if (onFoldersChanged) {
+                onFoldersChanged();
+            }
+        } catch (error) {
+            console.error('Rename folder error:', error);
+            alert(error.response?.data?.error || 'Failed to rename folder');
+        }
+    };
+
+    const handleMoveFolder = async (folder) => {
+        const destination = prompt(`Move folder "${folder.name}" to:`, folder.path || '/');
+        if (destination === null) {
+            return;
+        }
+
+        try {
+            await folderAPI.move(folder.id || folder._id, destination);
+            if (onFoldersChanged) {
+                onFoldersChanged();
+            }
+        } catch (error) {
+            console.error('Move folder error:', error);
+            alert(error.response?.data?.error || 'Failed to move folder');
+        }
+    };
+
+    const handleDeleteFolder = async (folder) => {
+        if (!confirm(`Delete folder "${folder.name}" and move everything inside it to the trash?`)) {
+            return;
+        }
+
+        const folderId = folder.id || folder._id;
+        setDeleting(folderId);
+
+        try {
+            await folderAPI.delete(folderId);
+
+            if (onFoldersChanged) {
+                onFoldersChanged();
+            }
+        } catch (error) {
+            console.error('Delete folder error:', error);
+            alert(error.response?.data?.error || 'Failed to delete folder');
+        } finally {
+            setDeleting(null);
+        }
+    };
+
     const handleShare = async (file) => {
         setSharingFile(file);
         setShareModalOpen(true);
     };
 
-    const handleShareSubmit = async (email) => {
+    const handleShareSubmit = async (email, role) => {
         if (!sharingFile) return;
-        
+
         const fileId = sharingFile.id || sharingFile._id;
         try {
-            await fileAPI.share(fileId, email);
-            alert(`File "${sharingFile.filename}" shared successfully with ${email}`);
+            await fileAPI.share(fileId, email, role);
         } catch (error) {
             throw new Error(error.response?.data?.error || 'Failed to share file');
         }
     };
 
+    // Folders are shared through public links only
+    const handleShareFolder = (folder) => {
+        setSharingFolder(folder);
+        setShareModalOpen(true);
+    };
+
     const handleCloseShareModal = () => {
         setShareModalOpen(false);
         setSharingFile(null);
+        setSharingFolder(null);
+    };
+
+    // Ask for a file to upload as the new version of `file`
+    const handleUploadVersion = (file) => {
+        versionTargetRef.current = file;
+        versionInputRef.current?.click();
+    };
+
+    const handleVersionSelected = async (e) => {
+        const selected = e.target.files?.[0];
+        const target = versionTargetRef.current;
+        e.target.value = '';
+
+        if (!selected || !target) {
+            return;
+        }
+
+        const fileId = target.id || target._id;
+        const controller = new AbortController();
+        versionControllerRef.current = controller;
+        setUploadingVersion(fileId);
+
+        try {
+            await uploadService.uploadFile(selected, { versionOf: fileId, signal: controller.signal });
+
+            if (onVersionUploaded) {
+                onVersionUploaded(fileId);
+            }
+        } catch (error) {
+            if (controller.signal.aborted) {
+                // Chunk requests have stopped, now abort the upload on the server
+                await uploadService.discardUpload(selected, { versionOf: fileId });
+                refreshUser();
+            } else {
+                console.error('Upload version error:', error);
+                alert(error.response?.data?.error || error.message || 'Failed to upload new version');
+            }
+        } finally {
+            versionControllerRef.current = null;
+            setUploadingVersion(null);
+        }
     };
 
-    // Check if file can be shared (only owner can share)
-    const canShareFile = (file) => {
-        return user && file.owner && (file.owner._id === user._id || file.owner === user._id);
+    const handleCancelVersionUpload = () => {
+        versionControllerRef.current?.abort('cancelled');
     };
 
-    if (!files || files.length === 0) {
+    // The user's role on a file: 'owner', the role it was shared with, or
+    // the role their team role grants on the files of a team workspace
+    const getRole = (file) => {
+        const userId = user?.id || user?._id;
+        const isOwner = userId && file.owner && (file.owner._id === userId || file.owner === userId);
+        return isOwner ? 'owner' : (file.role || workspaceRole);
+    };
+
+    const hasRole = (file, minimumRole) => (ROLE_RANK[getRole(file)] || 0) >= ROLE_RANK[minimumRole];
+
+    // Sharing, moving and deleting need owner or co-owner access
+    const canManageFile = (file) => hasRole(file, 'co-owner');
+
+    // New versions can be uploaded or restored by editors and above
+    const canEditFile = (file) => hasRole(file, 'editor');
+
+    // Owners are shown for files from outside the open workspace
+    const isSharedFile = (file) => (file.owner._id || file.owner) !== workspaceOwner;
+
+    // Images show their thumbnail once it has been generated
+    const hasThumbnail = (file) => Boolean(file.hasThumbnails);
+
+    // Folders belong to the workspace
+    const canManageFolders = (ROLE_RANK[workspaceRole] || 0) >= ROLE_RANK['co-owner'];
+
+    if ((!files || files.length === 0) && folders.length === 0) {
         return (
             <div className="file-list-empty glass-card">
                 <div className="empty-icon">📭</div>
-                <p className="empty-text">No files yet</p>
-                <p className="empty-subtext">Upload your first file to get started</p>
+                <p className="empty-text">{emptyText}</p>
+                <p className="empty-subtext">{emptySubtext}</p>
             </div>
         );
     }
 
     return (
         <>
-            <div className="file-list">
+            <div className={`file-list ${view === 'grid' ? 'file-grid' : ''}`}>
+                {folders.map((folder) => (
+                    <div
+                        key={folder.id || folder._id}
+                        className="file-item folder-item glass-card fade-in"
+                        onClick={() => onOpenFolder && onOpenFolder(folder.fullPath)}
+                    >
+                        <div className="file-icon">📁</div>
+
+                        <div className="file-info">
+                            <div className="file-name">{folder.name}</div>
+                            <div className="file-meta">
+                                <span>Folder</span>
+                                <span>•</span>
+                                <span>{formatDate(folder.createdAt)}</span>
+                            </div>
+                        </div>
+
+                        <div className="file-actions" onClick={(e) => e.stopPropagation()}>
+                            <button
+                                className="btn-icon"
+                                onClick={() => downloadArchive({ path: folder.fullPath })}
+                                title="Download as ZIP"
+                            >
+                                📦
+                            </button>
+                            {canManageFolders && (
+                                <>
+                                    <button
+                                        className="btn-icon"
+                                        onClick={() => handleRenameFolder(folder)}
+                                        title="Rename"
+                                    >
+                                        ✏️
+                                    </button>
+                                    <button
+                                        className="btn-icon"
+                                        onClick={() => handleMoveFolder(folder)}
+                                        title="Move"
+                                    >
+                                        📂
+                                    </button>
+                                    <button
+                                        className="btn-icon"
+                                        onClick={() => handleShareFolder(folder)}
+                                        title="Share link"
+                                    >
+                                        🔗
+                                    </button>
+                                    <button
+                                        className="btn-icon btn-icon-danger"
+                                        onClick={() => handleDeleteFolder(folder)}
+                                        disabled={deleting === (folder.id || folder._id)}
+                                        title="Delete"
+                                    >
+                                        {deleting === (folder.id || folder._id) ? '⏳' : '🗑️'}
+                                    </button>
+                                </>
+                            )}
+                        </div>
+                    </div>
+                ))}
                 {files.map((file) => (
-                    <div key={file.id || file._id} className="file-item glass-card fade-in">
+                    <div
+                        key={file.id || file._id}
+                        className={`file-item glass-card fade-in ${selectedIds?.includes(file.id || file._id) ? 'file-selected' : ''}`}
+                    >
+                    {onToggleSelect && (
+                        <input
+                            type="checkbox"
+                            className="file-select"
+                            checked={selectedIds.includes(file.id || file._id)}
+                            onChange={() => onToggleSelect(file)}
+                            title="Select"
+                        />
+                    )}
                     <div className="file-icon">
-                        {getFileIcon(file.mimeType)}
-                        {getFileExtension(file.filename) && (
-                            <span className="file-extension">{getFileExtension(file.filename)}</span>
+                        {hasThumbnail(file) ? (
+                            <img
+                                className="file-thumbnail"
+                                src={getThumbnailUrl(file, view === 'grid' ? 'medium' : 'small')}
+                                alt=""
+                                loading="lazy"
+                            />
+                        ) : (
+                            <>
+                                {getFileIcon(file.mimeType)}
+                                {getFileExtension(file.filename) && (
+                                    <span className="file-extension">{getFileExtension(file.filename)}</span>
+                                )}
+                            </>
                         )}
                     </div>
 
                     <div className="file-info">
-                        <div className="file-name">{file.filename}</div>
+                        {renaming === (file.id || file._id) ? (
+                            <input
+                                className="input file-rename-input"
+                                value={renameValue}
+                                onChange={(e) => setRenameValue(e.target.value)}
+                                onKeyDown={handleRenameKeyDown}
+                                onBlur={() => handleRename(file)}
+                                maxLength={255}
+                                autoFocus
+                            />
+                        ) : (
+                            <div
+                                className="file-name"
+                                onDoubleClick={() => canManageFile(file) && startRename(file)}
+                            >
+                                {file.filename}
+                            </div>
+                        )}
                         <div className="file-meta">
                             <span>{formatFileSize(file.size)}</span>
                             <span>•</span>
                             <span>{formatDate(file.createdAt)}</span>
-                            {showOwner && file.owner && (
+                            {file.version > 1 && (
                                 <>
                                     <span>•</span>
-                                    <span>Shared by {file.owner.username || file.owner.email}</span>
+                                    <span>v{file.version}</span>
+                                </>
+                            )}
+                            {showPath && (
+                                <>
+                                    <span>•</span>
+                                    <span>📁 {file.path || '/'}</span>
+                                </>
+                            )}
+                            {showOwner && file.owner && isSharedFile(file) && (
+                                <>
+                                    <span>•</span>
+                                    <span>Shared by {file.owner.username || file.owner.name || file.owner.email}</span>
+                                    {ROLE_LABELS[file.role] && (
+                                        <>
+                                            <span>•</span>
+                                            <span>{ROLE_LABELS[file.role]}</span>
+                                        </>
+                                    )}
                                 </>
                             )}
                         </div>
+                        {file.tags?.length > 0 && (
+                            <div className="tag-list">
+                                {file.tags.map((tag) => (
+                                    <button
+                                        key={tag}
+                                        className="file-tag"
+                                        onClick={() => onTagClick && onTagClick(tag)}
+                                        title={`Find files tagged ${tag}`}
+                                    >
+                                        #{tag}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+                        {file.snippet && (
+                            <div className="file-snippet">{highlightMatches(file.snippet, searchText)}</div>
+                        )}
                     </div>
 
                     <div className="file-actions">
+                        {canPreview(file) && (
+                            <button
+                                className="btn-icon"
+                                onClick={() => setPreviewing({ file, version: null })}
+                                title="Preview"
+                            >
+                                👁️
+                            </button>
+                        )}
                         <button
                             className="btn-icon"
                             onClick={() => handleDownload(file)}
@@ -150,7 +515,41 @@ function FileList({ files, onFileDeleted, showOwner = false }) {
                         >
                             ⬇️
                         </button>
-                        {canShareFile(file) && (
+                        <button
+                            className="btn-icon"
+                            onClick={() => setVersionsFile(file)}
+                            title="Version history"
+                        >
+                            🕘
+                        </button>
+                        {canEditFile(file) && (uploadingVersion === (file.id || file._id) ? (
+                            <button
+                                className="btn-icon btn-icon-danger"
+                                onClick={handleCancelVersionUpload}
+                                title="Cancel new version upload"
+                            >
+                                ✕
+                            </button>
+                        ) : (
+                            <button
+                                className="btn-icon"
+                                onClick={() => handleUploadVersion(file)}
+                                disabled={uploadingVersion !== null}
+                                title="Upload new version"
+                            >
+                                ⬆️
+                            </button>
+                        ))}
+                        {canEditFile(file) && (
+                            <button
+                                className="btn-icon"
+                                onClick={() => setTaggingFile(file)}
+                                title="Tags and metadata"
+                            >
+                                🏷️
+                            </button>
+                        )}
+                        {canManageFile(file) && (
                             <button
                                 className="btn-icon"
                                 onClick={() => handleShare(file)}
@@ -159,27 +558,90 @@ function FileList({ files, onFileDeleted, showOwner = false }) {
                                 🤝
                             </button>
                         )}
-                        {canShareFile(file) && (
+                        {canManageFile(file) && (
+                            <button
+                                className="btn-icon"
+                                onClick={() => startRename(file)}
+                                title="Rename"
+                            >
+                                ✏️
+                            </button>
+                        )}
+                        {canManageFile(file) && (
+                            <button
+                                className="btn-icon"
+                                onClick={() => handleMove(file)}
+                                title="Move"
+                            >
+                                📂
+                            </button>
+                        )}
+                        {canManageFile(file) && (
                             <button
                                 className="btn-icon btn-icon-danger"
                                 onClick={() => handleDelete(file)}
-                                disabled={deleting === file.id}
+                                disabled={deleting === (file.id || file._id)}
                                 title="Delete"
                             >
-                                {deleting === file.id ? '⏳' : '🗑️'}
+                                {deleting === (file.id || file._id) ? '⏳' : '🗑️'}
                             </button>
                         )}
                     </div>
                     </div>
                 ))}
             </div>
-            
+
+            {hasMore && (
+                <div ref={loadMoreRef} className="file-list-more">
+                    {loadingMore ? <div className="spinner" /> : (
+                        <button className="btn btn-secondary" onClick={onLoadMore}>
+                            Load more
+                        </button>
+                    )}
+                </div>
+            )}
+
+            <input
+                ref={versionInputRef}
+                type="file"
+                onChange={handleVersionSelected}
+                style={{ display: 'none' }}
+            />
+
             <ShareModal
                 isOpen={shareModalOpen}
                 onClose={handleCloseShareModal}
                 onShare={handleShareSubmit}
-                fileName={sharingFile?.filename || ''}
+                file={sharingFile}
+                folder={sharingFolder}
             />
+
+            {versionsFile && (
+                <VersionDrawer
+                    file={versionsFile}
+                    onClose={() => setVersionsFile(null)}
+                    onDownload={(version) => handleDownload(versionsFile, version)}
+                    onPreview={canPreview(versionsFile) ? (version) => setPreviewing({ file: versionsFile, version }) : undefined}
+                    canRestore={canEditFile(versionsFile)}
+                />
+            )}
+
+            {previewing && (
+                <PreviewModal
+                    file={previewing.file}
+                    version={previewing.version}
+                    onClose={() => setPreviewing(null)}
+                    onDownload={() => handleDownload(previewing.file, previewing.version)}
+                />
+            )}
+
+            {taggingFile && (
+                <TagsModal
+                    file={taggingFile}
+                    onClose={() => setTaggingFile(null)}
+                    onSaved={(updated) => onFileUpdated && onFileUpdated(updated)}
+                />
+            )}
         </>
     );
 }
@@ -1,312 +1,316 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import useAuthStore from '../../stores/authStore';
-import { fileAPI, uploadToS3 } from '../../services/api';
-import { chunkFile, calculateFileHash, calculateChunkHash, formatFileSize } from '../../utils/fileUtils';
-import pako from 'pako';
+import uploadService from '../../services/uploadService';
+import { formatFileSize, collectDroppedFiles, getRelativeDir } from '../../utils/fileUtils';
 import './FileUpload.css';
 
-function FileUpload({ onUploadComplete }) {
-    const { user, setUser } = useAuthStore();
-    const [selectedFile, setSelectedFile] = useState(null);
-    const [uploading, setUploading] = useState(false);
-    const [progress, setProgress] = useState(0);
+/**
+ * Number of files uploaded at the same time
+ */
+const MAX_PARALLEL_FILES = 2;
+
+const STATUS_LABELS = {
+    queued: 'Queued',
+    uploading: 'Uploading',
+    paused: 'Paused',
+    completed: 'Done',
+    failed: 'Failed',
+    cancelled: 'Cancelled',
+};
+
+let nextItemId = 1;
+
+/**
+ * Join the folder being viewed with a file's folder relative to the drop
+ */
+const getTargetPath = (basePath, relativeDir) => {
+    const segments = [...basePath.split('/'), ...relativeDir.split('/')].filter(Boolean);
+    return '/' + segments.join('/');
+};
+
+function FileUpload({ path = '/', onUploadComplete }) {
+    const { setUser, refreshUser } = useAuthStore();
+    const [queue, setQueue] = useState([]);
     const [dragActive, setDragActive] = useState(false);
-    const [error, setError] = useState('');
     const fileInputRef = useRef(null);
+    const folderInputRef = useRef(null);
+    const controllersRef = useRef({});
+    const completedSinceIdleRef = useRef(0);
 
-    const handleFileSelect = (file) => {
-        setSelectedFile(file);
-        setError('');
+    const updateItem = (id, changes) => {
+        setQueue((prev) => prev.map((item) => (item.id === id ? { ...item, ...changes } : item)));
     };
 
-    const handleDragEnter = (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        setDragActive(true);
-    };
-
-    const handleDragLeave = (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        setDragActive(false);
+    const enqueueFiles = (entries) => {
+        const items = entries.map(({ file, relativeDir }) => ({
+            id: nextItemId++,
+            file,
+            relativeDir,
+            path: getTargetPath(path, relativeDir),
+            status: 'queued',
+            progress: 0,
+            error: '',
+        }));
+
+        setQueue((prev) => [...prev, ...items]);
     };
 
-    const handleDragOver = (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-    };
-
-    const handleDrop = (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        setDragActive(false);
-
-        const files = e.dataTransfer.files;
-        if (files && files[0]) {
-            handleFileSelect(files[0]);
-        }
-    };
-
-    const handleInputChange = (e) => {
-        if (e.target.files && e.target.files[0]) {
-            handleFileSelect(e.target.files[0]);
-        }
-    };
-
-    // Check if file should be compressed (text-based files)
-    const shouldCompressFile = (file) => {
-        const textTypes = [
-            'text/',
-            'application/json',
-            'application/javascript',
-            'application/xml',
-            'application/x-javascript',
-            'application/typescript',
-        ];
-        return textTypes.some(type => file.type.startsWith(type) || file.type === type);
-    };
-
-    // Compress file using gzip
-    const compressFile = async (file) => {
-        const arrayBuffer = await file.arrayBuffer();
-        const compressed = pako.gzip(new Uint8Array(arrayBuffer));
-        return new Blob([compressed], { type: file.type });
-    };
-
-    const uploadFile = async () => {
-        if (!selectedFile) return;
-
-        setUploading(true);
-        setProgress(0);
-        setError('');
+    const startItem = async (item) => {
+        const controller = new AbortController();
+        controllersRef.current[item.id] = controller;
+        updateItem(item.id, { status: 'uploading', error: '' });
 
         try {
-            // Step 1: Check if file should be compressed
-            const shouldCompress = shouldCompressFile(selectedFile);
-            let fileToUpload = selectedFile;
-            const originalSize = selectedFile.size;
-
-            // Step 2: Compress file if it's a text file
-            if (shouldCompress) {
-                fileToUpload = await compressFile(selectedFile);
-                console.log(`Compressed ${selectedFile.name}: ${formatFileSize(originalSize)} -> ${formatFileSize(fileToUpload.size)}`);
-            }
-
-            // Step 3: Calculate file hash
-            const hash = await calculateFileHash(fileToUpload);
-
-            // Step 4: Initialize upload
-            const initResponse = await fileAPI.initUpload({
-                filename: selectedFile.name,
-                size: fileToUpload.size,
-                mimeType: selectedFile.type,
-                isCompressed: shouldCompress,
-                originalSize: shouldCompress ? originalSize : undefined,
+            const result = await uploadService.uploadFile(item.file, {
+                path: item.path,
+                signal: controller.signal,
+                onProgress: (progress) => updateItem(item.id, { progress }),
+                onStatus: (status) => {
+                    // Quota is reserved on the server once the upload starts
+                    if (status === 'uploading') {
+                        refreshUser();
+                    }
+                },
             });
 
-            const { fileId, uploadId } = initResponse.data;
-
-            // Step 5: Chunk the file (compressed or original)
-            const chunks = chunkFile(fileToUpload);
-
-            // Step 6: Calculate fingerprints for all chunks
-            console.log('Calculating chunk fingerprints...');
-            const chunkFingerprints = [];
-            for (let i = 0; i < chunks.length; i++) {
-                const fingerprint = await calculateChunkHash(chunks[i]);
-                chunkFingerprints.push({
-                    partNumber: i + 1,
-                    fingerprint,
+            // Update user storage in store if provided
+            const { user } = useAuthStore.getState();
+            if (result.user && user) {
+                setUser({
+                    ...user,
+                    storageUsed: result.user.storageUsed,
+                    storageReserved: result.user.storageReserved,
+                    storageQuota: result.user.storageQuota
                 });
             }
 
-            // Step 7: Check upload status to see which chunks are already uploaded
-            let uploadedChunks = [];
-            try {
-                const statusResponse = await fileAPI.getUploadStatus(fileId);
-                uploadedChunks = statusResponse.data.uploadedChunks || [];
-            } catch (error) {
-                // If upload status check fails, assume nothing is uploaded
-                console.log('No previous upload found, starting fresh');
+            completedSinceIdleRef.current++;
+            updateItem(item.id, { status: 'completed', progress: 100, verifying: result.verifying });
+        } catch (err) {
+            if (controller.signal.aborted && controller.signal.reason === 'paused') {
+                updateItem(item.id, { status: 'paused' });
+            } else if (controller.signal.aborted) {
+                // Chunk requests have stopped, now abort the upload on the server
+                updateItem(item.id, { status: 'cancelled' });
+                await uploadService.discardUpload(item.file, { path: item.path });
+                refreshUser();
+            } else {
+                console.error('Upload error:', err);
+                updateItem(item.id, {
+                    status: 'failed',
+                    error: err.response?.data?.error || err.message || 'Upload failed',
+                });
             }
+        } finally {
+            delete controllersRef.current[item.id];
+        }
+    };
 
-            // Step 8: Determine which chunks need to be uploaded
-            const chunksToUpload = chunkFingerprints.filter(({ partNumber, fingerprint }) => {
-                const alreadyUploaded = uploadedChunks.find(
-                    chunk => chunk.partNumber === partNumber && chunk.fingerprint === fingerprint
-                );
-                return !alreadyUploaded;
-            });
-
-            console.log(`Total chunks: ${chunks.length}, Already uploaded: ${uploadedChunks.length}, To upload: ${chunksToUpload.length}`);
-
+    // Start queued uploads while there is capacity
+    useEffect(() => {
+        const active = queue.filter((item) => item.status === 'uploading').length;
+        const next = queue
+            .filter((item) => item.status === 'queued')
+            .slice(0, Math.max(0, MAX_PARALLEL_FILES - active));
 
-            const parts = [];
-            let completedChunks = 0;
+        next.forEach(startItem);
 
-            // Step 9: Upload chunks in parallel (with concurrency limit)
-            const MAX_CONCURRENT_UPLOADS = 5;
-            const uploadPromises = [];
+        // Refresh the file list once the queue drains
+        if (active === 0 && next.length === 0 && completedSinceIdleRef.current > 0) {
+            completedSinceIdleRef.current = 0;
+            if (onUploadComplete) {
+                onUploadComplete();
+            }
+        }
+    }, [queue]);
 
-            for (let i = 0; i < chunksToUpload.length; i += MAX_CONCURRENT_UPLOADS) {
-                const batch = chunksToUpload.slice(i, i + MAX_CONCURRENT_UPLOADS);
+    const handlePause = (item) => {
+        controllersRef.current[item.id]?.abort('paused');
+    };
 
-                const batchPromises = batch.map(async ({ partNumber, fingerprint }) => {
-                    const chunk = chunks[partNumber - 1];
+    const handleResume = (item) => {
+        // The upload session was kept, so this picks up where it stopped
+        updateItem(item.id, { status: 'queued' });
+    };
 
-                    // Get pre-signed URL
-                    const urlResponse = await fileAPI.getPresignedUrl({
-                        fileId,
-                        uploadId,
-                        partNumber,
-                    });
+    const handleCancel = async (item) => {
+        if (item.status === 'uploading') {
+            controllersRef.current[item.id]?.abort('cancelled');
+            return;
+        }
 
-                    const { presignedUrl } = urlResponse.data;
+        updateItem(item.id, { status: 'cancelled' });
+        await uploadService.discardUpload(item.file, { path: item.path });
+        refreshUser();
+    };
 
-                    // Upload to S3
-                    const etag = await uploadToS3(presignedUrl, chunk);
+    const handleRetry = (item) => {
+        updateItem(item.id, { status: 'queued', progress: 0, error: '' });
+    };
 
-                    // Update progress
-                    completedChunks++;
-                    const currentProgress = Math.round(((uploadedChunks.length + completedChunks) / chunks.length) * 100);
-                    setProgress(currentProgress);
+    const handleRemove = (item) => {
+        setQueue((prev) => prev.filter((entry) => entry.id !== item.id));
+    };
 
-                    // Return part info with fingerprint
-                    return {
-                        partNumber,
-                        etag,
-                        size: chunk.size,
-                        fingerprint,
-                    };
-                });
+    const handleClearFinished = () => {
+        setQueue((prev) => prev.filter((item) => !['completed', 'cancelled'].includes(item.status)));
+    };
 
-                // Wait for this batch to complete before starting next batch
-                const batchResults = await Promise.all(batchPromises);
-                parts.push(...batchResults);
-            }
+    const handleDragEnter = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        setDragActive(true);
+    };
 
-            // Step 10: Add already uploaded chunks to parts array
-            uploadedChunks.forEach(chunk => {
-                parts.push(chunk);
-            });
+    const handleDragLeave = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        setDragActive(false);
+    };
 
-            // Sort parts by partNumber
-            parts.sort((a, b) => a.partNumber - b.partNumber);
+    const handleDragOver = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+    };
 
-            // Step 11: Complete upload
-            const completeResponse = await fileAPI.completeUpload({
-                fileId,
-                uploadId,
-                parts,
-                hash,
-            });
+    const handleDrop = async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        setDragActive(false);
 
-            // Update user storage in store if provided
-            if (completeResponse.data.user) {
-                if (user) {
-                    setUser({
-                        ...user,
-                        storageUsed: completeResponse.data.user.storageUsed,
-                        storageQuota: completeResponse.data.user.storageQuota
-                    });
-                }
+        try {
+            const entries = await collectDroppedFiles(e.dataTransfer);
+            if (entries.length > 0) {
+                enqueueFiles(entries);
             }
+        } catch (err) {
+            console.error('Error reading dropped files:', err);
+        }
+    };
 
-            // Success!
-            setProgress(100);
-            setSelectedFile(null);
-
-            if (onUploadComplete) {
-                onUploadComplete();
-            }
+    const handleInputChange = (e) => {
+        const files = [...(e.target.files || [])];
 
-            // Reset file input
-            if (fileInputRef.current) {
-                fileInputRef.current.value = '';
-            }
+        // Folder selection exposes each file's path inside the chosen folder
+        enqueueFiles(files.map((file) => ({
+            file,
+            relativeDir: getRelativeDir(file.webkitRelativePath),
+        })));
 
-        } catch (err) {
-            console.error('Upload error:', err);
-            setError(err.response?.data?.error || 'Upload failed. Please try again.');
-        } finally {
-            setUploading(false);
-        }
+        e.target.value = '';
     };
 
+    const finishedCount = queue.filter((item) => ['completed', 'cancelled'].includes(item.status)).length;
+
     return (
         <div className="file-upload glass-card">
             <div
-                className={`upload-dropzone ${dragActive ? 'active' : ''} ${uploading ? 'uploading' : ''}`}
+                className={`upload-dropzone ${dragActive ? 'active' : ''}`}
                 onDragEnter={handleDragEnter}
                 onDragLeave={handleDragLeave}
                 onDragOver={handleDragOver}
                 onDrop={handleDrop}
-                onClick={() => !uploading && fileInputRef.current?.click()}
+                onClick={() => fileInputRef.current?.click()}
             >
                 <input
                     ref={fileInputRef}
                     type="file"
+                    multiple
+                    onChange={handleInputChange}
+                    style={{ display: 'none' }}
+                />
+                <input
+                    ref={folderInputRef}
+                    type="file"
+                    webkitdirectory=""
+                    directory=""
                     onChange={handleInputChange}
                     style={{ display: 'none' }}
-                    disabled={uploading}
                 />
 
-                <div className="upload-icon">
-                    {uploading ? '⏳' : '☁️'}
-                </div>
+                <div className="upload-icon">☁️</div>
 
                 <div className="upload-text">
-                    {selectedFile ? (
-                        <>
-                            <p><strong>{selectedFile.name}</strong></p>
-                            <p className="upload-text-secondary">{formatFileSize(selectedFile.size)}</p>
-                        </>
-                    ) : (
-                        <>
-                            <p><strong>Drop files here or click to browse</strong></p>
-                            <p className="upload-text-secondary">Support for all file types</p>
-                        </>
-                    )}
+                    <p><strong>Drop files or folders here or click to browse</strong></p>
+                    <p className="upload-text-secondary">
+                        Support for all file types •{' '}
+                        <button
+                            type="button"
+                            className="upload-link"
+                            onClick={(e) => {
+                                e.stopPropagation();
+                                folderInputRef.current?.click();
+                            }}
+                        >
+                            Choose a folder
+                        </button>
+                    </p>
                 </div>
-
-                {uploading && (
-                    <div className="upload-progress">
-                        <div className="progress-bar">
-                            <div
-                                className="progress-bar-fill"
-                                style={{ width: `${progress}%` }}
-                            />
-                        </div>
-                        <p className="progress-text">{progress}%</p>
-                    </div>
-                )}
             </div>
 
-            {error && (
-                <div className="error-message slide-up">
-                    {error}
-                </div>
-            )}
+            {queue.length > 0 && (
+                <div className="upload-queue">
+                    <div className="upload-queue-header">
+                        <span>Uploads</span>
+                        {finishedCount > 0 && (
+                            <button className="upload-link" onClick={handleClearFinished}>
+                                Clear finished
+                            </button>
+                        )}
+                    </div>
 
-            {selectedFile && !uploading && (
-                <div className="upload-actions">
-                    <button
-                        className="btn btn-secondary"
-                        onClick={() => {
-                            setSelectedFile(null);
-                            if (fileInputRef.current) {
-                                fileInputRef.current.value = '';
-                            }
-                        }}
-                    >
-                        Cancel
-                    </button>
-                    <button
-                        className="btn btn-primary"
-                        onClick={uploadFile}
-                    >
-                        Upload
-                    </button>
+                    {queue.map((item) => (
+                        <div key={item.id} className={`upload-item upload-item-${item.status}`}>
+                            <div className="upload-item-info">
+                                <div className="upload-item-name" title={item.file.name}>
+                                    {item.relativeDir ? `${item.relativeDir}/` : ''}{item.file.name}
+                                </div>
+                                <div className="progress-bar">
+                                    <div
+                                        className="progress-bar-fill"
+                                        style={{ width: `${item.progress}%` }}
+                                    />
+                                </div>
+                                <div className="upload-item-meta">
+                                    <span>{formatFileSize(item.file.size)}</span>
+                                    <span>
+                                        {STATUS_LABELS[item.status]}
+                                        {item.status === 'uploading' && ` ${item.progress}%`}
+                                        {item.status === 'completed' && item.verifying && ', verifying'}
+                                    </span>
+                                    {item.error && <span className="upload-item-error">{item.error}</span>}
+                                </div>
+                            </div>
+
+                            <div className="upload-item-actions">
+                                {item.status === 'uploading' && (
+                                    <button className="btn-icon" onClick={() => handlePause(item)} title="Pause">
+                                        ⏸️
+                                    </button>
+                                )}
+                                {item.status === 'paused' && (
+                                    <button className="btn-icon" onClick={() => handleResume(item)} title="Resume">
+                                        ▶️
+                                    </button>
+                                )}
+                                {['failed', 'cancelled'].includes(item.status) && (
+                                    <button className="btn-icon" onClick={() => handleRetry(item)} title="Retry">
+                                        🔄
+                                    </button>
+                                )}
+                                {['queued', 'uploading', 'paused'].includes(item.status) && (
+                                    <button className="btn-icon btn-icon-danger" onClick={() => handleCancel(item)} title="Cancel">
+                                        ✖️
+                                    </button>
+                                )}
+                                {['completed', 'failed', 'cancelled'].includes(item.status) && (
+                                    <button className="btn-icon" onClick={() => handleRemove(item)} title="Remove from list">
+                                        🧹
+                                    </button>
+                                )}
+                            </div>
+                        </div>
+                    ))}
                 </div>
             )}
         </div>
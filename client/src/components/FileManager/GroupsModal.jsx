@@ -0,0 +1,239 @@
+import React, { useState, useEffect } from 'react';
+import { groupAPI } from '../../services/api';
+import './ShareModal.css';
+
+/**
+ * Manage the user's contact groups: create and delete groups, and add and
+ * remove members (who gain or lose access to everything shared with the group)
+ */
+function GroupsModal({ isOpen, onClose }) {
+    const [groups, setGroups] = useState([]);
+    const [selectedId, setSelectedId] = useState('');
+    const [email, setEmail] = useState('');
+    const [groupName, setGroupName] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const selected = groups.find(group => group.id === selectedId);
+
+    const loadGroups = async () => {
+        try {
+            const response = await groupAPI.list();
+            setGroups(response.data.groups);
+            setSelectedId((prev) => prev || response.data.groups[0]?.id || '');
+        } catch (error) {
+            console.error('Load groups error:', error);
+        }
+    };
+
+    useEffect(() => {
+        if (isOpen) {
+            loadGroups();
+        }
+    }, [isOpen]);
+
+    const updateSelected = (update) => {
+        setGroups((prev) => prev.map((group) => (group.id === selectedId ? update(group) : group)));
+    };
+
+    const handleAddMember = async (e) => {
+        e.preventDefault();
+
+        if (!email.trim()) {
+            setError('Please enter an email address');
+            return;
+        }
+
+        setSaving(true);
+        setError('');
+
+        try {
+            const response = await groupAPI.addMember(selectedId, email.trim());
+            updateSelected((group) => ({ ...group, members: [...group.members, response.data.member] }));
+            setEmail('');
+        } catch (error) {
+            setError(error.response?.data?.error || 'Failed to add member');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleRemoveMember = async (member) => {
+        setError('');
+        try {
+            await groupAPI.removeMember(selectedId, member.id);
+            updateSelected((group) => ({ ...group, members: group.members.filter((m) => m.id !== member.id) }));
+        } catch (error) {
+            setError(error.response?.data?.error || 'Failed to remove member');
+        }
+    };
+
+    const handleDeleteGroup = async () => {
+        if (!confirm(`Delete ${selected.name}? Everything shared with it stops being shared.`)) {
+            return;
+        }
+
+        setError('');
+        try {
+            await groupAPI.delete(selectedId);
+            const remaining = groups.filter((group) => group.id !== selectedId);
+            setGroups(remaining);
+            setSelectedId(remaining[0]?.id || '');
+        } catch (error) {
+            setError(error.response?.data?.error || 'Failed to delete group');
+        }
+    };
+
+    const handleCreateGroup = async (e) => {
+        e.preventDefault();
+
+        if (!groupName.trim()) {
+            setError('Please enter a group name');
+            return;
+        }
+
+        setSaving(true);
+        setError('');
+
+        try {
+            const response = await groupAPI.create(groupName.trim());
+            setGroups((prev) => [...prev, response.data.group].sort((a, b) => a.name.localeCompare(b.name)));
+            setSelectedId(response.data.group.id);
+            setGroupName('');
+        } catch (error) {
+            setError(error.response?.data?.error || 'Failed to create group');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleClose = () => {
+        if (!saving) {
+            setEmail('');
+            setGroupName('');
+            setError('');
+            onClose();
+        }
+    };
+
+    if (!isOpen) return null;
+
+    return (
+        <div className="modal-overlay">
+            <div className="modal-content">
+                <div className="modal-header">
+                    <h3>Contact Groups</h3>
+                    <button
+                        className="modal-close"
+                        onClick={handleClose}
+                        disabled={saving}
+                    >
+                        ×
+                    </button>
+                </div>
+
+                <div className="modal-body">
+                    {selected ? (
+                        <div className="share-list">
+                            <div className="share-input-row">
+                                <select
+                                    className="share-role-select share-group-select"
+                                    value={selectedId}
+                                    onChange={(e) => setSelectedId(e.target.value)}
+                                >
+                                    {groups.map((group) => (
+                                        <option key={group.id} value={group.id}>{group.name}</option>
+                                    ))}
+                                </select>
+                                <button
+                                    type="button"
+                                    className="btn btn-secondary"
+                                    onClick={handleDeleteGroup}
+                                >
+                                    Delete group
+                                </button>
+                            </div>
+
+                            <label>Members</label>
+
+                            {selected.members.map((member) => (
+                                <div key={member.id} className="share-entry">
+                                    <div className="share-entry-user">
+                                        <span className="share-entry-name">{member.username}</span>
+                                        <span className="share-entry-detail">{member.email}</span>
+                                    </div>
+                                    <button
+                                        type="button"
+                                        className="modal-close"
+                                        onClick={() => handleRemoveMember(member)}
+                                        title="Remove member"
+                                    >
+                                        ×
+                                    </button>
+                                </div>
+                            ))}
+
+                            {selected.members.length === 0 && (
+                                <span className="share-entry-detail">No members yet</span>
+                            )}
+                        </div>
+                    ) : (
+                        <p>Share files and folders with a group instead of one person at a time. Adding or removing a member updates their access to everything shared with the group.</p>
+                    )}
+
+                    {selected && (
+                        <form onSubmit={handleAddMember} className="share-form share-link-section">
+                            <label htmlFor="group-member-email">Add a member</label>
+                            <div className="share-input-row">
+                                <input
+                                    type="email"
+                                    id="group-member-email"
+                                    value={email}
+                                    onChange={(e) => setEmail(e.target.value)}
+                                    placeholder="Enter email address"
+                                    disabled={saving}
+                                />
+                                <button type="submit" className="btn btn-primary" disabled={saving}>
+                                    Add
+                                </button>
+                            </div>
+                        </form>
+                    )}
+
+                    <form onSubmit={handleCreateGroup} className="share-form share-link-section">
+                        <label htmlFor="group-name">Create a group</label>
+                        <div className="share-input-row">
+                            <input
+                                type="text"
+                                id="group-name"
+                                value={groupName}
+                                onChange={(e) => setGroupName(e.target.value)}
+                                placeholder="Group name"
+                                maxLength={50}
+                                disabled={saving}
+                            />
+                            <button type="submit" className="btn btn-secondary" disabled={saving}>
+                                Create
+                            </button>
+                        </div>
+                    </form>
+
+                    {error && <div className="error-message">{error}</div>}
+
+                    <div className="modal-actions">
+                        <button
+                            type="button"
+                            className="btn btn-secondary"
+                            onClick={handleClose}
+                            disabled={saving}
+                        >
+                            Done
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default GroupsModal;
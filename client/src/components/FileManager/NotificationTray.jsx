@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { formatDate } from '../../utils/fileUtils';
+import './NotificationTray.css';
+
+/**
+ * Turn a change to a file shared with the user (or to a group or folder
+ * giving them access to files) into a notification message, or null when
+ * the change isn't worth one
+ */
+export const describeSharedFileChange = (data) => {
+    const name = data.file && `"${data.file.filename}"`;
+    const changes = data.changes || [];
+
+    switch (data.type) {
+        case 'group-join':
+            return `${data.sharedBy || 'Someone'} added you to the group "${data.group.name}", with access to what's shared with it`;
+        case 'group-leave':
+            return `You were removed from the group "${data.group.name}" and no longer have access to what's shared with it`;
+        case 'folder-share':
+            if (data.previousRole) {
+                return `Your access to the folder "${data.folder.name}" changed to ${data.role}`;
+            }
+            return `${data.sharedBy || 'Someone'} shared the folder "${data.folder.name}" with you as ${data.role}`;
+        case 'folder-unshare':
+            return `You no longer have access to the folder "${data.folder.name}"`;
+        case 'share':
+            return `${data.sharedBy || 'Someone'} shared ${name} with you as ${data.file.role}`;
+        case 'unshare':
+            return `You no longer have access to ${name}`;
+        case 'delete':
+            return `${name} was deleted`;
+        default:
+            if (data.previousRole) {
+                return `Your access to ${name} changed to ${data.file.role}`;
+            }
+            if (changes.includes('isDeleted')) {
+                return data.file.isDeleted ? `${name} was moved to the trash` : `${name} was restored`;
+            }
+            if (changes.includes('filename')) {
+                return `A file shared with you was renamed to ${name}`;
+            }
+            if (changes.includes('version')) {
+                return `${name} was updated to version ${data.file.version}`;
+            }
+            return null;
+    }
+};
+
+/**
+ * Bell button with the latest notifications in a dropdown.
+ * Opening the tray marks every notification as read.
+ */
+function NotificationTray({ notifications, onMarkRead, onClear }) {
+    const [open, setOpen] = useState(false);
+    const unreadCount = notifications.filter((n) => !n.read).length;
+
+    const handleToggle = () => {
+        if (!open && unreadCount > 0) {
+            onMarkRead();
+        }
+        setOpen(!open);
+    };
+
+    return (
+        <div className="notification-tray">
+            <button
+                className="btn btn-secondary notification-button"
+                onClick={handleToggle}
+                title="Notifications"
+            >
+                🔔
+                {unreadCount > 0 && <span className="notification-badge">{unreadCount}</span>}
+            </button>
+
+            {open && (
+                <div className="notification-dropdown glass-card">
+                    <div className="notification-header">
+                        <span>Notifications</span>
+                        {notifications.length > 0 && (
+                            <button className="notification-clear" onClick={onClear}>
+                                Clear
+                            </button>
+                        )}
+                    </div>
+
+                    {notifications.length === 0 ? (
+                        <div className="notification-empty">Nothing new</div>
+                    ) : (
+                        notifications.map((notification) => (
+                            <div
+                                key={notification.id}
+                                className={`notification-item ${notification.read ? '' : 'unread'}`}
+                            >
+                                <div className="notification-message">{notification.message}</div>
+                                <div className="notification-time">{formatDate(notification.createdAt)}</div>
+                            </div>
+                        ))
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default NotificationTray;
@@ -0,0 +1,176 @@
+import React, { useState, useEffect } from 'react';
+import hljs from 'highlight.js/lib/common';
+import 'highlight.js/styles/github-dark.css';
+import { fileAPI } from '../../services/api';
+import { fetchFileBlob, formatFileSize } from '../../utils/fileUtils';
+import './PreviewModal.css';
+
+// Larger texts are shown without highlighting, which would be too slow
+const MAX_HIGHLIGHT_LENGTH = 200 * 1024;
+
+/**
+ * Highlighted HTML of a text, in the language of its extension (guessed
+ * when unknown)
+ */
+const highlightText = (text, filename, kind) => {
+    if (text.length > MAX_HIGHLIGHT_LENGTH) {
+        return null;
+    }
+
+    const extension = filename.includes('.') ? filename.split('.').pop().toLowerCase() : '';
+    const language = kind === 'markdown' ? 'markdown' : extension;
+
+    if (hljs.getLanguage(language)) {
+        return hljs.highlight(text, { language, ignoreIllegals: true }).value;
+    }
+    return hljs.highlightAuto(text).value;
+};
+
+/**
+ * Show a file (or one of its versions) in the browser: images, PDFs,
+ * audio and video (played from storage, so seeking works) and
+ * syntax-highlighted text and Markdown. Files stored gzipped are
+ * decompressed first.
+ */
+function PreviewModal({ file, version = null, onClose, onDownload }) {
+    const [preview, setPreview] = useState(null);
+    const [source, setSource] = useState(null);
+    const [text, setText] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    const fileId = file.id || file._id;
+
+    useEffect(() => {
+        let cancelled = false;
+        let objectUrl = null;
+
+        const loadPreview = async () => {
+            setLoading(true);
+            setError('');
+
+            try {
+                const response = await fileAPI.preview(fileId, version?.version);
+                const data = response.data;
+                const isText = data.kind === 'text' || data.kind === 'markdown';
+
+                if (isText) {
+                    const blob = await fetchFileBlob(data.previewUrl, data);
+                    const content = await blob.text();
+                    if (!cancelled) {
+                        setText({ content, html: highlightText(content, data.filename, data.kind) });
+                    }
+                } else if (data.isCompressed) {
+                    // Stored gzipped: decompress into a local copy
+                    const blob = await fetchFileBlob(data.previewUrl, data);
+                    objectUrl = URL.createObjectURL(blob);
+                    if (!cancelled) {
+                        setSource(objectUrl);
+                    }
+                } else if (!cancelled) {
+                    setSource(data.previewUrl);
+                }
+
+                if (!cancelled) {
+                    setPreview(data);
+                }
+            } catch (error) {
+                console.error('Preview error:', error);
+                if (!cancelled) {
+                    setError(error.response?.data?.error || 'Failed to load preview');
+                }
+            } finally {
+                if (!cancelled) {
+                    setLoading(false);
+                }
+            }
+        };
+
+        loadPreview();
+
+        return () => {
+            cancelled = true;
+            if (objectUrl) {
+                URL.revokeObjectURL(objectUrl);
+            }
+        };
+    }, [fileId, version?.version]);
+
+    // Close with Escape
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') {
+                onClose();
+            }
+        };
+
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    const renderContent = () => {
+        if (text) {
+            return (
+                <pre className="preview-text">
+                    {text.html !== null ? (
+                        <code className="hljs" dangerouslySetInnerHTML={{ __html: text.html }} />
+                    ) : (
+                        <code className="hljs">{text.content}</code>
+                    )}
+                </pre>
+            );
+        }
+
+        if (preview.kind === 'image') {
+            return <img className="preview-media" src={source} alt={preview.filename} />;
+        }
+        if (preview.kind === 'video') {
+            return <video className="preview-media" src={source} controls autoPlay />;
+        }
+        if (preview.kind === 'audio') {
+            return <audio className="preview-audio" src={source} controls autoPlay />;
+        }
+        return <iframe className="preview-frame" src={source} title={preview.filename} />;
+    };
+
+    return (
+        <div className="preview-overlay" onClick={onClose}>
+            <div className="preview-modal glass-card" onClick={(e) => e.stopPropagation()}>
+                <div className="preview-header">
+                    <div className="preview-title">
+                        <h3>{file.filename}</h3>
+                        {preview && (
+                            <span className="preview-subtitle">
+                                {formatFileSize(preview.size)}
+                                {version && ` • Version ${version.version}`}
+                            </span>
+                        )}
+                    </div>
+                    <div className="preview-header-actions">
+                        <button className="btn-icon" onClick={onDownload} title="Download">
+                            ⬇️
+                        </button>
+                        <button className="btn-icon" onClick={onClose} title="Close">
+                            ✕
+                        </button>
+                    </div>
+                </div>
+
+                <div className="preview-body">
+                    {loading ? (
+                        <div className="spinner" />
+                    ) : error ? (
+                        <div className="preview-error">
+                            <p>{error}</p>
+                            <button className="btn btn-secondary" onClick={onDownload}>
+                                Download instead
+                            </button>
+                        </div>
+                    ) : renderContent()}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default PreviewModal;
@@ -0,0 +1,170 @@
+import React from 'react';
+import './SearchBar.css';
+
+const MB = 1024 * 1024;
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Filter chips, by group. Each group has at most one active chip, and each
+ * chip turns into search parameters (see GET /api/files/search).
+ */
+const FILTER_GROUPS = {
+    type: [
+        { value: 'images', label: '🖼️ Images', params: { type: 'image/*' } },
+        { value: 'videos', label: '🎬 Videos', params: { type: 'video/*' } },
+        { value: 'audio', label: '🎵 Audio', params: { type: 'audio/*' } },
+        {
+            value: 'documents',
+            label: '📄 Documents',
+            params: {
+                type: 'application/pdf,text/*,application/msword,application/vnd.openxmlformats-officedocument.*',
+            },
+        },
+        {
+            value: 'archives',
+            label: '🗜️ Archives',
+            params: { type: 'application/zip,application/gzip,application/x-tar,application/x-7z-compressed' },
+        },
+    ],
+    size: [
+        { value: 'small', label: 'Under 1 MB', params: { maxSize: MB } },
+        { value: 'medium', label: '1–100 MB', params: { minSize: MB, maxSize: 100 * MB } },
+        { value: 'large', label: 'Over 100 MB', params: { minSize: 100 * MB } },
+    ],
+    date: [
+        { value: 'day', label: 'Past day', params: () => ({ from: new Date(Date.now() - DAY).toISOString() }) },
+        { value: 'week', label: 'Past week', params: () => ({ from: new Date(Date.now() - 7 * DAY).toISOString() }) },
+        { value: 'month', label: 'Past month', params: () => ({ from: new Date(Date.now() - 30 * DAY).toISOString() }) },
+    ],
+    shared: [
+        { value: 'with-me', label: 'Shared with me', params: { shared: 'with-me' } },
+        { value: 'by-me', label: 'Shared by me', params: { shared: 'by-me' } },
+        { value: 'none', label: 'Not shared', params: { shared: 'none' } },
+    ],
+};
+
+export const EMPTY_SEARCH = { q: '', tags: [], type: null, size: null, date: null, shared: null, inFolder: false };
+
+/**
+ * Whether any search text or filter is set
+ */
+export const hasSearchFilters = (filters) => (
+    filters.q.trim() !== '' ||
+    filters.tags.length > 0 ||
+    filters.inFolder ||
+    Object.keys(FILTER_GROUPS).some((group) => filters[group])
+);
+
+/**
+ * Turn the search bar's state into search parameters
+ * ("In this folder" searches the open folder and its subfolders)
+ */
+export const toSearchParams = (filters, currentPath) => {
+    const params = {};
+
+    if (filters.q.trim()) {
+        params.q = filters.q.trim();
+    }
+    if (filters.tags.length > 0) {
+        params.tags = filters.tags.join(',');
+    }
+    if (filters.inFolder) {
+        params.path = currentPath;
+    }
+
+    Object.entries(FILTER_GROUPS).forEach(([group, chips]) => {
+        const chip = chips.find((entry) => entry.value === filters[group]);
+        if (chip) {
+            Object.assign(params, typeof chip.params === 'function' ? chip.params() : chip.params);
+        }
+    });
+
+    return params;
+};
+
+/**
+ * Split a text into parts, marking those matching a word of the search text
+ * (for highlighting document snippets)
+ */
+export const highlightMatches = (text, q) => {
+    const words = q.trim().split(/\s+/).filter(Boolean)
+        .map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+    if (words.length === 0) {
+        return text;
+    }
+
+    const pattern = new RegExp(`(${words.join('|')})`, 'gi');
+    return text.split(pattern).map((part, index) => (
+        index % 2 === 1 ? <mark key={index}>{part}</mark> : part
+    ));
+};
+
+/**
+ * Search text with filter chips for type, size, upload date and shared
+ * status, and the tags the files must have (added by clicking a file's tag)
+ */
+function SearchBar({ filters, onChange, currentPath }) {
+    const active = hasSearchFilters(filters);
+
+    const toggleChip = (group, value) => {
+        onChange({ ...filters, [group]: filters[group] === value ? null : value });
+    };
+
+    return (
+        <div className="search-bar">
+            <div className="search-input-row">
+                <input
+                    type="search"
+                    className="input search-input"
+                    value={filters.q}
+                    onChange={(e) => onChange({ ...filters, q: e.target.value })}
+                    placeholder="🔍 Search files by name or content"
+                    maxLength={100}
+                />
+                {active && (
+                    <button className="btn btn-secondary" onClick={() => onChange(EMPTY_SEARCH)}>
+                        Clear
+                    </button>
+                )}
+            </div>
+
+            <div className="search-chips">
+                {filters.tags.map((tag) => (
+                    <button
+                        key={tag}
+                        className="search-chip active"
+                        onClick={() => onChange({ ...filters, tags: filters.tags.filter((t) => t !== tag) })}
+                        title="Remove tag filter"
+                    >
+                        #{tag} ×
+                    </button>
+                ))}
+                {currentPath !== '/' && (
+                    <button
+                        className={`search-chip ${filters.inFolder ? 'active' : ''}`}
+                        onClick={() => onChange({ ...filters, inFolder: !filters.inFolder })}
+                    >
+                        📁 In this folder
+                    </button>
+                )}
+                {Object.entries(FILTER_GROUPS).map(([group, chips]) => (
+                    <React.Fragment key={group}>
+                        <span className="search-chip-separator" />
+                        {chips.map((chip) => (
+                            <button
+                                key={chip.value}
+                                className={`search-chip ${filters[group] === chip.value ? 'active' : ''}`}
+                                onClick={() => toggleChip(group, chip.value)}
+                            >
+                                {chip.label}
+                            </button>
+                        ))}
+                    </React.Fragment>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+export default SearchBar;
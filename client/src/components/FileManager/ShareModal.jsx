@@ -1,14 +1,147 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import { fileAPI, folderAPI, groupAPI, linkAPI } from '../../services/api';
+import { formatDate } from '../../utils/fileUtils';
 import './ShareModal.css';
 
-function ShareModal({ isOpen, onClose, onShare, fileName }) {
+const ROLE_LABELS = {
+    'viewer': 'Viewer',
+    'commenter': 'Commenter',
+    'editor': 'Editor',
+    'co-owner': 'Co-owner',
+};
+
+const LINK_EXPIRY_OPTIONS = [
+    { label: 'Never expires', days: 0 },
+    { label: 'Expires in 1 day', days: 1 },
+    { label: 'Expires in 7 days', days: 7 },
+    { label: 'Expires in 30 days', days: 30 },
+];
+
+/**
+ * Describe a link's restrictions ("Password • Expires 1/2/2025 • 3/10 downloads")
+ */
+const describeLink = (link) => {
+    const details = [];
+    if (link.hasPassword) {
+        details.push('Password');
+    }
+    if (link.expiresAt) {
+        details.push(`Expires ${new Date(link.expiresAt).toLocaleDateString()}`);
+    }
+    details.push(link.maxDownloads
+        ? `${link.downloadCount}/${link.maxDownloads} downloads`
+        : `${link.downloadCount} downloads`);
+    return details.join(' • ');
+};
+
+/**
+ * Share a file with people (by email, with a role), contact groups or through
+ * a public link, and see (and revoke) everyone and every link with access.
+ * Folders (`folder` instead of `file`) can be shared with groups and links.
+ */
+function ShareModal({ isOpen, onClose, onShare, file, folder }) {
     const [email, setEmail] = useState('');
+    const [role, setRole] = useState('viewer');
     const [sharing, setSharing] = useState(false);
     const [error, setError] = useState('');
+    const [owner, setOwner] = useState(null);
+    const [people, setPeople] = useState([]);
+    const [links, setLinks] = useState([]);
+    const [groups, setGroups] = useState([]);
+    const [folderGroups, setFolderGroups] = useState([]);
+    const [myGroups, setMyGroups] = useState([]);
+    const [groupForm, setGroupForm] = useState({ groupId: '', role: 'viewer' });
+    const [linkForm, setLinkForm] = useState({ expiryDays: 0, password: '', maxDownloads: '' });
+    const [creatingLink, setCreatingLink] = useState(false);
+
+    const fileId = file?.id || file?._id;
+    const folderId = folder?.id || folder?._id;
+
+    // Load everyone (and every link) with access
+    const loadAccess = async () => {
+        try {
+            if (fileId) {
+                const response = await fileAPI.getAccess(fileId);
+                setOwner(response.data.owner);
+                setPeople(response.data.people);
+                setGroups(response.data.groups);
+                setFolderGroups(response.data.folderGroups);
+                setLinks(response.data.links);
+            } else if (folderId) {
+                const [access, response] = await Promise.all([
+                    folderAPI.getAccess(folderId),
+                    linkAPI.list({ folderId }),
+                ]);
+                setGroups(access.data.groups);
+                setLinks(response.data.links.filter(link => !link.revokedAt));
+            }
+        } catch (error) {
+            console.error('Load access error:', error);
+        }
+    };
+
+    // The user's own groups, which are the ones they can share with
+    const loadMyGroups = async () => {
+        try {
+            const response = await groupAPI.list();
+            setMyGroups(response.data.groups);
+        } catch (error) {
+            console.error('Load groups error:', error);
+        }
+    };
+
+    useEffect(() => {
+        if (isOpen) {
+            loadAccess();
+            loadMyGroups();
+        }
+    }, [isOpen, fileId, folderId]);
+
+    const handleCreateLink = async () => {
+        setCreatingLink(true);
+        setError('');
+
+        try {
+            const { expiryDays, password, maxDownloads } = linkForm;
+            const response = await linkAPI.create({
+                fileId,
+                folderId,
+                password: password || undefined,
+                maxDownloads: maxDownloads || undefined,
+                expiresAt: expiryDays
+                    ? new Date(Date.now() + expiryDays * 24 * 60 * 60 * 1000).toISOString()
+                    : undefined,
+            });
+            setLinks((prev) => [response.data.link, ...prev]);
+            setLinkForm({ expiryDays: 0, password: '', maxDownloads: '' });
+        } catch (error) {
+            setError(error.response?.data?.error || 'Failed to create link');
+        } finally {
+            setCreatingLink(false);
+        }
+    };
+
+    const handleCopyLink = async (link) => {
+        try {
+            await navigator.clipboard.writeText(link.url);
+        } catch (error) {
+            console.error('Copy link error:', error);
+        }
+    };
+
+    const handleRevokeLink = async (link) => {
+        setError('');
+        try {
+            await linkAPI.revoke(link.id);
+            setLinks((prev) => prev.filter(l => l.id !== link.id));
+        } catch (error) {
+            setError(error.response?.data?.error || 'Failed to revoke link');
+        }
+    };
 
     const handleSubmit = async (e) => {
         e.preventDefault();
-        
+
         if (!email.trim()) {
             setError('Please enter an email address');
             return;
@@ -25,9 +158,10 @@ function ShareModal({ isOpen, onClose, onShare, fileName }) {
         setError('');
 
         try {
-            await onShare(email.trim());
+            await onShare(email.trim(), role);
             setEmail('');
-            onClose();
+            setRole('viewer');
+            loadAccess();
         } catch (error) {
             setError(error.message || 'Failed to share file');
         } finally {
@@ -35,10 +169,66 @@ function ShareModal({ isOpen, onClose, onShare, fileName }) {
         }
     };
 
+    const handleRoleChange = async (person, newRole) => {
+        setError('');
+        try {
+            await fileAPI.updateShare(fileId, person.user.id, newRole);
+            setPeople((prev) => prev.map((p) => (p.user.id === person.user.id ? { ...p, role: newRole } : p)));
+        } catch (error) {
+            setError(error.response?.data?.error || 'Failed to update share');
+        }
+    };
+
+    const handleRemovePerson = async (person) => {
+        setError('');
+        try {
+            await fileAPI.unshare(fileId, person.user.id);
+            setPeople((prev) => prev.filter((p) => p.user.id !== person.user.id));
+        } catch (error) {
+            setError(error.response?.data?.error || 'Failed to remove access');
+        }
+    };
+
+    const handleShareWithGroup = async (groupId, groupRole) => {
+        setError('');
+        try {
+            if (fileId) {
+                await fileAPI.shareWithGroup(fileId, groupId, groupRole);
+            } else {
+                await folderAPI.shareWithGroup(folderId, groupId, groupRole);
+            }
+            setGroupForm({ groupId: '', role: 'viewer' });
+            loadAccess();
+        } catch (error) {
+            setError(error.response?.data?.error || 'Failed to share with group');
+        }
+    };
+
+    const handleRemoveGroup = async (share) => {
+        setError('');
+        try {
+            if (fileId) {
+                await fileAPI.unshareGroup(fileId, share.group.id);
+            } else {
+                await folderAPI.unshareGroup(folderId, share.group.id);
+            }
+            setGroups((prev) => prev.filter((g) => g.group.id !== share.group.id));
+        } catch (error) {
+            setError(error.response?.data?.error || 'Failed to remove group');
+        }
+    };
+
     const handleClose = () => {
         if (!sharing) {
             setEmail('');
+            setRole('viewer');
             setError('');
+            setOwner(null);
+            setPeople([]);
+            setLinks([]);
+            setGroups([]);
+            setFolderGroups([]);
+            setGroupForm({ groupId: '', role: 'viewer' });
             onClose();
         }
     };
@@ -49,57 +239,265 @@ function ShareModal({ isOpen, onClose, onShare, fileName }) {
         <div className="modal-overlay">
             <div className="modal-content">
                 <div className="modal-header">
-                    <h3>Share File</h3>
-                    <button 
-                        className="modal-close" 
+                    <h3>{folder ? 'Share Folder' : 'Share File'}</h3>
+                    <button
+                        className="modal-close"
                         onClick={handleClose}
                         disabled={sharing}
                     >
                         ×
                     </button>
                 </div>
-                
+
                 <div className="modal-body">
-                    <p>Share "{fileName}" with another user by entering their email address.</p>
-                    
-                    <form onSubmit={handleSubmit} className="share-form">
-                        <div className="form-group">
-                            <label htmlFor="email">Email Address</label>
+                    {file && (
+                        <form onSubmit={handleSubmit} className="share-form">
+                            <p>Share "{file.filename}" with another user by entering their email address.</p>
+
+                            <div className="form-group">
+                                <label htmlFor="email">Email Address</label>
+                                <div className="share-input-row">
+                                    <input
+                                        type="email"
+                                        id="email"
+                                        value={email}
+                                        onChange={(e) => setEmail(e.target.value)}
+                                        placeholder="Enter email address"
+                                        disabled={sharing}
+                                        autoFocus
+                                    />
+                                    <select
+                                        className="share-role-select"
+                                        value={role}
+                                        onChange={(e) => setRole(e.target.value)}
+                                        disabled={sharing}
+                                    >
+                                        {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                                            <option key={value} value={value}>{label}</option>
+                                        ))}
+                                    </select>
+                                    <button
+                                        type="submit"
+                                        className="btn btn-primary"
+                                        disabled={sharing}
+                                    >
+                                        {sharing ? 'Sharing...' : 'Share'}
+                                    </button>
+                                </div>
+                            </div>
+
+                        </form>
+                    )}
+
+                    <div className="share-link-section">
+                        <label htmlFor="share-group">Share with a group</label>
+                        {myGroups.length > 0 ? (
+                            <div className="share-input-row">
+                                <select
+                                    id="share-group"
+                                    className="share-role-select share-group-select"
+                                    value={groupForm.groupId}
+                                    onChange={(e) => setGroupForm({ ...groupForm, groupId: e.target.value })}
+                                >
+                                    <option value="">Choose a group</option>
+                                    {myGroups.map((group) => (
+                                        <option key={group.id} value={group.id}>
+                                            {group.name} ({group.members.length})
+                                        </option>
+                                    ))}
+                                </select>
+                                <select
+                                    className="share-role-select"
+                                    value={groupForm.role}
+                                    onChange={(e) => setGroupForm({ ...groupForm, role: e.target.value })}
+                                >
+                                    {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                                        <option key={value} value={value}>{label}</option>
+                                    ))}
+                                </select>
+                                <button
+                                    type="button"
+                                    className="btn btn-secondary"
+                                    onClick={() => handleShareWithGroup(groupForm.groupId, groupForm.role)}
+                                    disabled={!groupForm.groupId}
+                                >
+                                    Share
+                                </button>
+                            </div>
+                        ) : (
+                            <p>Create a contact group with the 👪 button to share with several people at once.</p>
+                        )}
+                    </div>
+
+                    <div className="share-link-section">
+                        <label>Public link</label>
+                        <p>Anyone with the link can download {folder ? `everything in "${folder.name}"` : 'this file'}, no account needed.</p>
+
+                        <div className="share-link-options">
+                            <select
+                                className="share-role-select"
+                                value={linkForm.expiryDays}
+                                onChange={(e) => setLinkForm({ ...linkForm, expiryDays: Number(e.target.value) })}
+                            >
+                                {LINK_EXPIRY_OPTIONS.map(({ label, days }) => (
+                                    <option key={days} value={days}>{label}</option>
+                                ))}
+                            </select>
                             <input
-                                type="email"
-                                id="email"
-                                value={email}
-                                onChange={(e) => setEmail(e.target.value)}
-                                placeholder="Enter email address"
-                                disabled={sharing}
-                                autoFocus
+                                type="password"
+                                placeholder="Password (optional)"
+                                value={linkForm.password}
+                                onChange={(e) => setLinkForm({ ...linkForm, password: e.target.value })}
                             />
-                        </div>
-                        
-                        {error && <div className="error-message">{error}</div>}
-                        
-                        <div className="modal-actions">
-                            <button 
-                                type="button" 
-                                className="btn btn-secondary" 
-                                onClick={handleClose}
-                                disabled={sharing}
-                            >
-                                Cancel
-                            </button>
-                            <button 
-                                type="submit" 
-                                className="btn btn-primary"
-                                disabled={sharing}
+                            <input
+                                type="number"
+                                min="1"
+                                placeholder="Max downloads"
+                                value={linkForm.maxDownloads}
+                                onChange={(e) => setLinkForm({ ...linkForm, maxDownloads: e.target.value })}
+                            />
+                            <button
+                                type="button"
+                                className="btn btn-secondary"
+                                onClick={handleCreateLink}
+                                disabled={creatingLink}
                             >
-                                {sharing ? 'Sharing...' : 'Share File'}
+                                {creatingLink ? 'Creating...' : 'Create link'}
                             </button>
                         </div>
-                    </form>
+
+                    </div>
+
+                    {error && <div className="error-message">{error}</div>}
+
+                    <div className="share-list">
+                        <label>Who has access</label>
+
+                        {owner && (
+                            <div className="share-entry">
+                                <div className="share-entry-user">
+                                    <span className="share-entry-name">{owner.username}</span>
+                                    <span className="share-entry-detail">{owner.email}</span>
+                                </div>
+                                <span className="share-entry-role">Owner</span>
+                            </div>
+                        )}
+
+                        {people.map((person) => (
+                            <div key={person.user.id} className="share-entry">
+                                <div className="share-entry-user">
+                                    <span className="share-entry-name">{person.user.username}</span>
+                                    <span className="share-entry-detail">
+                                        {person.user.email} • Added {formatDate(person.grantedAt)}
+                                        {person.grantedBy && ` by ${person.grantedBy}`}
+                                    </span>
+                                </div>
+                                <select
+                                    className="share-role-select"
+                                    value={person.role}
+                                    onChange={(e) => handleRoleChange(person, e.target.value)}
+                                >
+                                    {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                                        <option key={value} value={value}>{label}</option>
+                                    ))}
+                                </select>
+                                <button
+                                    type="button"
+                                    className="modal-close"
+                                    onClick={() => handleRemovePerson(person)}
+                                    title="Remove access"
+                                >
+                                    ×
+                                </button>
+                            </div>
+                        ))}
+
+                        {groups.map((share) => (
+                            <div key={share.group.id} className="share-entry">
+                                <div className="share-entry-user">
+                                    <span className="share-entry-name">👪 {share.group.name}</span>
+                                    <span className="share-entry-detail">
+                                        {share.group.memberCount} members • Added {formatDate(share.grantedAt)}
+                                        {share.grantedBy && ` by ${share.grantedBy}`}
+                                    </span>
+                                </div>
+                                <select
+                                    className="share-role-select"
+                                    value={share.role}
+                                    onChange={(e) => handleShareWithGroup(share.group.id, e.target.value)}
+                                >
+                                    {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                                        <option key={value} value={value}>{label}</option>
+                                    ))}
+                                </select>
+                                <button
+                                    type="button"
+                                    className="modal-close"
+                                    onClick={() => handleRemoveGroup(share)}
+                                    title="Remove group"
+                                >
+                                    ×
+                                </button>
+                            </div>
+                        ))}
+
+                        {folderGroups.map((share) => (
+                            <div key={`${share.folder}:${share.group.id}`} className="share-entry">
+                                <div className="share-entry-user">
+                                    <span className="share-entry-name">👪 {share.group.name}</span>
+                                    <span className="share-entry-detail">
+                                        {share.group.memberCount} members • Via folder {share.folder}
+                                    </span>
+                                </div>
+                                <span className="share-entry-role">{ROLE_LABELS[share.role]}</span>
+                            </div>
+                        ))}
+
+                        {links.map((link) => (
+                            <div key={link.id} className="share-entry">
+                                <div className="share-entry-user">
+                                    <span className="share-entry-name">🔗 Public link</span>
+                                    <span className="share-entry-detail">
+                                        Created {formatDate(link.createdAt)} • {describeLink(link)}
+                                    </span>
+                                </div>
+                                <button
+                                    type="button"
+                                    className="btn btn-secondary"
+                                    onClick={() => handleCopyLink(link)}
+                                >
+                                    Copy
+                                </button>
+                                <button
+                                    type="button"
+                                    className="modal-close"
+                                    onClick={() => handleRevokeLink(link)}
+                                    title="Revoke link"
+                                >
+                                    ×
+                                </button>
+                            </div>
+                        ))}
+
+                        {!owner && groups.length === 0 && links.length === 0 && (
+                            <span className="share-entry-detail">Not shared with any group or link yet</span>
+                        )}
+                    </div>
+
+                    <div className="modal-actions">
+                        <button
+                            type="button"
+                            className="btn btn-secondary"
+                            onClick={handleClose}
+                            disabled={sharing}
+                        >
+                            Done
+                        </button>
+                    </div>
                 </div>
             </div>
         </div>
     );
 }
 
-export default ShareModal;
\ No newline at end of file
+export default ShareModal;
@@ -0,0 +1,194 @@
+import React, { useState, useEffect } from 'react';
+import { fileAPI } from '../../services/api';
+import './ShareModal.css';
+
+/**
+ * Edit a file's tags (with autocomplete from the tags used in the workspace)
+ * and its custom key/value metadata
+ */
+function TagsModal({ file, onClose, onSaved }) {
+    const [tags, setTags] = useState(file.tags || []);
+    const [tagInput, setTagInput] = useState('');
+    const [suggestions, setSuggestions] = useState([]);
+    const [entries, setEntries] = useState(
+        Object.entries(file.metadata || {}).map(([key, value]) => ({ key, value }))
+    );
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    // Suggest tags as the user types (debounced)
+    useEffect(() => {
+        const timer = setTimeout(async () => {
+            try {
+                const response = await fileAPI.getTags(tagInput.trim());
+                setSuggestions(response.data.tags.map((entry) => entry.tag));
+            } catch (error) {
+                console.error('Suggest tags error:', error);
+            }
+        }, 200);
+
+        return () => clearTimeout(timer);
+    }, [tagInput]);
+
+    const handleAddTag = (e) => {
+        e.preventDefault();
+
+        const tag = tagInput.trim().toLowerCase().replace(/\s+/g, '-');
+        if (tag && !tags.includes(tag)) {
+            setTags([...tags, tag]);
+        }
+        setTagInput('');
+    };
+
+    const updateEntry = (index, field, value) => {
+        setEntries(entries.map((entry, i) => (i === index ? { ...entry, [field]: value } : entry)));
+    };
+
+    const handleSave = async () => {
+        setSaving(true);
+        setError('');
+
+        // Keys that were removed or renamed are cleared with null
+        const metadata = {};
+        Object.keys(file.metadata || {}).forEach((key) => {
+            metadata[key] = null;
+        });
+        entries
+            .filter((entry) => entry.key.trim())
+            .forEach((entry) => {
+                metadata[entry.key.trim()] = entry.value;
+            });
+
+        try {
+            const response = await fileAPI.update(file.id || file._id, { tags, metadata });
+            onSaved(response.data.file);
+            onClose();
+        } catch (error) {
+            setError(error.response?.data?.error || 'Failed to save tags');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay">
+            <div className="modal-content">
+                <div className="modal-header">
+                    <h3>Tags for {file.filename}</h3>
+                    <button
+                        className="modal-close"
+                        onClick={onClose}
+                        disabled={saving}
+                    >
+                        ×
+                    </button>
+                </div>
+
+                <div className="modal-body">
+                    <form onSubmit={handleAddTag} className="share-form">
+                        <label htmlFor="file-tag">Tags</label>
+                        {tags.length > 0 && (
+                            <div className="tag-list">
+                                {tags.map((tag) => (
+                                    <span key={tag} className="file-tag">
+                                        #{tag}
+                                        <button
+                                            type="button"
+                                            onClick={() => setTags(tags.filter((t) => t !== tag))}
+                                            title="Remove tag"
+                                        >
+                                            ×
+                                        </button>
+                                    </span>
+                                ))}
+                            </div>
+                        )}
+                        <div className="share-input-row">
+                            <input
+                                type="text"
+                                id="file-tag"
+                                list="file-tag-suggestions"
+                                value={tagInput}
+                                onChange={(e) => setTagInput(e.target.value)}
+                                placeholder="Add a tag, e.g. invoice-2026"
+                                maxLength={50}
+                                disabled={saving}
+                            />
+                            <datalist id="file-tag-suggestions">
+                                {suggestions
+                                    .filter((tag) => !tags.includes(tag))
+                                    .map((tag) => <option key={tag} value={tag} />)}
+                            </datalist>
+                            <button type="submit" className="btn btn-secondary" disabled={saving}>
+                                Add
+                            </button>
+                        </div>
+                    </form>
+
+                    <div className="share-list share-link-section">
+                        <label>Metadata</label>
+                        {entries.map((entry, index) => (
+                            <div key={index} className="share-input-row">
+                                <input
+                                    type="text"
+                                    value={entry.key}
+                                    onChange={(e) => updateEntry(index, 'key', e.target.value)}
+                                    placeholder="Key"
+                                    maxLength={50}
+                                    disabled={saving}
+                                />
+                                <input
+                                    type="text"
+                                    value={entry.value}
+                                    onChange={(e) => updateEntry(index, 'value', e.target.value)}
+                                    placeholder="Value"
+                                    maxLength={500}
+                                    disabled={saving}
+                                />
+                                <button
+                                    type="button"
+                                    className="modal-close"
+                                    onClick={() => setEntries(entries.filter((_, i) => i !== index))}
+                                    title="Remove"
+                                >
+                                    ×
+                                </button>
+                            </div>
+                        ))}
+                        <button
+                            type="button"
+                            className="btn btn-secondary"
+                            onClick={() => setEntries([...entries, { key: '', value: '' }])}
+                            disabled={saving}
+                        >
+                            Add field
+                        </button>
+                    </div>
+
+                    {error && <div className="error-message">{error}</div>}
+
+                    <div className="modal-actions">
+                        <button
+                            type="button"
+                            className="btn btn-secondary"
+                            onClick={onClose}
+                            disabled={saving}
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            type="button"
+                            className="btn btn-primary"
+                            onClick={handleSave}
+                            disabled={saving}
+                        >
+                            {saving ? 'Saving...' : 'Save'}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default TagsModal;
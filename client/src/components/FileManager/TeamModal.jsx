@@ -0,0 +1,251 @@
+import React, { useState, useEffect } from 'react';
+import { teamAPI } from '../../services/api';
+import { formatDate } from '../../utils/fileUtils';
+import useAuthStore from '../../stores/authStore';
+import './ShareModal.css';
+
+const TEAM_ROLE_LABELS = {
+    'viewer': 'Viewer',
+    'member': 'Member',
+    'admin': 'Admin',
+};
+
+/**
+ * Manage the members of the active team (admins add, re-role and remove
+ * members; anyone can leave) and create new teams
+ */
+function TeamModal({ isOpen, onClose, team, onTeamCreated, onTeamLeft }) {
+    const { user } = useAuthStore();
+    const [members, setMembers] = useState([]);
+    const [email, setEmail] = useState('');
+    const [role, setRole] = useState('member');
+    const [teamName, setTeamName] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const teamId = team?.id;
+    const isAdmin = team?.role === 'admin';
+
+    const loadMembers = async () => {
+        try {
+            const response = await teamAPI.get(teamId);
+            setMembers(response.data.members);
+        } catch (error) {
+            console.error('Load team members error:', error);
+        }
+    };
+
+    useEffect(() => {
+        if (isOpen && teamId) {
+            loadMembers();
+        }
+    }, [isOpen, teamId]);
+
+    const handleAddMember = async (e) => {
+        e.preventDefault();
+
+        if (!email.trim()) {
+            setError('Please enter an email address');
+            return;
+        }
+
+        setSaving(true);
+        setError('');
+
+        try {
+            const response = await teamAPI.addMember(teamId, email.trim(), role);
+            setMembers((prev) => [...prev, response.data.member]);
+            setEmail('');
+            setRole('member');
+        } catch (error) {
+            setError(error.response?.data?.error || 'Failed to add member');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleRoleChange = async (member, newRole) => {
+        setError('');
+        try {
+            await teamAPI.updateMember(teamId, member.user.id, newRole);
+            setMembers((prev) => prev.map((m) => (m.user.id === member.user.id ? { ...m, role: newRole } : m)));
+        } catch (error) {
+            setError(error.response?.data?.error || 'Failed to change role');
+        }
+    };
+
+    const handleRemoveMember = async (member) => {
+        const isSelf = member.user.id === user?.id;
+        if (isSelf && !confirm(`Leave ${team.name}? You will lose access to its files.`)) {
+            return;
+        }
+
+        setError('');
+        try {
+            await teamAPI.removeMember(teamId, member.user.id);
+            if (isSelf) {
+                onTeamLeft(team);
+                return;
+            }
+            setMembers((prev) => prev.filter((m) => m.user.id !== member.user.id));
+        } catch (error) {
+            setError(error.response?.data?.error || 'Failed to remove member');
+        }
+    };
+
+    const handleCreateTeam = async (e) => {
+        e.preventDefault();
+
+        if (!teamName.trim()) {
+            setError('Please enter a team name');
+            return;
+        }
+
+        setSaving(true);
+        setError('');
+
+        try {
+            const response = await teamAPI.create(teamName.trim());
+            setTeamName('');
+            onTeamCreated(response.data.team);
+        } catch (error) {
+            setError(error.response?.data?.error || 'Failed to create team');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleClose = () => {
+        if (!saving) {
+            setEmail('');
+            setTeamName('');
+            setError('');
+            setMembers([]);
+            onClose();
+        }
+    };
+
+    if (!isOpen) return null;
+
+    return (
+        <div className="modal-overlay">
+            <div className="modal-content">
+                <div className="modal-header">
+                    <h3>{team ? team.name : 'Teams'}</h3>
+                    <button
+                        className="modal-close"
+                        onClick={handleClose}
+                        disabled={saving}
+                    >
+                        ×
+                    </button>
+                </div>
+
+                <div className="modal-body">
+                    {team && (
+                        <div className="share-list">
+                            <label>Members</label>
+
+                            {members.map((member) => (
+                                <div key={member.user.id} className="share-entry">
+                                    <div className="share-entry-user">
+                                        <span className="share-entry-name">{member.user.username}</span>
+                                        <span className="share-entry-detail">
+                                            {member.user.email} • Joined {formatDate(member.joinedAt)}
+                                        </span>
+                                    </div>
+                                    {isAdmin ? (
+                                        <select
+                                            className="share-role-select"
+                                            value={member.role}
+                                            onChange={(e) => handleRoleChange(member, e.target.value)}
+                                        >
+                                            {Object.entries(TEAM_ROLE_LABELS).map(([value, label]) => (
+                                                <option key={value} value={value}>{label}</option>
+                                            ))}
+                                        </select>
+                                    ) : (
+                                        <span className="share-entry-role">{TEAM_ROLE_LABELS[member.role]}</span>
+                                    )}
+                                    {(isAdmin || member.user.id === user?.id) && (
+                                        <button
+                                            type="button"
+                                            className="modal-close"
+                                            onClick={() => handleRemoveMember(member)}
+                                            title={member.user.id === user?.id ? 'Leave team' : 'Remove member'}
+                                        >
+                                            ×
+                                        </button>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    {team && isAdmin && (
+                        <form onSubmit={handleAddMember} className="share-form share-link-section">
+                            <label htmlFor="member-email">Add a member</label>
+                            <div className="share-input-row">
+                                <input
+                                    type="email"
+                                    id="member-email"
+                                    value={email}
+                                    onChange={(e) => setEmail(e.target.value)}
+                                    placeholder="Enter email address"
+                                    disabled={saving}
+                                />
+                                <select
+                                    className="share-role-select"
+                                    value={role}
+                                    onChange={(e) => setRole(e.target.value)}
+                                    disabled={saving}
+                                >
+                                    {Object.entries(TEAM_ROLE_LABELS).map(([value, label]) => (
+                                        <option key={value} value={value}>{label}</option>
+                                    ))}
+                                </select>
+                                <button type="submit" className="btn btn-primary" disabled={saving}>
+                                    Add
+                                </button>
+                            </div>
+                        </form>
+                    )}
+
+                    <form onSubmit={handleCreateTeam} className="share-form share-link-section">
+                        <label htmlFor="team-name">Create a team</label>
+                        <p>Files uploaded to a team workspace belong to the team and count towards its shared quota.</p>
+                        <div className="share-input-row">
+                            <input
+                                type="text"
+                                id="team-name"
+                                value={teamName}
+                                onChange={(e) => setTeamName(e.target.value)}
+                                placeholder="Team name"
+                                maxLength={50}
+                                disabled={saving}
+                            />
+                            <button type="submit" className="btn btn-secondary" disabled={saving}>
+                                Create
+                            </button>
+                        </div>
+                    </form>
+
+                    {error && <div className="error-message">{error}</div>}
+
+                    <div className="modal-actions">
+                        <button
+                            type="button"
+                            className="btn btn-secondary"
+                            onClick={handleClose}
+                            disabled={saving}
+                        >
+                            Done
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default TeamModal;
@@ -0,0 +1,159 @@
+import React from 'react';
+import useAuthStore from '../../stores/authStore';
+import { fileAPI } from '../../services/api';
+import { formatFileSize, formatDate, getFileIcon, getFileExtension } from '../../utils/fileUtils';
+import './FileList.css';
+
+function TrashList({ files, retentionDays, onRestored, onDeleted, onEmptied, canDeletePermanently = true }) {
+    const { user, setUser } = useAuthStore();
+    const [busy, setBusy] = React.useState(null);
+
+    const updateStorage = (data) => {
+        if (data.user && user) {
+            setUser({
+                ...user,
+                storageUsed: data.user.storageUsed,
+                storageQuota: data.user.storageQuota
+            });
+        }
+    };
+
+    const handleRestore = async (file) => {
+        const fileId = file.id || file._id;
+        setBusy(fileId);
+
+        try {
+            await fileAPI.restore(fileId);
+            if (onRestored) {
+                onRestored(fileId);
+            }
+        } catch (error) {
+            console.error('Restore error:', error);
+            alert(error.response?.data?.error || 'Failed to restore file');
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const handleDeletePermanently = async (file) => {
+        if (!confirm(`Permanently delete "${file.filename}"? This cannot be undone.`)) {
+            return;
+        }
+
+        const fileId = file.id || file._id;
+        setBusy(fileId);
+
+        try {
+            const response = await fileAPI.deletePermanently(fileId);
+            updateStorage(response.data);
+            if (onDeleted) {
+                onDeleted(fileId);
+            }
+        } catch (error) {
+            console.error('Permanent delete error:', error);
+            alert(error.response?.data?.error || 'Failed to delete file');
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const handleEmptyTrash = async () => {
+        if (!confirm('Permanently delete everything in the trash? This cannot be undone.')) {
+            return;
+        }
+
+        setBusy('all');
+        try {
+            const response = await fileAPI.emptyTrash();
+            updateStorage(response.data);
+            if (onEmptied) {
+                onEmptied();
+            }
+        } catch (error) {
+            console.error('Empty trash error:', error);
+            alert(error.response?.data?.error || 'Failed to empty trash');
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    if (!files || files.length === 0) {
+        return (
+            <div className="file-list-empty glass-card">
+                <div className="empty-icon">🗑️</div>
+                <p className="empty-text">Trash is empty</p>
+                <p className="empty-subtext">Deleted files are kept here for {retentionDays} days</p>
+            </div>
+        );
+    }
+
+    return (
+        <>
+            <div className="trash-toolbar">
+                <p className="empty-subtext">
+                    Files in the trash are permanently deleted after {retentionDays} days
+                </p>
+                {canDeletePermanently && (
+                    <button
+                        className="btn btn-danger"
+                        onClick={handleEmptyTrash}
+                        disabled={busy !== null}
+                    >
+                        Empty Trash
+                    </button>
+                )}
+            </div>
+
+            <div className="file-list">
+                {files.map((file) => {
+                    const fileId = file.id || file._id;
+
+                    return (
+                        <div key={fileId} className="file-item glass-card fade-in">
+                            <div className="file-icon">
+                                {getFileIcon(file.mimeType)}
+                                {getFileExtension(file.filename) && (
+                                    <span className="file-extension">{getFileExtension(file.filename)}</span>
+                                )}
+                            </div>
+
+                            <div className="file-info">
+                                <div className="file-name">{file.filename}</div>
+                                <div className="file-meta">
+                                    <span>{formatFileSize(file.size)}</span>
+                                    <span>•</span>
+                                    <span>Deleted {formatDate(file.deletedAt)}</span>
+                                    <span>•</span>
+                                    <span>{file.path}</span>
+                                </div>
+                            </div>
+
+                            <div className="file-actions">
+                                <button
+                                    className="btn-icon"
+                                    onClick={() => handleRestore(file)}
+                                    disabled={busy !== null}
+                                    title="Restore"
+                                >
+                                    {busy === fileId ? '⏳' : '↩️'}
+                                </button>
+                                {canDeletePermanently && (
+                                    <button
+                                        className="btn-icon btn-icon-danger"
+                                        onClick={() => handleDeletePermanently(file)}
+                                        disabled={busy !== null}
+                                        title="Delete permanently"
+                                    >
+                                        ❌
+                                    </button>
+                                )}
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+        </>
+    );
+}
+
+export default TrashList;
@@ -0,0 +1,126 @@
+import React, { useState, useEffect } from 'react';
+import { fileAPI } from '../../services/api';
+import { formatFileSize, formatDate } from '../../utils/fileUtils';
+import './VersionDrawer.css';
+
+function VersionDrawer({ file, onClose, onDownload, onPreview, canRestore = false }) {
+    const [versions, setVersions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [restoring, setRestoring] = useState(null);
+    const [error, setError] = useState('');
+
+    const fileId = file?.id || file?._id;
+
+    const loadVersions = async () => {
+        setLoading(true);
+        setError('');
+        try {
+            const response = await fileAPI.getVersions(fileId);
+            setVersions(response.data.versions);
+        } catch (error) {
+            console.error('Error loading versions:', error);
+            setError(error.response?.data?.error || 'Failed to load versions');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        if (fileId) {
+            loadVersions();
+        }
+    }, [fileId]);
+
+    const handleRestore = async (version) => {
+        if (!confirm(`Restore version ${version.version} of "${file.filename}"?`)) {
+            return;
+        }
+
+        setRestoring(version.version);
+        try {
+            await fileAPI.restoreVersion(fileId, version.version);
+            await loadVersions();
+        } catch (error) {
+            console.error('Restore error:', error);
+            alert(error.response?.data?.error || 'Failed to restore version');
+        } finally {
+            setRestoring(null);
+        }
+    };
+
+    if (!file) return null;
+
+    return (
+        <div className="drawer-overlay" onClick={onClose}>
+            <aside className="version-drawer glass-card" onClick={(e) => e.stopPropagation()}>
+                <div className="drawer-header">
+                    <div>
+                        <h3>Version history</h3>
+                        <p className="drawer-subtitle">{file.filename}</p>
+                    </div>
+                    <button className="modal-close" onClick={onClose}>×</button>
+                </div>
+
+                {error && <div className="error-message">{error}</div>}
+
+                {loading ? (
+                    <div className="loading-container">
+                        <div className="spinner" />
+                    </div>
+                ) : (
+                    <ul className="version-list">
+                        {versions.map((version) => (
+                            <li key={version.version} className="version-item">
+                                <div className="version-info">
+                                    <div className="version-name">
+                                        Version {version.version}
+                                        {version.isCurrent && <span className="version-badge">Current</span>}
+                                    </div>
+                                    <div className="file-meta">
+                                        <span>{formatFileSize(version.originalSize || version.size)}</span>
+                                        {version.createdAt && (
+                                            <>
+                                                <span>•</span>
+                                                <span>{formatDate(version.createdAt)}</span>
+                                            </>
+                                        )}
+                                    </div>
+                                </div>
+                                <div className="version-actions">
+                                    {onPreview && (
+                                        <button
+                                            className="btn-icon"
+                                            onClick={() => onPreview(version)}
+                                            title="Preview this version"
+                                        >
+                                            👁️
+                                        </button>
+                                    )}
+                                    <button
+                                        className="btn-icon"
+                                        onClick={() => onDownload(version)}
+                                        title="Download this version"
+                                    >
+                                        ⬇️
+                                    </button>
+                                    {canRestore && !version.isCurrent && (
+                                        <button
+                                            className="btn-icon"
+                                            onClick={() => handleRestore(version)}
+                                            disabled={restoring !== null}
+                                            title="Restore this version"
+                                        >
+                                            {restoring === version.version ? '⏳' : '↩️'}
+                                        </button>
+                                    )}
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </aside>
+        </div>
+    );
+}
+
+export default VersionDrawer;
@@ -1,30 +1,79 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import useAuthStore from '../stores/authStore';
 import FileList from '../components/FileManager/FileList';
 import FileUpload from '../components/FileManager/FileUpload';
 import SyncIndicator from '../components/FileManager/SyncIndicator';
-import { fileAPI } from '../services/api';
+import Breadcrumb from '../components/FileManager/Breadcrumb';
+import TrashList from '../components/FileManager/TrashList';
+import NotificationTray, { describeSharedFileChange } from '../components/FileManager/NotificationTray';
+import TeamModal from '../components/FileManager/TeamModal';
+import GroupsModal from '../components/FileManager/GroupsModal';
+import SearchBar, { EMPTY_SEARCH, hasSearchFilters, toSearchParams } from '../components/FileManager/SearchBar';
+import { authAPI, fileAPI, folderAPI, teamAPI, setWorkspace, downloadArchive } from '../services/api';
 import { onFileChange, offFileChange } from '../services/syncService';
-import { formatFileSize } from '../utils/fileUtils';
+import { formatFileSize, FILE_SORTS, insertSorted } from '../utils/fileUtils';
 import { useNavigate } from 'react-router-dom';
 import './Dashboard.css';
 
+const TAB_TITLES = {
+    'my-files': 'My Files',
+    'shared-files': 'Shared with Me',
+    'trash': 'Trash',
+};
+
 function Dashboard() {
     const navigate = useNavigate();
     const [files, setFiles] = useState([]);
+    const [folders, setFolders] = useState([]);
+    const [currentPath, setCurrentPath] = useState('/');
+    const currentPathRef = useRef('/');
+    const [fileSort, setFileSort] = useState({ sort: 'created', order: 'desc' });
+    const [fileView, setFileView] = useState('list'); // 'list' or 'grid' (with large thumbnails)
+    const [selectedIds, setSelectedIds] = useState([]); // Files to download together as a ZIP
+    const fileSortRef = useRef(fileSort);
+    const [filesCursor, setFilesCursor] = useState(null);
+    const [filesHasMore, setFilesHasMore] = useState(false);
+    const filesHasMoreRef = useRef(false);
+    const [filesTotal, setFilesTotal] = useState(0);
+    const [loadingMore, setLoadingMore] = useState(false);
     const [sharedFiles, setSharedFiles] = useState([]);
     const [loading, setLoading] = useState(true);
     const [loadingShared, setLoadingShared] = useState(false);
+    const [trashFiles, setTrashFiles] = useState([]);
+    const [trashRetentionDays, setTrashRetentionDays] = useState(30);
+    const [loadingTrash, setLoadingTrash] = useState(false);
     const [activeTab, setActiveTab] = useState('my-files');
     const { user, logout } = useAuthStore();
     const [lastSync, setLastSync] = useState(null);
+    const [notifications, setNotifications] = useState([]);
+    const [teams, setTeams] = useState([]);
+    const [activeTeam, setActiveTeam] = useState(null); // null: the user's own files
+    const activeTeamRef = useRef(null);
+    const [teamModalOpen, setTeamModalOpen] = useState(false);
+    const [groupsModalOpen, setGroupsModalOpen] = useState(false);
+    const [searchFilters, setSearchFilters] = useState(EMPTY_SEARCH);
+    const [searchResults, setSearchResults] = useState([]);
+    const [searching, setSearching] = useState(false);
+    const searchRequestRef = useRef(0);
+
+    // Keep track of where the next page of files starts
+    const setFilesPage = ({ nextCursor, hasMore, total }) => {
+        setFilesCursor(nextCursor);
+        setFilesHasMore(hasMore);
+        filesHasMoreRef.current = hasMore;
+        setFilesTotal(total);
+    };
 
-    // Load files
-    const loadFiles = async () => {
+    // Load subfolders and the first page of files of the current folder
+    const loadFiles = async (path = currentPath) => {
         try {
-            const response = await fileAPI.list();
-            console.log(response.data.files);
-            setFiles(response.data.files);
+            const [filesResponse, foldersResponse] = await Promise.all([
+                fileAPI.list({ path, ...fileSort }),
+                folderAPI.list(path),
+            ]);
+            setFiles(filesResponse.data.files);
+            setFilesPage(filesResponse.data.pagination);
+            setFolders(foldersResponse.data.folders);
         } catch (error) {
             console.error('Error loading files:', error);
         } finally {
@@ -32,6 +81,34 @@ function Dashboard() {
         }
     };
 
+    // Load the next page of files (infinite scroll)
+    const loadMoreFiles = async () => {
+        if (!filesCursor || loadingMore) {
+            return;
+        }
+
+        const path = currentPath;
+        const sortOrder = fileSort;
+        setLoadingMore(true);
+        try {
+            const response = await fileAPI.list({ path, ...sortOrder, cursor: filesCursor });
+            if (path !== currentPathRef.current || sortOrder !== fileSortRef.current) {
+                return; // Navigated elsewhere or re-sorted meanwhile
+            }
+
+            // Files that arrived through sync meanwhile are already listed
+            setFiles((prev) => {
+                const loaded = new Set(prev.map((f) => f.id || f._id));
+                return [...prev, ...response.data.files.filter((f) => !loaded.has(f.id || f._id))];
+            });
+            setFilesPage(response.data.pagination);
+        } catch (error) {
+            console.error('Error loading more files:', error);
+        } finally {
+            setLoadingMore(false);
+        }
+    };
+
     // Load shared files
     const loadSharedFiles = async () => {
         setLoadingShared(true);
@@ -46,30 +123,182 @@ function Dashboard() {
         }
     };
 
+    // Load trashed files
+    const loadTrash = async () => {
+        setLoadingTrash(true);
+        try {
+            const response = await fileAPI.getTrash();
+            setTrashFiles(response.data.files);
+            setTrashRetentionDays(response.data.retentionDays);
+        } catch (error) {
+            console.error('Error loading trash:', error);
+        } finally {
+            setLoadingTrash(false);
+        }
+    };
+
+    // Search the workspace and the files shared with the user; responses
+    // to earlier searches are dropped
+    const runSearch = async (filters, path) => {
+        const request = ++searchRequestRef.current;
+        setSearching(true);
+        try {
+            const response = await fileAPI.search(toSearchParams(filters, path));
+            if (request === searchRequestRef.current) {
+                setSearchResults(response.data.files);
+            }
+        } catch (error) {
+            console.error('Error searching files:', error);
+        } finally {
+            if (request === searchRequestRef.current) {
+                setSearching(false);
+            }
+        }
+    };
+
+    // Load the user's teams (also refreshes the active team's storage)
+    const loadTeams = async () => {
+        try {
+            const response = await teamAPI.list();
+            setTeams(response.data.teams);
+
+            const current = activeTeamRef.current;
+            if (current) {
+                const updated = response.data.teams.find((team) => team.id === current.id);
+                if (updated) {
+                    activeTeamRef.current = updated;
+                    setActiveTeam(updated);
+                } else {
+                    switchWorkspace(null); // Removed from the team
+                }
+            }
+        } catch (error) {
+            console.error('Error loading teams:', error);
+        }
+    };
+
+    // Switch between the user's own files (null) and a team's workspace
+    const switchWorkspace = (team) => {
+        setWorkspace(team?.id || null);
+        activeTeamRef.current = team;
+        setActiveTeam(team);
+        setLoading(true);
+        setFiles([]);
+        setFilesPage({ nextCursor: null, hasMore: false, total: 0 });
+        setFolders([]);
+        setCurrentPath('/');
+        if (activeTab === 'trash') {
+            setActiveTab('my-files');
+        }
+    };
+
     useEffect(() => {
-        loadFiles();
+        loadTeams();
+    }, []);
+
+    useEffect(() => {
+        currentPathRef.current = currentPath;
+        fileSortRef.current = fileSort;
+        loadFiles(currentPath);
         if (activeTab === 'shared-files') {
             loadSharedFiles();
         }
-    }, [activeTab]);
+        if (activeTab === 'trash') {
+            loadTrash();
+        }
+    }, [activeTab, currentPath, activeTeam?.id, fileSort]);
+
+    // Selections are of the files on screen
+    useEffect(() => {
+        setSelectedIds([]);
+    }, [activeTab, currentPath, activeTeam?.id, searchFilters]);
+
+    // Search as the user types (debounced) or toggles filters
+    useEffect(() => {
+        if (!hasSearchFilters(searchFilters)) {
+            searchRequestRef.current++;
+            setSearchResults([]);
+            setSearching(false);
+            return;
+        }
+
+        const timer = setTimeout(() => runSearch(searchFilters, currentPath), 300);
+        return () => clearTimeout(timer);
+    }, [searchFilters, currentPath, activeTeam?.id]);
 
     // Listen for CDC file changes
     useEffect(() => {
+        // Changes to files shared with the user update the shared list and
+        // show up in the notification tray
+        const handleSharedFileChange = (data) => {
+            const fileId = data.file ? data.file.id || data.file._id : null;
+
+            if (!data.file) {
+                // Access through a group or folder changed: any number of
+                // files appeared or disappeared
+                loadSharedFiles();
+            } else {
+                const lostAccess = ['unshare', 'delete'].includes(data.type) || data.file.isDeleted;
+                setSharedFiles((prev) => {
+                    const others = prev.filter((f) => (f.id || f._id) !== fileId);
+                    if (lostAccess) {
+                        return others;
+                    }
+                    if (data.type === 'share' || others.length === prev.length) {
+                        return [data.file, ...others];
+                    }
+                    return prev.map((f) => ((f.id || f._id) === fileId ? { ...f, ...data.file } : f));
+                });
+            }
+
+            const message = describeSharedFileChange(data);
+            if (message) {
+                setNotifications((prev) => [
+                    { id: `${fileId || data.type}-${Date.now()}`, message, createdAt: new Date(), read: false },
+                    ...prev,
+                ].slice(0, 50));
+            }
+        };
+
         const handleFileChange = (data) => {
             console.log('File change received:', data);
             setLastSync(new Date());
 
-            if (data.type === 'insert' && data.file.uploadStatus === 'completed') {
+            if (data.shared) {
+                handleSharedFileChange(data);
+                return;
+            }
+
+            // Changes in another workspace than the open one
+            const workspaceOwner = activeTeamRef.current?.id || useAuthStore.getState().user?.id;
+            if (data.file.owner && data.file.owner !== workspaceOwner) {
+                return;
+            }
+
+            const fileId = data.file.id || data.file._id;
+            const inOpenFolder = data.file.path === currentPathRef.current;
+
+            // Files go to their place in the current sort order (or wait for
+            // a later page if they sort after everything loaded so far)
+            const placeFile = (files, file) => insertSorted(files, file, fileSortRef.current, filesHasMoreRef.current);
+
+            if (data.type === 'delete' || data.file.isDeleted || !inOpenFolder) {
+                // File deleted, moved to the trash or moved out of the open folder
+                setFiles((prev) => prev.filter((f) => (f.id || f._id) !== fileId));
+            } else if (data.type === 'insert' && data.file.uploadStatus === 'completed') {
                 // New file uploaded
-                setFiles((prev) => [data.file, ...prev]);
+                setFiles((prev) => placeFile(prev, data.file));
             } else if (data.type === 'update') {
-                // File updated
-                setFiles((prev) =>
-                    prev.map((f) => ((f.id || f._id) === (data.file.id || data.file._id) ? { ...f, ...data.file } : f))
-                );
-            } else if (data.type === 'delete' || data.file.isDeleted) {
-                // File deleted
-                setFiles((prev) => prev.filter((f) => (f.id || f._id) !== (data.file.id || data.file._id)));
+                // File updated (which may change its place), restored from the
+                // trash or moved into the open folder
+                setFiles((prev) => {
+                    const existing = prev.find((f) => (f.id || f._id) === fileId);
+                    const others = prev.filter((f) => f !== existing);
+                    if (existing) {
+                        return placeFile(others, { ...existing, ...data.file });
+                    }
+                    return data.file.uploadStatus === 'completed' ? placeFile(prev, data.file) : prev;
+                });
             }
         };
 
@@ -83,11 +312,13 @@ function Dashboard() {
     const handleLogout = async () => {
         try {
             await authAPI.logout();
+            setWorkspace(null);
             logout();
             navigate('/login');
         } catch (error) {
             console.error('Logout error:', error);
             // Force logout on error
+            setWorkspace(null);
             logout();
             navigate('/login');
         }
@@ -96,16 +327,123 @@ function Dashboard() {
     const handleFileDeleted = (fileId) => {
         setFiles((prev) => prev.filter((f) => (f.id || f._id) !== fileId));
         setSharedFiles((prev) => prev.filter((f) => (f.id || f._id) !== fileId));
+        setSearchResults((prev) => prev.filter((f) => (f.id || f._id) !== fileId));
+        setSelectedIds((prev) => prev.filter((id) => id !== fileId));
+    };
+
+    const handleToggleSelect = (file) => {
+        const fileId = file.id || file._id;
+        setSelectedIds((prev) => (
+            prev.includes(fileId) ? prev.filter((id) => id !== fileId) : [...prev, fileId]
+        ));
+    };
+
+    // File renamed or its tags or metadata edited on this device (other
+    // devices get the changes through CDC)
+    const handleFileUpdated = (file) => {
+        const fileId = file.id || file._id;
+        const update = (prev) => prev.map((f) => (
+            (f.id || f._id) === fileId
+                ? { ...f, filename: file.filename, tags: file.tags, metadata: file.metadata }
+                : f
+        ));
+
+        setFiles(update);
+        setSharedFiles(update);
+        setSearchResults(update);
+    };
+
+    // Clicking a tag searches the files that have it
+    const handleTagClick = (tag) => {
+        setSearchFilters((prev) => (
+            prev.tags.includes(tag) ? prev : { ...prev, tags: [...prev.tags, tag] }
+        ));
+    };
+
+    const handleFileMoved = (fileId, path) => {
+        if (path !== currentPath) {
+            setFiles((prev) => prev.filter((f) => (f.id || f._id) !== fileId));
+        }
+    };
+
+    const handleNavigate = (path) => {
+        setLoading(true);
+        setCurrentPath(path);
+    };
+
+    const handleCreateFolder = async () => {
+        const name = prompt('New folder name:');
+        if (!name) {
+            return;
+        }
+
+        try {
+            await folderAPI.create({ name, path: currentPath });
+            loadFiles();
+        } catch (error) {
+            console.error('Create folder error:', error);
+            alert(error.response?.data?.error || 'Failed to create folder');
+        }
     };
 
     const handleUploadComplete = () => {
         // Reload files after upload
         loadFiles();
+        if (activeTeam) {
+            loadTeams();
+        }
+    };
+
+    const handleTeamCreated = (team) => {
+        setTeams((prev) => [...prev, team].sort((a, b) => a.name.localeCompare(b.name)));
+        switchWorkspace(team);
     };
 
-    const currentFiles = activeTab === 'my-files' ? files : sharedFiles;
-    const currentLoading = activeTab === 'my-files' ? loading : loadingShared;
-    const currentFileCount = currentFiles.length;
+    const handleTeamLeft = () => {
+        setTeamModalOpen(false);
+        switchWorkspace(null);
+        loadTeams();
+    };
+
+    const removeFromTrash = (fileId) => {
+        setTrashFiles((prev) => prev.filter((f) => (f.id || f._id) !== fileId));
+    };
+
+    // Permanently deleted (null: trash emptied); frees the team's storage
+    const handleTrashDeleted = (fileId) => {
+        if (fileId) {
+            removeFromTrash(fileId);
+        } else {
+            setTrashFiles([]);
+        }
+        if (activeTeam) {
+            loadTeams();
+        }
+    };
+
+    // Team workspaces use the team's pooled quota
+    const storage = activeTeam || user;
+    const storageQuota = storage?.storageQuota || 5 * 1024 * 1024 * 1024;
+    const storagePercent = (bytes) => Math.min(100, ((bytes || 0) / storageQuota) * 100);
+
+    // Team viewers can only browse and download
+    const canWriteWorkspace = !activeTeam || activeTeam.fileRole !== 'viewer';
+    // Searching replaces the file list (the trash isn't searched)
+    const searchActive = activeTab !== 'trash' && hasSearchFilters(searchFilters);
+    const tabTitle = searchActive
+        ? 'Search Results'
+        : activeTab === 'my-files' && activeTeam ? activeTeam.name : TAB_TITLES[activeTab];
+
+    const currentFiles = searchActive
+        ? searchResults
+        : { 'my-files': files, 'shared-files': sharedFiles, 'trash': trashFiles }[activeTab];
+    const currentLoading = searchActive
+        ? searching && searchResults.length === 0
+        : { 'my-files': loading, 'shared-files': loadingShared, 'trash': loadingTrash }[activeTab];
+    // Only some pages of the open folder may be loaded
+    const currentFileCount = activeTab === 'my-files' && !searchActive && filesHasMore
+        ? Math.max(filesTotal, files.length)
+        : currentFiles.length;
 
     return (
         <div className="dashboard">
@@ -113,17 +451,62 @@ function Dashboard() {
                 <div className="header-left">
                     <h1 className="logo">☁️ File Sync App</h1>
                     <SyncIndicator lastSync={lastSync} />
+                    <div className="workspace-switcher">
+                        <select
+                            value={activeTeam?.id || ''}
+                            onChange={(e) => switchWorkspace(teams.find((team) => team.id === e.target.value) || null)}
+                            title="Workspace"
+                        >
+                            <option value="">My workspace</option>
+                            {teams.map((team) => (
+                                <option key={team.id} value={team.id}>👥 {team.name}</option>
+                            ))}
+                        </select>
+                        <button
+                            className="btn btn-secondary"
+                            onClick={() => setTeamModalOpen(true)}
+                            title={activeTeam ? 'Team members' : 'Create a team'}
+                        >
+                            👥
+                        </button>
+                        <button
+                            className="btn btn-secondary"
+                            onClick={() => setGroupsModalOpen(true)}
+                            title="Contact groups"
+                        >
+                            👪
+                        </button>
+                    </div>
                 </div>
 
 
                 <div className="header-right">
+                    <NotificationTray
+                        notifications={notifications}
+                        onMarkRead={() => setNotifications((prev) => prev.map((n) => ({ ...n, read: true })))}
+                        onClear={() => setNotifications([])}
+                    />
                     {user && (
                         <div className="user-info">
                             <div className="user-avatar">{user.username[0].toUpperCase()}</div>
                             <div className="user-details">
                                 <div className="user-name">{user.username}</div>
                                 <div className="user-storage">
-                                    {formatFileSize(user.storageUsed || 0)} / {formatFileSize(user.storageQuota || 5 * 1024 * 1024 * 1024)}
+                                    {activeTeam && <>{activeTeam.name}: </>}
+                                    {formatFileSize(storage.storageUsed || 0)} / {formatFileSize(storageQuota)}
+                                    {storage.storageReserved > 0 && (
+                                        <> • {formatFileSize(storage.storageReserved)} reserved</>
+                                    )}
+                                </div>
+                                <div className="storage-bar" title="Used / reserved by uploads in progress">
+                                    <div
+                                        className="storage-bar-used"
+                                        style={{ width: `${storagePercent(storage.storageUsed)}%` }}
+                                    />
+                                    <div
+                                        className="storage-bar-reserved"
+                                        style={{ width: `${storagePercent(storage.storageReserved)}%` }}
+                                    />
                                 </div>
                             </div>
                         </div>
@@ -141,7 +524,7 @@ function Dashboard() {
                             className={`tab-button ${activeTab === 'my-files' ? 'active' : ''}`}
                             onClick={() => setActiveTab('my-files')}
                         >
-                            My Files
+                            {activeTeam ? activeTeam.name : 'My Files'}
                         </button>
                         <button
                             className={`tab-button ${activeTab === 'shared-files' ? 'active' : ''}`}
@@ -149,30 +532,162 @@ function Dashboard() {
                         >
                             Shared with Me
                         </button>
+                        {canWriteWorkspace && (
+                            <button
+                                className={`tab-button ${activeTab === 'trash' ? 'active' : ''}`}
+                                onClick={() => setActiveTab('trash')}
+                            >
+                                Trash
+                            </button>
+                        )}
                     </div>
                     <div>
-                        <h2>{activeTab === 'my-files' ? 'My Files' : 'Shared with Me'}</h2>
+                        <h2>{tabTitle}</h2>
                         <p className="content-subtitle">
+                            {activeTab === 'my-files' && !searchActive && folders.length > 0 && (
+                                <>{folders.length} {folders.length === 1 ? 'folder' : 'folders'}, </>
+                            )}
                             {currentFileCount} {currentFileCount === 1 ? 'file' : 'files'}
                         </p>
                     </div>
+                    {activeTab !== 'trash' && (
+                        <div className="content-actions">
+                            <button
+                                className="btn btn-secondary"
+                                onClick={() => setFileView(fileView === 'grid' ? 'list' : 'grid')}
+                                title={fileView === 'grid' ? 'List view' : 'Grid view'}
+                            >
+                                {fileView === 'grid' ? '☰' : '▦'}
+                            </button>
+                            {selectedIds.length > 0 && (
+                                <>
+                                    <button
+                                        className="btn btn-primary"
+                                        onClick={() => downloadArchive({ fileIds: selectedIds })}
+                                    >
+                                        ⬇️ Download selected ({selectedIds.length})
+                                    </button>
+                                    <button className="btn btn-secondary" onClick={() => setSelectedIds([])}>
+                                        Clear
+                                    </button>
+                                </>
+                            )}
+                            {activeTab === 'my-files' && !searchActive && (
+                                <>
+                                    <div className="sort-controls">
+                                        <select
+                                            value={fileSort.sort}
+                                            onChange={(e) => setFileSort({ ...fileSort, sort: e.target.value })}
+                                            title="Sort by"
+                                        >
+                                            {Object.entries(FILE_SORTS).map(([value, { label }]) => (
+                                                <option key={value} value={value}>{label}</option>
+                                            ))}
+                                        </select>
+                                        <button
+                                            className="btn btn-secondary"
+                                            onClick={() => setFileSort({ ...fileSort, order: fileSort.order === 'asc' ? 'desc' : 'asc' })}
+                                            title={fileSort.order === 'asc' ? 'Ascending' : 'Descending'}
+                                        >
+                                            {fileSort.order === 'asc' ? '↑' : '↓'}
+                                        </button>
+                                    </div>
+                                    {canWriteWorkspace && (
+                                        <button className="btn btn-secondary" onClick={handleCreateFolder}>
+                                            📁 New Folder
+                                        </button>
+                                    )}
+                                </>
+                            )}
+                        </div>
+                    )}
                 </div>
 
-                {activeTab === 'my-files' && <FileUpload onUploadComplete={handleUploadComplete} />}
+                {activeTab !== 'trash' && (
+                    <SearchBar
+                        filters={searchFilters}
+                        onChange={setSearchFilters}
+                        currentPath={activeTab === 'my-files' ? currentPath : '/'}
+                    />
+                )}
+
+                {activeTab === 'my-files' && !searchActive && (
+                    <>
+                        <Breadcrumb path={currentPath} onNavigate={handleNavigate} />
+                        {canWriteWorkspace && (
+                            <FileUpload path={currentPath} onUploadComplete={handleUploadComplete} />
+                        )}
+                    </>
+                )}
 
                 {currentLoading ? (
                     <div className="loading-container">
                         <div className="spinner" />
-                        <p>Loading {activeTab === 'my-files' ? 'files' : 'shared files'}...</p>
+                        <p>Loading {tabTitle.toLowerCase()}...</p>
                     </div>
+                ) : activeTab === 'trash' ? (
+                    <TrashList
+                        files={trashFiles}
+                        retentionDays={trashRetentionDays}
+                        onRestored={removeFromTrash}
+                        onDeleted={handleTrashDeleted}
+                        onEmptied={() => handleTrashDeleted(null)}
+                        canDeletePermanently={!activeTeam || activeTeam.role === 'admin'}
+                    />
+                ) : searchActive ? (
+                    <FileList
+                        files={searchResults}
+                        onFileDeleted={handleFileDeleted}
+                        onFileMoved={() => runSearch(searchFilters, currentPath)}
+                        onVersionUploaded={() => runSearch(searchFilters, currentPath)}
+                        onFileUpdated={handleFileUpdated}
+                        onTagClick={handleTagClick}
+                        showOwner
+                        showPath
+                        workspaceOwner={activeTeam?.id || user?.id}
+                        searchText={searchFilters.q}
+                        workspaceRole={activeTeam ? activeTeam.fileRole : 'owner'}
+                        emptyText="No matching files"
+                        emptySubtext="Try other search text or filters"
+                        view={fileView}
+                        selectedIds={selectedIds}
+                        onToggleSelect={handleToggleSelect}
+                    />
                 ) : (
                     <FileList
                         files={currentFiles}
+                        folders={activeTab === 'my-files' ? folders : []}
                         onFileDeleted={handleFileDeleted}
+                        onFileMoved={handleFileMoved}
+                        onOpenFolder={handleNavigate}
+                        onFoldersChanged={() => loadFiles()}
+                        onVersionUploaded={() => (activeTab === 'shared-files' ? loadSharedFiles() : loadFiles())}
+                        onFileUpdated={handleFileUpdated}
+                        onTagClick={handleTagClick}
                         showOwner={activeTab === 'shared-files'}
+                        workspaceRole={activeTeam ? activeTeam.fileRole : 'owner'}
+                        hasMore={activeTab === 'my-files' && filesHasMore}
+                        loadingMore={loadingMore}
+                        onLoadMore={loadMoreFiles}
+                        view={fileView}
+                        selectedIds={selectedIds}
+                        onToggleSelect={handleToggleSelect}
                     />
                 )}
             </main>
+
+            <TeamModal
+                isOpen={teamModalOpen}
+                onClose={() => setTeamModalOpen(false)}
+                team={activeTeam}
+                onTeamCreated={handleTeamCreated}
+                onTeamLeft={handleTeamLeft}
+            />
+
+            <GroupsModal
+                isOpen={groupsModalOpen}
+                onClose={() => setGroupsModalOpen(false)}
+            />
         </div >
     );
 }
@@ -0,0 +1,154 @@
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import { publicAPI } from '../services/api';
+import { formatFileSize, formatDate, getFileIcon, saveFromUrl } from '../utils/fileUtils';
+import '../components/Auth/Auth.css';
+import './PublicShare.css';
+
+/**
+ * Page behind a public share link (/s/:token), usable without an account
+ */
+function PublicShare() {
+    const { token } = useParams();
+    const [share, setShare] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [passwordRequired, setPasswordRequired] = useState(false);
+    const [password, setPassword] = useState('');
+    const [downloading, setDownloading] = useState(null);
+    // Folder links count one download per visit: token of this visit once counted
+    const [visit, setVisit] = useState(null);
+
+    const openLink = async (linkPassword) => {
+        setLoading(true);
+        setError('');
+
+        try {
+            const response = await publicAPI.open(token, linkPassword);
+            setShare(response.data);
+            setPasswordRequired(false);
+        } catch (err) {
+            setPasswordRequired(!!err.response?.data?.passwordRequired);
+            setError(err.response?.data?.error || 'Failed to open link');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        openLink();
+    }, [token]);
+
+    const handlePasswordSubmit = (e) => {
+        e.preventDefault();
+        openLink(password);
+    };
+
+    const handleDownload = async (file) => {
+        setDownloading(file.id);
+        setError('');
+
+        try {
+            const response = await publicAPI.download(token, { password, fileId: file.id, visit });
+            await saveFromUrl(response.data.downloadUrl, response.data);
+
+            if (response.data.visit) {
+                setVisit(response.data.visit);
+            }
+
+            if (share.type === 'file' || response.data.visit) {
+                setShare((prev) => ({
+                    ...prev,
+                    downloadsRemaining: prev.downloadsRemaining === null ? null : prev.downloadsRemaining - 1,
+                }));
+            }
+        } catch (err) {
+            console.error('Download error:', err);
+            setError(err.response?.data?.error || 'Failed to download file');
+        } finally {
+            setDownloading(null);
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="auth-container">
+                <div className="spinner" />
+            </div>
+        );
+    }
+
+    return (
+        <div className="auth-container">
+            <div className="auth-card public-share-card glass-card fade-in">
+                <div className="auth-header">
+                    <h1>☁️ {share ? share.name : 'Shared File'}</h1>
+                    {share && (
+                        <p>
+                            {share.type === 'folder' ? 'Shared folder' : 'Shared file'}
+                            {share.expiresAt && <> • Expires {formatDate(share.expiresAt)}</>}
+                            {share.downloadsRemaining !== null && <> • {share.downloadsRemaining} downloads left</>}
+                        </p>
+                    )}
+                </div>
+
+                {error && (
+                    <div className="error-message slide-up">
+                        {error}
+                    </div>
+                )}
+
+                {passwordRequired && (
+                    <form onSubmit={handlePasswordSubmit}>
+                        <div className="form-group">
+                            <label htmlFor="password" className="form-label">Password</label>
+                            <input
+                                type="password"
+                                id="password"
+                                className="input"
+                                value={password}
+                                onChange={(e) => setPassword(e.target.value)}
+                                required
+                                autoFocus
+                            />
+                        </div>
+
+                        <button type="submit" className="btn btn-primary btn-full">
+                            Open
+                        </button>
+                    </form>
+                )}
+
+                {share && (
+                    <div className="public-share-files">
+                        {share.files.length === 0 && <p className="public-share-empty">This folder is empty</p>}
+
+                        {share.files.map((file) => (
+                            <div key={file.id} className="public-share-file">
+                                <div className="file-icon">{getFileIcon(file.mimeType)}</div>
+                                <div className="public-share-file-info">
+                                    <div className="public-share-file-name">
+                                        {file.path !== '/' && <span className="public-share-file-path">{file.path.slice(1)}/</span>}
+                                        {file.filename}
+                                    </div>
+                                    <div className="public-share-file-meta">
+                                        {formatFileSize(file.originalSize || file.size)}
+                                    </div>
+                                </div>
+                                <button
+                                    className="btn btn-primary"
+                                    onClick={() => handleDownload(file)}
+                                    disabled={downloading === file.id || (share.downloadsRemaining === 0 && !visit)}
+                                >
+                                    {downloading === file.id ? 'Downloading...' : 'Download'}
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default PublicShare;
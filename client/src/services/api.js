@@ -16,6 +16,23 @@ const api = axios.create({
     withCredentials: true, // Send cookies with requests
 });
 
+/**
+ * Switch the workspace file and folder requests act on: a team's (by id),
+ * or the user's own files with null. Sent to the server as X-Team-Id.
+ */
+export const setWorkspace = (teamId) => {
+    if (teamId) {
+        api.defaults.headers.common['X-Team-Id'] = teamId;
+    } else {
+        delete api.defaults.headers.common['X-Team-Id'];
+    }
+};
+
+/**
+ * Id of the team whose workspace is active, or null for the user's own
+ */
+export const getWorkspace = () => api.defaults.headers.common['X-Team-Id'] || null;
+
 /**
  * Request interceptor
  */
@@ -36,7 +53,9 @@ api.interceptors.response.use(
     (response) => response,
     (error) => {
         if (error.response?.status === 401) {
-            if (window.location.pathname !== '/login' && window.location.pathname !== '/register') {
+            const publicPage = ['/login', '/register'].includes(window.location.pathname)
+                || window.location.pathname.startsWith('/s/');
+            if (!publicPage) {
                 window.location.href = '/login';
             }
         }
@@ -60,36 +79,158 @@ export const authAPI = {
 export const fileAPI = {
     list: (params) => api.get('/files', { params }),
     get: (id) => api.get(`/files/${id}`),
+    update: (id, data) => api.patch(`/files/${id}`, data),
+    rename: (id, filename) => api.patch(`/files/${id}`, { filename }),
+    getTags: (prefix) => api.get('/files/tags', { params: { prefix } }),
     initUpload: (data) => api.post('/files/init-upload', data),
-    getPresignedUrl: (data) => api.post('/files/presigned-url', data),
+    getPresignedUrl: (data, config) => api.post('/files/presigned-url', data, config),
     completeUpload: (data) => api.post('/files/complete-upload', data),
-    download: (id) => api.get(`/files/${id}/download`),
+    download: (id, version) => api.get(`/files/${id}/download`, { params: { version } }),
+    preview: (id, version) => api.get(`/files/${id}/preview`, { params: { version } }),
     delete: (id) => api.delete(`/files/${id}`),
     getUploadStatus: (id) => api.get(`/files/${id}/upload-status`),
-    share: (id, email) => api.post(`/files/${id}/share`, { email }),
+    listParts: (id) => api.get(`/files/${id}/parts`),
+    abortUpload: (id) => api.post(`/files/${id}/abort-upload`),
+    share: (id, email, role) => api.post(`/files/${id}/share`, { email, role }),
+    getAccess: (id) => api.get(`/files/${id}/access`),
+    updateShare: (id, userId, role) => api.patch(`/files/${id}/shares/${userId}`, { role }),
     getShared: (params) => api.get('/files/shared', { params }),
+    search: (params) => api.get('/files/search', { params }),
     unshare: (id, userId) => api.delete(`/files/${id}/unshare/${userId}`),
+    shareWithGroup: (id, groupId, role) => api.post(`/files/${id}/group-shares`, { groupId, role }),
+    unshareGroup: (id, groupId) => api.delete(`/files/${id}/group-shares/${groupId}`),
+    move: (id, path) => api.post(`/files/${id}/move`, { path }),
+    getTrash: () => api.get('/files/trash'),
+    restore: (id) => api.post(`/files/${id}/restore`),
+    deletePermanently: (id) => api.delete(`/files/${id}/permanent`),
+    emptyTrash: () => api.delete('/files/trash'),
+    getVersions: (id) => api.get(`/files/${id}/versions`),
+    restoreVersion: (id, version) => api.post(`/files/${id}/versions/${version}/restore`),
+};
+
+/**
+ * URL downloading a file (or one of its versions) streamed by the server,
+ * decompressed, for the browser's download manager (progress and resume)
+ */
+export const getStreamUrl = (file, version) => (
+    `${API_BASE_URL}/files/${file.id || file._id}/stream${version ? `?version=${version}` : ''}`
+);
+
+/**
+ * URL of a thumbnail of an image (small, medium or large), for the src of
+ * an <img>: the server redirects to the stored thumbnail. The version makes
+ * browsers load the new thumbnail when the image changes.
+ */
+export const getThumbnailUrl = (file, size) => (
+    `${API_BASE_URL}/files/${file.id || file._id}/thumbnail?size=${size}&v=${file.version || 1}`
+);
+
+/**
+ * Download files and/or a folder of the current workspace as one ZIP. The
+ * request is a form post, so the browser's download manager saves the
+ * archive as the server streams it.
+ */
+export const downloadArchive = ({ fileIds = [], path } = {}) => {
+    const fields = { fileIds: fileIds.join(','), path, teamId: getWorkspace() };
+
+    const form = document.createElement('form');
+    form.method = 'POST';
+    form.action = `${API_BASE_URL}/files/archive`;
+    form.style.display = 'none';
+
+    for (const [name, value] of Object.entries(fields)) {
+        if (value) {
+            const input = document.createElement('input');
+            input.type = 'hidden';
+            input.name = name;
+            input.value = value;
+            form.appendChild(input);
+        }
+    }
+
+    document.body.appendChild(form);
+    form.submit();
+    document.body.removeChild(form);
+};
+
+/**
+ * Folder APIs
+ */
+export const folderAPI = {
+    list: (path) => api.get('/folders', { params: { path } }),
+    create: (data) => api.post('/folders', data),
+    rename: (id, name) => api.post(`/folders/${id}/rename`, { name }),
+    move: (id, path) => api.post(`/folders/${id}/move`, { path }),
+    delete: (id) => api.delete(`/folders/${id}`),
+    getAccess: (id) => api.get(`/folders/${id}/access`),
+    shareWithGroup: (id, groupId, role) => api.post(`/folders/${id}/group-shares`, { groupId, role }),
+    unshareGroup: (id, groupId) => api.delete(`/folders/${id}/group-shares/${groupId}`),
+};
+
+/**
+ * Team APIs
+ */
+export const teamAPI = {
+    list: () => api.get('/teams'),
+    get: (id) => api.get(`/teams/${id}`),
+    create: (name) => api.post('/teams', { name }),
+    addMember: (id, email, role) => api.post(`/teams/${id}/members`, { email, role }),
+    updateMember: (id, userId, role) => api.patch(`/teams/${id}/members/${userId}`, { role }),
+    removeMember: (id, userId) => api.delete(`/teams/${id}/members/${userId}`),
+};
+
+/**
+ * Contact group APIs
+ */
+export const groupAPI = {
+    list: () => api.get('/groups'),
+    create: (name) => api.post('/groups', { name }),
+    delete: (id) => api.delete(`/groups/${id}`),
+    addMember: (id, email) => api.post(`/groups/${id}/members`, { email }),
+    removeMember: (id, userId) => api.delete(`/groups/${id}/members/${userId}`),
+};
+
+/**
+ * Public link APIs (for owners managing links)
+ */
+export const linkAPI = {
+    list: (params) => api.get('/links', { params }),
+    create: (data) => api.post('/links', data),
+    revoke: (id) => api.delete(`/links/${id}`),
+    getAccessLog: (id) => api.get(`/links/${id}/access-log`),
+};
+
+/**
+ * Public share page APIs (no login needed)
+ */
+export const publicAPI = {
+    open: (token, password) => api.post(`/public/links/${token}`, { password }),
+    download: (token, data) => api.post(`/public/links/${token}/download`, data),
 };
 
 /**
- * Direct upload to S3 using pre-signed URL
+ * Direct upload to S3 using pre-signed URL (aborting `signal` cancels the
+ * request), with the extra `headers` the URL was signed with
  */
-export const uploadToS3 = async (presignedUrl, chunk) => {
+export const uploadToS3 = async (presignedUrl, chunk, signal, headers = {}) => {
     const response = await fetch(presignedUrl, {
         method: 'PUT',
         body: chunk,
         headers: {
             'Content-Type': 'application/octet-stream',
+            ...headers,
         },
+        signal,
     });
 
     if (!response.ok) {
         throw new Error('Failed to upload chunk to S3');
     }
 
-    // Get ETag from response headers
+    // Get ETag from response headers, without its quotes (as the server
+    // lists uploaded parts)
     const etag = response.headers.get('ETag');
-    return etag;
+    return etag && etag.replace(/"/g, '');
 };
 
 export default api;
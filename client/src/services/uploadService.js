@@ -0,0 +1,280 @@
+import pako from 'pako';
+import { fileAPI, uploadToS3, getWorkspace } from './api';
+import { chunkFile, calculateFileHash, calculateChunkHash, formatFileSize } from '../utils/fileUtils';
+import { getSessionKey, getSession, saveSession, deleteSession } from './uploadSessionStore';
+
+/**
+ * Number of chunks uploaded to S3 in parallel
+ */
+const MAX_CONCURRENT_UPLOADS = 5;
+
+/**
+ * Check if file should be compressed (text-based files)
+ */
+export const shouldCompressFile = (file) => {
+    const textTypes = [
+        'text/',
+        'application/json',
+        'application/javascript',
+        'application/xml',
+        'application/x-javascript',
+        'application/typescript',
+    ];
+    return textTypes.some(type => file.type.startsWith(type) || file.type === type);
+};
+
+/**
+ * Compress file using gzip
+ */
+export const compressFile = async (file) => {
+    const arrayBuffer = await file.arrayBuffer();
+    const compressed = pako.gzip(new Uint8Array(arrayBuffer));
+    return new Blob([compressed], { type: file.type });
+};
+
+/**
+ * Scope of a saved upload session: the file it versions, or the folder of
+ * the active workspace it goes to
+ */
+const getSessionScope = (path, versionOf) => {
+    if (versionOf) {
+        return `version:${versionOf}`;
+    }
+    const teamId = getWorkspace();
+    return teamId ? `team:${teamId}:${path}` : path;
+};
+
+/**
+ * Get the parts S3 already holds for a saved session, or null if the
+ * session can't be resumed (different content, completed upload, or one the
+ * server aborted: cancelled, or left alone past its expiry). Other errors
+ * are thrown, keeping the session for a later attempt.
+ */
+const getResumableParts = async (session, hash) => {
+    if (!session || session.hash !== hash) {
+        return null;
+    }
+
+    if (session.expiresAt && new Date(session.expiresAt) <= new Date()) {
+        console.log('Saved upload session expired, starting fresh');
+        return null;
+    }
+
+    try {
+        const response = await fileAPI.listParts(session.fileId);
+
+        if (response.data.uploadId !== session.uploadId) {
+            return null;
+        }
+        session.expiresAt = response.data.expiresAt;
+        return response.data.parts;
+    } catch (error) {
+        if (error.response?.status === 404) {
+            console.log('Saved upload session was aborted on the server, starting fresh');
+            return null;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Upload a file with S3 multipart upload, resuming a previous attempt of the
+ * same file (persisted in IndexedDB) when possible
+ *
+ * onStatus receives 'preparing' | 'resuming' | 'uploading' | 'completing'.
+ * With `versionOf`, the file is uploaded as a new version of that file
+ * (which may be one shared with the user as editor).
+ * Aborting `signal` cancels the chunk requests in flight; the saved
+ * session is kept so a later call resumes it (see discardUpload to cancel).
+ */
+export const uploadFile = async (file, {
+    path = '/',
+    versionOf,
+    signal,
+    onProgress = () => {},
+    onStatus = () => {},
+} = {}) => {
+    onStatus('preparing');
+
+    // Step 1: Compress text files
+    const shouldCompress = shouldCompressFile(file);
+    let fileToUpload = file;
+    const originalSize = file.size;
+
+    if (shouldCompress) {
+        fileToUpload = await compressFile(file);
+        console.log(`Compressed ${file.name}: ${formatFileSize(originalSize)} -> ${formatFileSize(fileToUpload.size)}`);
+    }
+
+    // Step 2: Calculate file hash
+    const hash = await calculateFileHash(fileToUpload);
+    signal?.throwIfAborted();
+
+    // Step 3: Resume a saved session for this file, or initialize a new upload
+    const sessionKey = getSessionKey(file, getSessionScope(path, versionOf));
+    let session = await getSession(sessionKey);
+    let s3Parts = await getResumableParts(session, hash);
+
+    if (s3Parts) {
+        onStatus('resuming');
+    } else {
+        if (session) {
+            await deleteSession(sessionKey);
+        }
+
+        // Offering the hash lets the server skip the transfer if it already
+        // stores identical content
+        const initResponse = await fileAPI.initUpload({
+            filename: file.name,
+            size: fileToUpload.size,
+            mimeType: file.type || 'application/octet-stream',
+            hash,
+            path,
+            versionOf,
+            isCompressed: shouldCompress,
+            originalSize: shouldCompress ? originalSize : undefined,
+        });
+
+        if (initResponse.data.deduplicated) {
+            console.log(`${file.name} already stored, skipping upload`);
+            onProgress(100);
+            return { deduplicated: true, file: initResponse.data.file };
+        }
+
+        const { fileId, uploadId, expiresAt } = initResponse.data;
+        session = { key: sessionKey, fileId, uploadId, hash, expiresAt, parts: {} };
+        await saveSession(session);
+        s3Parts = [];
+    }
+
+    const { fileId, uploadId } = session;
+
+    // Step 4: Chunk the file and fingerprint every chunk
+    const chunks = chunkFile(fileToUpload);
+    const chunkFingerprints = [];
+    for (let i = 0; i < chunks.length; i++) {
+        chunkFingerprints.push({
+            partNumber: i + 1,
+            fingerprint: await calculateChunkHash(chunks[i]),
+        });
+    }
+
+    // Step 5: A part can be skipped when S3 holds it and it is the chunk we
+    // recorded uploading (same fingerprint and ETag)
+    const parts = [];
+    const chunksToUpload = chunkFingerprints.filter(({ partNumber, fingerprint }) => {
+        const saved = session.parts[partNumber];
+        const s3Part = s3Parts.find(part => part.partNumber === partNumber);
+        const alreadyUploaded = saved && s3Part
+            && saved.fingerprint === fingerprint
+            && saved.etag === s3Part.etag
+            && s3Part.size === chunks[partNumber - 1].size;
+
+        if (alreadyUploaded) {
+            parts.push({ partNumber, etag: s3Part.etag, size: s3Part.size, fingerprint });
+        }
+        return !alreadyUploaded;
+    });
+
+    console.log(`Total chunks: ${chunks.length}, Already uploaded: ${parts.length}, To upload: ${chunksToUpload.length}`);
+
+    onStatus('uploading');
+    let completedChunks = parts.length;
+    onProgress(Math.round((completedChunks / chunks.length) * 100));
+
+    // Step 6: Upload chunks in parallel (with concurrency limit)
+    for (let i = 0; i < chunksToUpload.length; i += MAX_CONCURRENT_UPLOADS) {
+        signal?.throwIfAborted();
+        const batch = chunksToUpload.slice(i, i + MAX_CONCURRENT_UPLOADS);
+
+        const batchResults = await Promise.all(batch.map(async ({ partNumber, fingerprint }) => {
+            const chunk = chunks[partNumber - 1];
+
+            // The fingerprint is signed in as the part's checksum, which S3 checks
+            let urlResponse;
+            try {
+                urlResponse = await fileAPI.getPresignedUrl({ fileId, uploadId, partNumber, fingerprint }, { signal });
+            } catch (error) {
+                // Aborted on the server meanwhile (expired): a retry starts over
+                if (error.response?.status === 404) {
+                    await deleteSession(sessionKey);
+                    throw new Error('This upload expired, please upload the file again');
+                }
+                throw error;
+            }
+            const etag = await uploadToS3(urlResponse.data.presignedUrl, chunk, signal, urlResponse.data.headers);
+
+            // Remember the part (and the pushed back expiry) so a reload can
+            // resume after it
+            session.parts[partNumber] = { fingerprint, etag, size: chunk.size };
+            session.expiresAt = urlResponse.data.expiresAt;
+            await saveSession(session);
+
+            completedChunks++;
+            onProgress(Math.round((completedChunks / chunks.length) * 100));
+
+            return { partNumber, etag, size: chunk.size, fingerprint };
+        }));
+
+        parts.push(...batchResults);
+    }
+
+    parts.sort((a, b) => a.partNumber - b.partNumber);
+    signal?.throwIfAborted();
+
+    // Step 7: Complete upload
+    onStatus('completing');
+    let completeResponse;
+    try {
+        completeResponse = await fileAPI.completeUpload({
+            fileId,
+            uploadId,
+            parts,
+            hash,
+        });
+    } catch (error) {
+        // The server rejected and removed the uploaded content (or aborted
+        // the upload meanwhile), so a retry has to start from scratch
+        if ([404, 422].includes(error.response?.status)) {
+            await deleteSession(sessionKey);
+        }
+        throw error;
+    }
+
+    await deleteSession(sessionKey);
+
+    return {
+        deduplicated: false,
+        // Stored, but the server still checks its hash before the file shows up
+        verifying: !!completeResponse.data.verifying,
+        file: completeResponse.data.file,
+        user: completeResponse.data.user,
+    };
+};
+
+/**
+ * Cancel an upload for good: abort the multipart upload on the server and
+ * forget the saved session so selecting the file again starts from scratch.
+ * Takes the `path` or `versionOf` the upload was started with.
+ */
+export const discardUpload = async (file, { path = '/', versionOf } = {}) => {
+    const sessionKey = getSessionKey(file, getSessionScope(path, versionOf));
+    const session = await getSession(sessionKey);
+
+    if (session) {
+        try {
+            await fileAPI.abortUpload(session.fileId);
+        } catch (error) {
+            // Already completed or aborted
+            console.log('Abort upload:', error.response?.data?.error || error.message);
+        }
+        await deleteSession(sessionKey);
+    }
+};
+
+export default {
+    shouldCompressFile,
+    compressFile,
+    uploadFile,
+    discardUpload,
+};
@@ -0,0 +1,107 @@
+/**
+ * Persistent upload sessions (IndexedDB)
+ * Lets an interrupted multipart upload resume after a page reload
+ */
+const DB_NAME = 'file-sync-uploads';
+const DB_VERSION = 1;
+const STORE_NAME = 'sessions';
+
+/**
+ * Sessions older than this are discarded (S3 presigned URLs and
+ * abandoned multipart uploads don't live forever)
+ */
+const SESSION_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+let dbPromise = null;
+
+/**
+ * Open (and create on first use) the sessions database
+ */
+const openDB = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+
+    return dbPromise;
+};
+
+/**
+ * Run a single request against the sessions store
+ */
+const withStore = async (mode, callback) => {
+    const db = await openDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = callback(transaction.objectStore(STORE_NAME));
+
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+    });
+};
+
+/**
+ * Key identifying "the same file" when the user selects it again
+ */
+export const getSessionKey = (file, path = '/') => {
+    return [path, file.name, file.size, file.lastModified].join('|');
+};
+
+/**
+ * Get a saved session, or null if there is none (or it is too old)
+ */
+export const getSession = async (key) => {
+    try {
+        const session = await withStore('readonly', (store) => store.get(key));
+
+        if (session && Date.now() - session.updatedAt > SESSION_MAX_AGE) {
+            await deleteSession(key);
+            return null;
+        }
+
+        return session || null;
+    } catch (error) {
+        console.warn('Upload session store unavailable:', error);
+        return null;
+    }
+};
+
+/**
+ * Save (create or replace) a session
+ */
+export const saveSession = async (session) => {
+    try {
+        await withStore('readwrite', (store) => store.put({ ...session, updatedAt: Date.now() }));
+    } catch (error) {
+        console.warn('Failed to save upload session:', error);
+    }
+};
+
+/**
+ * Delete a session
+ */
+export const deleteSession = async (key) => {
+    try {
+        await withStore('readwrite', (store) => store.delete(key));
+    } catch (error) {
+        console.warn('Failed to delete upload session:', error);
+    }
+};
+
+export default {
+    getSessionKey,
+    getSession,
+    saveSession,
+    deleteSession,
+};
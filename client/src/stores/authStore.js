@@ -17,6 +17,15 @@ const useAuthStore = create((set, get) => ({
             set({ loading: false });
         }
     },
+    // Re-fetch the user (e.g. storage usage) without toggling loading
+    refreshUser: async () => {
+        try {
+            const response = await authAPI.getMe();
+            set({ user: response.data.user });
+        } catch (error) {
+            console.error('Refresh user error:', error);
+        }
+    },
     isAuthenticated: () => !!get().user,
 }));
 
@@ -1,4 +1,5 @@
 import crypto from 'crypto-js';
+import pako from 'pako';
 
 /**
  * Chunk size for S3 multipart upload (5MB minimum)
@@ -90,6 +91,24 @@ export const getFileIcon = (mimeType) => {
     return '📎';
 };
 
+const PREVIEW_TYPES = ['image/', 'video/', 'audio/', 'text/', 'application/pdf', 'application/json', 'application/javascript', 'application/xml'];
+
+const PREVIEW_EXTENSIONS = [
+    'md', 'txt', 'log', 'csv', 'json', 'xml', 'yml', 'yaml', 'js', 'jsx', 'ts', 'tsx',
+    'css', 'html', 'py', 'rb', 'php', 'java', 'go', 'rs', 'c', 'cpp', 'h', 'sh', 'sql', 'pdf',
+];
+
+/**
+ * Whether a file can likely be previewed in the browser (the server decides,
+ * see GET /api/files/:id/preview)
+ */
+export const canPreview = (file) => {
+    const mimeType = file.mimeType || '';
+    const extension = getFileExtension(file.filename || '').toLowerCase();
+
+    return PREVIEW_TYPES.some((type) => mimeType.startsWith(type)) || PREVIEW_EXTENSIONS.includes(extension);
+};
+
 /**
  * Get file extension
  */
@@ -99,12 +118,67 @@ export const getFileExtension = (filename) => {
 };
 
 /**
- * Format date for display
+ * Sort keys of the file list, with the field each sorts on (the server sorts
+ * the same way, see GET /api/files)
+ */
+export const FILE_SORTS = {
+    created: { label: 'Uploaded', field: 'createdAt' },
+    modified: { label: 'Modified', field: 'updatedAt' },
+    name: { label: 'Name', field: 'filename' },
+    size: { label: 'Size', field: 'size' },
+    type: { label: 'Type', field: 'mimeType' },
+};
+
+/**
+ * Compare two files by a sort key ({ sort, order }), ties broken by id
+ */
+export const compareFiles = (a, b, { sort, order }) => {
+    const field = FILE_SORTS[sort].field;
+    let result;
+
+    if (field === 'size') {
+        result = (a.size || 0) - (b.size || 0);
+    } else if (field === 'createdAt' || field === 'updatedAt') {
+        result = new Date(a[field]) - new Date(b[field]);
+    } else {
+        result = (a[field] || '').localeCompare(b[field] || '', 'en', { sensitivity: 'base' });
+    }
+
+    if (result === 0) {
+        const idA = String(a.id || a._id);
+        const idB = String(b.id || b._id);
+        result = idA < idB ? -1 : idA > idB ? 1 : 0;
+    }
+
+    return order === 'asc' ? result : -result;
+};
+
+/**
+ * Insert a file at its sorted position in a loaded (partial) file list.
+ * A file sorting after the last loaded one is left out while more pages
+ * remain, since it will arrive with one of them.
+ */
+export const insertSorted = (files, file, sortOrder, hasMore) => {
+    const index = files.findIndex((f) => compareFiles(file, f, sortOrder) < 0);
+
+    if (index === -1) {
+        return hasMore ? files : [...files, file];
+    }
+
+    return [...files.slice(0, index), file, ...files.slice(index)];
+};
+
+/**
+ * Format date for display (relative for the past week; dates in the future,
+ * such as expiries, are always shown as a date)
  */
 export const formatDate = (dateString) => {
     const date = new Date(dateString);
     const now = new Date();
     const diffMs = now - date;
+
+    if (diffMs < 0) return date.toLocaleDateString();
+
     const diffMins = Math.floor(diffMs / 60000);
     const diffHours = Math.floor(diffMs / 3600000);
     const diffDays = Math.floor(diffMs / 86400000);
@@ -116,3 +190,118 @@ export const formatDate = (dateString) => {
 
     return date.toLocaleDateString();
 };
+
+/**
+ * Get the folder part of a relative path ("a/b/c.txt" -> "a/b")
+ */
+export const getRelativeDir = (relativePath = '') => {
+    const parts = relativePath.split('/').filter(Boolean);
+    return parts.slice(0, -1).join('/');
+};
+
+/**
+ * Read every entry of a dropped directory (readEntries returns batches)
+ */
+const readDirectoryEntries = (directoryEntry) => {
+    const reader = directoryEntry.createReader();
+    const entries = [];
+
+    return new Promise((resolve, reject) => {
+        const readBatch = () => {
+            reader.readEntries((batch) => {
+                if (batch.length === 0) {
+                    resolve(entries);
+                    return;
+                }
+                entries.push(...batch);
+                readBatch();
+            }, reject);
+        };
+        readBatch();
+    });
+};
+
+/**
+ * Collect the files of dropped items, walking dropped folders recursively.
+ * Returns [{ file, relativeDir }] where relativeDir is the folder the file
+ * sat in relative to the drop ('' for loose files)
+ */
+export const collectDroppedFiles = async (dataTransfer) => {
+    // Entries must be read synchronously, the item list is cleared after the drop event
+    const entries = [...(dataTransfer.items || [])]
+        .map(item => item.webkitGetAsEntry?.())
+        .filter(Boolean);
+
+    if (entries.length === 0) {
+        return [...(dataTransfer.files || [])].map(file => ({ file, relativeDir: '' }));
+    }
+
+    const results = [];
+    const walk = async (entry) => {
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            results.push({ file, relativeDir: getRelativeDir(entry.fullPath) });
+        } else if (entry.isDirectory) {
+            const children = await readDirectoryEntries(entry);
+            for (const child of children) {
+                await walk(child);
+            }
+        }
+    };
+
+    for (const entry of entries) {
+        await walk(entry);
+    }
+
+    return results;
+};
+
+/**
+ * Let the browser download a URL to disk: it streams the file, shows
+ * progress and can resume, instead of the page holding it in memory
+ */
+export const downloadFromUrl = (url, filename) => {
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+};
+
+/**
+ * Fetch a file's content from a (pre-signed) URL, decompressed if it was
+ * stored gzipped
+ */
+export const fetchFileBlob = async (url, { mimeType, isCompressed }) => {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to fetch file (${response.status})`);
+    }
+    const blob = await response.blob();
+
+    if (!isCompressed) {
+        return blob;
+    }
+
+    const arrayBuffer = await blob.arrayBuffer();
+    const decompressed = pako.ungzip(new Uint8Array(arrayBuffer));
+    return new Blob([decompressed], { type: mimeType });
+};
+
+/**
+ * Fetch a file from a (pre-signed) URL, decompress it if it was stored
+ * gzipped, and save it through the browser
+ */
+export const saveFromUrl = async (downloadUrl, { filename, mimeType, isCompressed }) => {
+    const finalBlob = await fetchFileBlob(downloadUrl, { mimeType, isCompressed });
+
+    const url = window.URL.createObjectURL(finalBlob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    window.URL.revokeObjectURL(url);
+    document.body.removeChild(a);
+};
@@ -18,5 +18,8 @@ export const S3_CONFIG = {
     CHUNK_SIZE: 5 * 1024 * 1024, // 5MB minimum for S3 multipart
     MAX_FILE_SIZE: 5 * 1024 * 1024 * 1024, // 5GB max
     PRESIGNED_URL_EXPIRY: 3600, // 1 hour in seconds
+    PUBLIC_URL_EXPIRY: 60, // Download URLs handed out through public links
+    // Unfinished uploads with no part requested for this long are aborted
+    UPLOAD_SESSION_EXPIRY: (parseInt(process.env.UPLOAD_SESSION_DAYS) || 7) * 24 * 60 * 60 * 1000,
 };
 
@@ -48,6 +48,16 @@ export const authenticateToken = async (req, res, next) => {
     }
 };
 
+/**
+ * Middleware to restrict a route to admins (use after authenticateToken)
+ */
+export const requireAdmin = (req, res, next) => {
+    if (req.user?.role !== 'admin') {
+        return res.status(403).json({ error: 'Admin access required.' });
+    }
+    next();
+};
+
 /**
  * Generate JWT token for user
  */
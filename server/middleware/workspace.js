@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+import Team from '../models/Team.js';
+import { TEAM_FILE_ROLES, roleAllows } from '../services/accessService.js';
+
+/**
+ * Middleware to resolve the workspace a request acts on (use after
+ * authenticateToken): the user's own files, or a team's when the
+ * X-Team-Id header names a team the user is a member of (or a `teamId`
+ * field, for form posts that can't set headers).
+ *
+ * Sets req.workspace = { owner, ownerModel, team, role }, where owner is
+ * the id files and folders of the workspace are owned by and role is the
+ * user's file role on them (see accessService).
+ */
+export const resolveWorkspace = async (req, res, next) => {
+    try {
+        const teamId = req.get('X-Team-Id') || req.body?.teamId;
+
+        if (!teamId) {
+            req.workspace = { owner: req.user._id, ownerModel: 'User', team: null, role: 'owner' };
+            return next();
+        }
+
+        const team = mongoose.isValidObjectId(teamId)
+            ? await Team.findOne({ _id: teamId, 'members.user': req.user._id })
+            : null;
+
+        if (!team) {
+            return res.status(403).json({ error: 'You are not a member of this team.' });
+        }
+
+        req.workspace = {
+            owner: team._id,
+            ownerModel: 'Team',
+            team,
+            role: TEAM_FILE_ROLES[team.getMemberRole(req.user._id)],
+        };
+        next();
+    } catch (error) {
+        console.error('Workspace middleware error:', error);
+        return res.status(500).json({ error: 'Server error while resolving workspace.' });
+    }
+};
+
+/**
+ * Middleware to require a minimum role in the workspace for an action
+ * (use after resolveWorkspace)
+ */
+export const requireWorkspaceRole = (action) => (req, res, next) => {
+    if (!roleAllows(req.workspace.role, action)) {
+        return res.status(403).json({ error: 'You do not have permission to do this in this workspace.' });
+    }
+    next();
+};
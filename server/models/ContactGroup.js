@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+/**
+ * A user's named list of contacts. Files and folders shared with a group
+ * are accessible to whoever is a member at the time, so adding or removing
+ * members grants or revokes access.
+ */
+const contactGroupSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Group name is required'],
+        trim: true,
+        maxlength: [50, 'Group name cannot exceed 50 characters'],
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+    members: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    }],
+}, {
+    timestamps: true, // createdAt, updatedAt
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+});
+
+contactGroupSchema.index({ members: 1 });
+contactGroupSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+
+const ContactGroup = mongoose.model('ContactGroup', contactGroupSchema);
+
+export default ContactGroup;
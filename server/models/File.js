@@ -22,6 +22,106 @@ const fileChunkSchema = new mongoose.Schema({
     },
 }, { _id: false });
 
+const fileVersionSchema = new mongoose.Schema({
+    version: {
+        type: Number,
+        required: true,
+    },
+    s3Key: {
+        type: String,
+        required: true,
+    },
+    size: {
+        type: Number,
+        required: true,
+    },
+    mimeType: {
+        type: String,
+    },
+    hash: {
+        type: String,
+    },
+    isCompressed: {
+        type: Boolean,
+        default: false,
+    },
+    originalSize: {
+        type: Number,
+    },
+    createdAt: {
+        type: Date, // When this version was uploaded
+    },
+}, { _id: false });
+
+/**
+ * Roles a file can be shared with, from least to most access
+ */
+export const SHARE_ROLES = ['viewer', 'commenter', 'editor', 'co-owner'];
+
+const shareSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    role: {
+        type: String,
+        enum: SHARE_ROLES,
+        default: 'viewer',
+    },
+    grantedAt: {
+        type: Date,
+        default: Date.now,
+    },
+    grantedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+}, { _id: false });
+
+/**
+ * Share with a contact group (files and folders): every current member of
+ * the group gets the role
+ */
+export const groupShareSchema = new mongoose.Schema({
+    group: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ContactGroup',
+        required: true,
+    },
+    role: {
+        type: String,
+        enum: SHARE_ROLES,
+        default: 'viewer',
+    },
+    grantedAt: {
+        type: Date,
+        default: Date.now,
+    },
+    grantedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+}, { _id: false });
+
+/**
+ * A thumbnail generated from the file's current content (see
+ * thumbnailService), stored as its own S3 object
+ */
+const thumbnailSchema = new mongoose.Schema({
+    size: {
+        type: String, // 'small', 'medium' or 'large'
+        required: true,
+    },
+    s3Key: {
+        type: String,
+        required: true,
+    },
+    width: Number,
+    height: Number,
+    bytes: Number,
+}, { _id: false });
+
 const fileSchema = new mongoose.Schema({
     filename: {
         type: String,
@@ -40,12 +140,18 @@ const fileSchema = new mongoose.Schema({
         type: String,
         required: true,
     },
+    // A user, or a team for files in a team workspace (see ownerModel)
     owner: {
         type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
+        refPath: 'ownerModel',
         required: true,
         index: true,
     },
+    ownerModel: {
+        type: String,
+        enum: ['User', 'Team'],
+        default: 'User',
+    },
     path: {
         type: String,
         default: '/',
@@ -59,21 +165,35 @@ const fileSchema = new mongoose.Schema({
     s3Key: {
         type: String,
         required: true,
-        unique: true,
+        index: true, // Not unique: deduplicated files share an S3 object
     },
     uploadId: {
         type: String, // For multipart uploads in progress
     },
+    checksumAlgorithm: {
+        type: String, // 'SHA256' when S3 checks every part against its fingerprint
+    },
     chunks: [fileChunkSchema],
     // File versioning
     version: {
         type: Number,
         default: 1,
     },
+    versions: [fileVersionSchema], // Previous versions (S3 objects are kept)
+    contentUpdatedAt: {
+        type: Date, // When the current version was uploaded or restored
+    },
+    versionOf: {
+        type: mongoose.Schema.Types.ObjectId, // Set while uploading a new version of another file
+        ref: 'File',
+    },
     isDeleted: {
         type: Boolean,
         default: false,
     },
+    deletedAt: {
+        type: Date, // When the file was moved to the trash
+    },
     // Hashing for deduplication
     hash: {
         type: String, // SHA-256 hash of file content
@@ -87,16 +207,51 @@ const fileSchema = new mongoose.Schema({
     originalSize: {
         type: Number, // Original uncompressed size (for display)
     },
-    // Upload status
+    // Upload status ('verifying': stored, until its hash is checked against
+    // the object in the background, see hashVerificationService)
     uploadStatus: {
         type: String,
-        enum: ['pending', 'uploading', 'completed', 'failed'],
+        enum: ['pending', 'uploading', 'verifying', 'completed', 'failed'],
         default: 'pending',
     },
-    sharedWith: [{
+    // Until when an unfinished upload can be resumed: every part requested
+    // pushes it back, after it the janitor aborts the upload
+    uploadExpiresAt: {
+        type: Date,
+    },
+    // Quota reserved for this upload until it completes or is aborted
+    reservedBytes: {
+        type: Number,
+        default: 0,
+    },
+    // User who started the upload, when it isn't the owner (an editor
+    // uploading a new version of a shared file)
+    uploadedBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
-    }],
+    },
+    sharedWith: [shareSchema],
+    groupShares: [groupShareSchema],
+    // Labels and custom key/value metadata set by users (normalized and
+    // validated by metadataService)
+    tags: {
+        type: [String],
+        default: [],
+    },
+    metadata: {
+        type: Map,
+        of: String,
+    },
+    // Thumbnails of images, and the content (s3Key) they were made from:
+    // when it differs from s3Key they are out of date
+    thumbnails: [thumbnailSchema],
+    thumbnailStatus: {
+        type: String,
+        enum: ['ready', 'unsupported', 'failed'],
+    },
+    thumbnailSource: {
+        type: String,
+    },
 }, {
     timestamps: true, // createdAt, updatedAt
     toJSON: { virtuals: true },
@@ -106,13 +261,39 @@ const fileSchema = new mongoose.Schema({
 // Compound index for efficient user file queries
 fileSchema.index({ owner: 1, isDeleted: 1, createdAt: -1 });
 fileSchema.index({ owner: 1, path: 1 });
+fileSchema.index({ owner: 1, path: 1, filename: 1, isDeleted: 1 });
+fileSchema.index({ isDeleted: 1, deletedAt: 1 });
+fileSchema.index({ owner: 1, hash: 1 });
+fileSchema.index({ 'versions.s3Key': 1 });
+fileSchema.index({ uploadStatus: 1 }, { partialFilterExpression: { uploadStatus: 'verifying' } });
+fileSchema.index({ 'thumbnails.s3Key': 1 });
 fileSchema.index({ _id: 1, owner: 1, isDeleted: 1});
 fileSchema.index({ _id: 1, owner: 1, uploadId: 1});
 fileSchema.index({ _id: 1, owner: 1});
 fileSchema.index({_id: 1, owner: 1, isDeleted: 1, uploadStatus: 1});
 fileSchema.index({_id: 1, isDeleted: 1, uploadStatus: 1});
-fileSchema.index({_id: 1, sharedWith: 1, isDeleted: 1, uploadStatus: 1});
+fileSchema.index({_id: 1, 'sharedWith.user': 1, isDeleted: 1, uploadStatus: 1});
+fileSchema.index({ 'groupShares.group': 1 });
+// File list sorts (keyset pagination on the sort key and _id)
+fileSchema.index({ owner: 1, path: 1, createdAt: -1, _id: -1 });
+fileSchema.index({ owner: 1, path: 1, updatedAt: -1, _id: -1 });
+fileSchema.index({ owner: 1, path: 1, size: -1, _id: -1 });
+fileSchema.index({ owner: 1, path: 1, filename: 1, _id: 1 }, { collation: { locale: 'en', strength: 2 } });
+fileSchema.index({ owner: 1, path: 1, mimeType: 1, _id: 1 }, { collation: { locale: 'en', strength: 2 } });
+// Search filters (filename substring, MIME type, size range, upload date)
+fileSchema.index({ owner: 1, isDeleted: 1, filename: 1 });
+fileSchema.index({ owner: 1, isDeleted: 1, mimeType: 1, size: 1 });
+fileSchema.index({ owner: 1, isDeleted: 1, size: 1 });
+// Tag queries and autocomplete
+fileSchema.index({ owner: 1, tags: 1 });
+
 
+/**
+ * Whether the thumbnails are ready and made from the current content
+ */
+fileSchema.virtual('hasThumbnails').get(function () {
+    return this.thumbnailStatus === 'ready' && this.thumbnailSource === this.s3Key && this.thumbnails?.length > 0;
+});
 
 /**
  * Get full S3 object key
@@ -121,6 +302,40 @@ fileSchema.methods.getS3Key = function () {
     return this.s3Key;
 };
 
+/**
+ * Snapshot of the current content, as stored in the versions array
+ */
+fileSchema.methods.toVersion = function () {
+    return {
+        version: this.version,
+        s3Key: this.s3Key,
+        size: this.size,
+        mimeType: this.mimeType,
+        hash: this.hash,
+        isCompressed: this.isCompressed,
+        originalSize: this.originalSize,
+        createdAt: this.contentUpdatedAt || this.createdAt,
+    };
+};
+
+/**
+ * Distinct S3 objects referenced by the file (current content and all versions)
+ */
+fileSchema.methods.getStoredObjects = function () {
+    const objects = new Map();
+
+    if (this.uploadStatus === 'completed') {
+        objects.set(this.s3Key, this.size);
+    }
+    (this.versions || []).forEach((version) => {
+        if (!objects.has(version.s3Key)) {
+            objects.set(version.s3Key, version.size);
+        }
+    });
+
+    return [...objects].map(([s3Key, size]) => ({ s3Key, size }));
+};
+
 
 const File = mongoose.model('File', fileSchema);
 
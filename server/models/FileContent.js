@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+/**
+ * Most characters of extracted text kept per file
+ */
+export const CONTENT_TEXT_LIMIT = 100000;
+
+/**
+ * Text extracted from a file's current content, for searching inside
+ * documents. Kept apart from File so indexing doesn't send file change
+ * events. `hash` is the content hash that was indexed: when a new version
+ * is uploaded it no longer matches and the file is indexed again.
+ */
+const fileContentSchema = new mongoose.Schema({
+    file: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'File',
+        required: true,
+        unique: true,
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        index: true,
+    },
+    hash: {
+        type: String,
+    },
+    status: {
+        type: String,
+        enum: ['indexed', 'unsupported', 'failed'],
+        required: true,
+    },
+    text: {
+        type: String,
+        default: '',
+        maxlength: CONTENT_TEXT_LIMIT,
+    },
+    error: {
+        type: String, // Why extraction failed
+    },
+    indexedAt: {
+        type: Date,
+        default: Date.now,
+    },
+}, {
+    timestamps: true, // createdAt, updatedAt
+});
+
+fileContentSchema.index({ text: 'text' }, { default_language: 'none' });
+
+
+const FileContent = mongoose.model('FileContent', fileContentSchema);
+
+export default FileContent;
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+import { joinPath } from '../utils/paths.js';
+import { groupShareSchema } from './File.js';
+
+const folderSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Folder name is required'],
+        trim: true,
+    },
+    // A user, or a team for folders in a team workspace
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        index: true,
+    },
+    // Path of the parent folder ("/" for top-level folders)
+    path: {
+        type: String,
+        default: '/',
+    },
+    // Groups with access to every file inside the folder
+    groupShares: [groupShareSchema],
+}, {
+    timestamps: true, // createdAt, updatedAt
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+});
+
+// A folder name is unique within its parent
+folderSchema.index({ owner: 1, path: 1, name: 1 }, { unique: true });
+folderSchema.index({ 'groupShares.group': 1 });
+
+/**
+ * Full path of the folder itself (where its children live)
+ */
+folderSchema.virtual('fullPath').get(function () {
+    return joinPath(this.path, this.name);
+});
+
+
+const Folder = mongoose.model('Folder', folderSchema);
+
+export default Folder;
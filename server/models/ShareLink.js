@@ -0,0 +1,234 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import bcrypt from 'bcrypt';
+import jwt from 'jsonwebtoken';
+
+/**
+ * Number of access log entries kept per link
+ */
+const ACCESS_LOG_LIMIT = 200;
+
+/**
+ * Wrong passwords allowed in a row before a link locks, and for how long
+ */
+const PASSWORD_ATTEMPTS = {
+    LIMIT: 5,
+    LOCK_TIME: 15 * 60 * 1000, // 15 minutes
+};
+
+/**
+ * How long a visit of a folder link lasts: its downloads count as one
+ */
+const VISIT_EXPIRY = '1h';
+
+const accessLogSchema = new mongoose.Schema({
+    at: {
+        type: Date,
+        default: Date.now,
+    },
+    action: {
+        type: String,
+        enum: ['view', 'download', 'denied'],
+        required: true,
+    },
+    file: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'File',
+    },
+    ip: {
+        type: String,
+    },
+    userAgent: {
+        type: String,
+    },
+}, { _id: false });
+
+const shareLinkSchema = new mongoose.Schema({
+    // Unguessable token that forms the public URL
+    token: {
+        type: String,
+        required: true,
+        unique: true,
+        default: () => crypto.randomBytes(24).toString('base64url'),
+    },
+    // A link points at either a file or a folder (and everything inside it)
+    file: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'File',
+        index: true,
+    },
+    folder: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Folder',
+        index: true,
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    passwordHash: {
+        type: String,
+    },
+    expiresAt: {
+        type: Date,
+    },
+    maxDownloads: {
+        type: Number, // Unlimited when not set
+    },
+    downloadCount: {
+        type: Number,
+        default: 0,
+    },
+    revokedAt: {
+        type: Date,
+    },
+    // Wrong passwords in a row, and until when the link is locked after too many
+    passwordFailures: {
+        type: Number,
+        default: 0,
+    },
+    passwordLockedUntil: {
+        type: Date,
+    },
+    accessLog: [accessLogSchema],
+}, {
+    timestamps: true, // createdAt, updatedAt
+});
+
+/**
+ * Set (or clear, with an empty value) the link password
+ */
+shareLinkSchema.methods.setPassword = async function (password) {
+    this.passwordHash = password ? await bcrypt.hash(password, 10) : undefined;
+};
+
+/**
+ * Check a password against the link (links without one accept anything)
+ */
+shareLinkSchema.methods.checkPassword = async function (password) {
+    if (!this.passwordHash) {
+        return true;
+    }
+    return !!password && bcrypt.compare(password, this.passwordHash);
+};
+
+/**
+ * Until when the link refuses passwords, or null if it doesn't
+ */
+shareLinkSchema.methods.getPasswordLock = function () {
+    return this.passwordLockedUntil > new Date() ? this.passwordLockedUntil : null;
+};
+
+/**
+ * Count a wrong password, locking the link once there were too many in a
+ * row (atomic, so parallel attempts can't get past the limit)
+ */
+shareLinkSchema.methods.recordPasswordFailure = async function () {
+    const locks = { $gte: ['$passwordFailures', PASSWORD_ATTEMPTS.LIMIT] };
+
+    await ShareLink.updateOne({ _id: this._id }, [
+        { $set: { passwordFailures: { $add: [{ $ifNull: ['$passwordFailures', 0] }, 1] } } },
+        {
+            $set: {
+                passwordLockedUntil: {
+                    $cond: [locks, new Date(Date.now() + PASSWORD_ATTEMPTS.LOCK_TIME), '$passwordLockedUntil'],
+                },
+                passwordFailures: { $cond: [locks, 0, '$passwordFailures'] },
+            },
+        },
+    ]);
+};
+
+/**
+ * Start over counting wrong passwords (after a right one)
+ */
+shareLinkSchema.methods.clearPasswordFailures = async function () {
+    if (this.passwordFailures) {
+        await ShareLink.updateOne({ _id: this._id }, { $set: { passwordFailures: 0 } });
+    }
+};
+
+/**
+ * Token for a visit of the link that had its download counted (given to
+ * the visitor with the download)
+ */
+shareLinkSchema.methods.createCountedVisit = function () {
+    return jwt.sign({ link: this._id, counted: true }, process.env.JWT_SECRET, { expiresIn: VISIT_EXPIRY });
+};
+
+/**
+ * Whether a visit token is a (still valid) counted visit of this link
+ */
+shareLinkSchema.methods.isCountedVisit = function (visit) {
+    try {
+        const decoded = jwt.verify(visit, process.env.JWT_SECRET);
+        return decoded.link === this._id.toString() && decoded.counted === true;
+    } catch (error) {
+        return false; // Missing, expired or not genuine
+    }
+};
+
+/**
+ * Why the link can't be used right now, or null if it can. A visit that
+ * had its download counted may go on past the download limit.
+ */
+shareLinkSchema.methods.getInactiveReason = function ({ countedVisit = false } = {}) {
+    if (this.revokedAt) {
+        return 'This link has been revoked';
+    }
+    if (this.expiresAt && this.expiresAt <= new Date()) {
+        return 'This link has expired';
+    }
+    if (this.maxDownloads && this.downloadCount >= this.maxDownloads && !countedVisit) {
+        return 'This link has reached its download limit';
+    }
+    return null;
+};
+
+/**
+ * Record an access (keeps the most recent entries only)
+ */
+shareLinkSchema.methods.logAccess = async function (req, action, fileId) {
+    await ShareLink.updateOne(
+        { _id: this._id },
+        {
+            $push: {
+                accessLog: {
+                    $each: [{
+                        at: new Date(),
+                        action,
+                        file: fileId,
+                        ip: req.ip,
+                        userAgent: req.get('user-agent'),
+                    }],
+                    $slice: -ACCESS_LOG_LIMIT,
+                },
+            },
+        }
+    );
+};
+
+/**
+ * Link details safe to show to the people managing it
+ */
+shareLinkSchema.methods.toSummary = function () {
+    return {
+        id: this._id,
+        token: this.token,
+        url: `${process.env.CLIENT_URL || 'http://localhost:5173'}/s/${this.token}`,
+        file: this.file,
+        folder: this.folder,
+        hasPassword: !!this.passwordHash,
+        expiresAt: this.expiresAt,
+        maxDownloads: this.maxDownloads,
+        downloadCount: this.downloadCount,
+        revokedAt: this.revokedAt,
+        createdAt: this.createdAt,
+    };
+};
+
+
+const ShareLink = mongoose.model('ShareLink', shareLinkSchema);
+
+export default ShareLink;
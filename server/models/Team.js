@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+/**
+ * Roles a team member can have, from least to most access
+ * - viewer: see and download the team's files
+ * - member: also upload, organize, share and trash them
+ * - admin:  also manage members and empty the team's trash
+ */
+export const TEAM_ROLES = ['viewer', 'member', 'admin'];
+
+/**
+ * Team limits: a user can create a few teams, each with the quota of a
+ * single user (raised by an administrator when a team needs more)
+ */
+export const TEAM_LIMITS = {
+    MAX_CREATED_PER_USER: parseInt(process.env.TEAM_MAX_PER_USER) || 5,
+    DEFAULT_QUOTA: 5 * 1024 * 1024 * 1024, // 5GB
+};
+
+const teamMemberSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    role: {
+        type: String,
+        enum: TEAM_ROLES,
+        default: 'member',
+    },
+    joinedAt: {
+        type: Date,
+        default: Date.now,
+    },
+}, { _id: false });
+
+const teamSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Team name is required'],
+        trim: true,
+        maxlength: [50, 'Team name cannot exceed 50 characters'],
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    members: [teamMemberSchema],
+    // Pooled quota: every member's uploads to the team count against it
+    storageUsed: {
+        type: Number,
+        default: 0, // in bytes
+    },
+    storageReserved: {
+        type: Number,
+        default: 0, // in bytes, held by uploads in progress
+    },
+    storageQuota: {
+        type: Number,
+        default: TEAM_LIMITS.DEFAULT_QUOTA,
+    },
+}, {
+    timestamps: true, // createdAt, updatedAt
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+});
+
+teamSchema.index({ 'members.user': 1 });
+teamSchema.index({ createdBy: 1 });
+
+/**
+ * Get a user's role in the team, or null if they aren't a member
+ */
+teamSchema.methods.getMemberRole = function (userId) {
+    const id = userId.toString();
+    const member = this.members.find(entry => (entry.user._id || entry.user).toString() === id);
+    return member ? member.role : null;
+};
+
+
+const Team = mongoose.model('Team', teamSchema);
+
+export default Team;
@@ -23,10 +23,19 @@ const userSchema = new mongoose.Schema({
         required: [true, 'Password is required'],
         minlength: [6, 'Password must be at least 6 characters'],
     },
+    role: {
+        type: String,
+        enum: ['user', 'admin'],
+        default: 'user',
+    },
     storageUsed: {
         type: Number,
         default: 0, // in bytes
     },
+    storageReserved: {
+        type: Number,
+        default: 0, // in bytes, held by uploads in progress
+    },
     storageQuota: {
         type: Number,
         default: 5 * 1024 * 1024 * 1024, // 5GB default quota
@@ -68,7 +77,7 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
  * Check if user has enough storage
  */
 userSchema.methods.hasStorageSpace = function (fileSize) {
-    return (this.storageUsed + fileSize) <= this.storageQuota;
+    return (this.storageUsed + this.storageReserved + fileSize) <= this.storageQuota;
 };
 
 
@@ -0,0 +1,44 @@
+import express from 'express';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { uploadJanitor } from '../services/janitorService.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/admin/janitor/report
+ * Dry run: list stale uploads and orphaned S3 objects without changing anything
+ */
+router.get('/janitor/report', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const report = await uploadJanitor.run({ dryRun: true });
+
+        res.json({ report });
+    } catch (error) {
+        console.error('Janitor report error:', error);
+        res.status(500).json({ error: 'Server error while building janitor report' });
+    }
+});
+
+/**
+ * POST /api/admin/janitor/run
+ * Run a cleanup pass now
+ */
+router.post('/janitor/run', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const report = await uploadJanitor.run();
+
+        if (!report) {
+            return res.status(409).json({ error: 'A cleanup pass is already running' });
+        }
+
+        res.json({
+            message: 'Cleanup completed',
+            report,
+        });
+    } catch (error) {
+        console.error('Janitor run error:', error);
+        res.status(500).json({ error: 'Server error while running janitor' });
+    }
+});
+
+export default router;
@@ -59,6 +59,7 @@ router.post('/register', async (req, res) => {
                 username: user.username,
                 email: user.email,
                 storageUsed: user.storageUsed,
+                storageReserved: user.storageReserved,
                 storageQuota: user.storageQuota,
             },
         });
@@ -119,6 +120,7 @@ router.post('/login', async (req, res) => {
                 username: user.username,
                 email: user.email,
                 storageUsed: user.storageUsed,
+                storageReserved: user.storageReserved,
                 storageQuota: user.storageQuota,
             },
         });
@@ -140,6 +142,7 @@ router.get('/me', authenticateToken, async (req, res) => {
                 username: req.user.username,
                 email: req.user.email,
                 storageUsed: req.user.storageUsed,
+                storageReserved: req.user.storageReserved,
                 storageQuota: req.user.storageQuota,
             },
         });
@@ -2,20 +2,110 @@ import express from 'express';
 import {
     CreateMultipartUploadCommand,
     CompleteMultipartUploadCommand,
-    AbortMultipartUploadCommand,
-    DeleteObjectCommand,
 } from '@aws-sdk/client-s3';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
 import { UploadPartCommand } from '@aws-sdk/client-s3';
 import { s3Client, S3_CONFIG } from '../config/s3.js';
 import { authenticateToken } from '../middleware/auth.js';
-import File from '../models/File.js';
+import { resolveWorkspace, requireWorkspaceRole } from '../middleware/workspace.js';
+import File, { SHARE_ROLES } from '../models/File.js';
 import User from '../models/User.js';
+import ShareLink from '../models/ShareLink.js';
 import { GetObjectCommand } from '@aws-sdk/client-s3';
 import mongoose from 'mongoose';
+import {
+    deleteFile,
+    trashFile,
+    restoreFile,
+    applyNewVersion,
+    restoreVersion,
+    findStoredObject,
+    abortUpload,
+    completeUpload,
+} from '../services/fileService.js';
+import {
+    listUploadedParts,
+    matchUploadedParts,
+    fingerprintChecksum,
+    verifyPartChecksums,
+    verifyStoredSize,
+    verifyStoredObject,
+    discardStoredObject,
+} from '../services/verificationService.js';
+import { hashVerifier } from '../services/hashVerificationService.js';
+import {
+    reserveStorage,
+    releaseStorage,
+    releaseReservation,
+} from '../services/quotaService.js';
+import {
+    getAccessContext,
+    groupAccessConditions,
+    getFileRole,
+    roleAllows,
+    accessCondition,
+    findFileForUser,
+    uploaderCondition,
+} from '../services/accessService.js';
+import {
+    findOwnGroup,
+    setGroupShare,
+    removeGroupShare,
+    describeGroupShares,
+    describeInheritedGroupShares,
+} from '../services/groupService.js';
+import {
+    parseSearchParams,
+    contentSearchScope,
+    findContentMatches,
+    findSnippets,
+    buildSearchQuery,
+    searchSort,
+} from '../services/searchService.js';
+import { contentIndexer } from '../services/contentIndexService.js';
+import {
+    PREVIEW_CONFIG,
+    getPreviewKind,
+    getPreviewContentType,
+    getPreviewDisposition,
+} from '../services/previewService.js';
+import { THUMBNAIL_CONFIG } from '../services/thumbnailService.js';
+import { sendContent } from '../services/downloadService.js';
+import { checkArchiveLimits, streamArchive } from '../services/archiveService.js';
+import { normalizeTag, parseTags, applyMetadataChanges, suggestTags } from '../services/metadataService.js';
+import { TRASH_CONFIG } from '../services/trashService.js';
+import { folderExists, ensureFolderPath } from '../services/folderService.js';
+import { normalizePath, isValidName, subtreeCondition } from '../utils/paths.js';
+import { contentDisposition } from '../utils/contentDisposition.js';
+import { encodeCursor, decodeCursor, afterCursorCondition } from '../utils/pagination.js';
 
 const router = express.Router();
 
+const MAX_FILENAME_LENGTH = 255;
+
+/**
+ * The stored content of a file: its current version, or the entry of its
+ * version history numbered `version` (null when there is no such version)
+ */
+const findVersionContent = (file, version) => {
+    if (!version || parseInt(version) === file.version) {
+        return file.toVersion();
+    }
+    return file.versions.find(v => v.version === parseInt(version)) || null;
+};
+
+/**
+ * Sort keys of the file list, with the type of their values (which cursors
+ * must hold). Names and types sort case-insensitively.
+ */
+const LIST_SORTS = {
+    name: { field: 'filename', type: 'string', collation: { locale: 'en', strength: 2 } },
+    size: { field: 'size', type: 'number' },
+    type: { field: 'mimeType', type: 'string', collation: { locale: 'en', strength: 2 } },
+    modified: { field: 'updatedAt', type: 'date' },
+    created: { field: 'createdAt', type: 'date' },
+};
+
 /**
  * GET /api/files/shared
  * Get files shared with the current user
@@ -26,25 +116,35 @@ router.get('/shared', authenticateToken, async (req, res) => {
         const limit = parseInt(req.query.limit) || 20;
         const skip = (page - 1) * limit;
 
-        const files = await File.find({
-            _id: { $in: req.user.sharedFiles },
+        // Shared directly, or with one of the user's groups (the file itself
+        // or a folder it is in)
+        const context = await getAccessContext(req.user._id);
+        const query = {
+            $or: [
+                { _id: { $in: req.user.sharedFiles } },
+                ...groupAccessConditions(context),
+            ],
+            owner: { $ne: req.user._id },
             isDeleted: false,
             uploadStatus: 'completed',
-        })
-        .populate('owner', 'username email')
+            versionOf: null,
+        };
+
+        const files = await File.find(query)
+        .populate('owner', 'username email name') // name: team workspaces
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limit)
         .select('-chunks'); // Don't return chunk details in list view
 
-        const total = await File.countDocuments({
-            _id: { $in: req.user.sharedFiles },
-            isDeleted: false,
-            uploadStatus: 'completed',
-        });
+        const total = await File.countDocuments(query);
 
         res.json({
-            files,
+            // Include the user's role so the client knows what they can do
+            files: files.map(file => ({
+                ...file.toJSON(),
+                role: getFileRole(file, req.user._id, context),
+            })),
             pagination: {
                 page,
                 limit,
@@ -59,36 +159,284 @@ router.get('/shared', authenticateToken, async (req, res) => {
 });
 
 /**
- * GET /api/files
- * List user's files with pagination
+ * GET /api/files/search
+ * Search the workspace's files and the files shared with the user by
+ * filename or document text, MIME type, size, upload date, folder, owner and
+ * shared status (see searchService for the parameters). Files matching by
+ * their text come with a snippet of it.
  */
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/search', authenticateToken, resolveWorkspace, async (req, res) => {
     try {
+        const { filters, error } = parseSearchParams(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
         const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 20;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
         const skip = (page - 1) * limit;
 
+        const context = await getAccessContext(req.user._id);
+        const access = {
+            workspaceOwner: req.workspace.owner,
+            userId: req.user._id,
+            sharedFiles: req.user.sharedFiles,
+            context,
+        };
+        const contentMatches = filters.q
+            ? await findContentMatches(filters.q, await contentSearchScope(filters, access))
+            : [];
+        const query = buildSearchQuery(filters, { ...access, contentMatches });
+
+        const [files, total] = await Promise.all([
+            File.find(query)
+                .populate('owner', 'username email name') // name: team workspaces
+                .sort(searchSort(filters))
+                .skip(skip)
+                .limit(limit)
+                .select('-chunks'),
+            File.countDocuments(query),
+        ]);
+
+        const snippets = filters.q
+            ? await findSnippets(files.map(file => file._id), filters.q)
+            : new Map();
+
+        res.json({
+            files: files.map(file => ({
+                ...file.toJSON(),
+                role: getFileRole(file, req.user._id, context),
+                snippet: snippets.get(file._id.toString()),
+            })),
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit),
+            },
+        });
+    } catch (error) {
+        console.error('Search files error:', error);
+        res.status(500).json({ error: 'Server error while searching files' });
+    }
+});
+
+/**
+ * GET /api/files/tags
+ * Tags used in the workspace starting with `prefix`, most used first
+ * (for autocomplete)
+ */
+router.get('/tags', authenticateToken, resolveWorkspace, async (req, res) => {
+    try {
+        const prefix = typeof req.query.prefix === 'string' ? req.query.prefix : '';
+        const tags = await suggestTags(req.workspace.owner, prefix);
+
+        res.json({ tags });
+    } catch (error) {
+        console.error('Suggest tags error:', error);
+        res.status(500).json({ error: 'Server error while fetching tags' });
+    }
+});
+
+/**
+ * POST /api/files/archive
+ * Download files as a ZIP, streamed as it is built: the files with the given
+ * `fileIds` (any the user can view), and/or every file in the workspace
+ * folder `path` and its subfolders (kept in their folders). Accepts JSON or
+ * a form post (`fileIds` comma-separated, `teamId` instead of X-Team-Id),
+ * so browsers can save the archive as a regular download.
+ */
+router.post('/archive', authenticateToken, resolveWorkspace, async (req, res) => {
+    try {
+        const { path } = req.body;
+        const fileIds = typeof req.body.fileIds === 'string'
+            ? req.body.fileIds.split(',').filter(Boolean)
+            : req.body.fileIds || [];
+
+        if (!Array.isArray(fileIds) || !fileIds.every(id => mongoose.isValidObjectId(id))) {
+            return res.status(400).json({ error: 'Invalid file ids' });
+        }
+        if (fileIds.length === 0 && path === undefined) {
+            return res.status(400).json({ error: 'Please provide files or a folder to download' });
+        }
+
+        const ready = { isDeleted: false, uploadStatus: 'completed', versionOf: null };
+        const files = [];
+
+        if (fileIds.length > 0) {
+            const context = await getAccessContext(req.user._id);
+            files.push(...await File.find({
+                ...ready,
+                _id: { $in: fileIds },
+                ...accessCondition(req.user._id, context),
+            }).sort({ filename: 1 }));
+        }
+
+        const folder = path !== undefined ? normalizePath(path) : null;
+        if (folder) {
+            if (folder !== '/' && !(await folderExists(req.workspace.owner, folder))) {
+                return res.status(404).json({ error: 'Folder not found' });
+            }
+
+            const inFolder = await File.find({
+                ...ready,
+                owner: req.workspace.owner,
+                path: subtreeCondition(folder),
+                _id: { $nin: files.map(file => file._id) },
+            }).sort({ path: 1, filename: 1 });
+            files.push(...inFolder);
+        }
+
+        if (files.length === 0) {
+            return res.status(404).json({ error: 'No files to download' });
+        }
+
+        const limitError = checkArchiveLimits(files);
+        if (limitError) {
+            return res.status(413).json({ error: limitError });
+        }
+
+        // Files of the folder keep their place below it
+        const folderName = folder && folder !== '/' ? folder.split('/').pop() : 'files';
+        await streamArchive(res, files, {
+            filename: `${folderName}.zip`,
+            entryPath: (file) => (folder && file.owner.equals(req.workspace.owner) && file.path !== folder
+                ? file.path.slice(folder === '/' ? 1 : folder.length + 1)
+                : ''),
+        });
+    } catch (error) {
+        console.error('Archive files error:', error);
+        if (res.headersSent) {
+            res.destroy(error); // Already streaming: the download fails
+        } else {
+            res.status(500).json({ error: 'Server error while creating archive' });
+        }
+    }
+});
+
+/**
+ * GET /api/files/trash
+ * List files in the workspace's trash
+ */
+router.get('/trash', authenticateToken, resolveWorkspace, requireWorkspaceRole('manage'), async (req, res) => {
+    try {
         const files = await File.find({
-            owner: req.user._id,
-            isDeleted: false,
+            owner: req.workspace.owner,
+            isDeleted: true,
         })
-            .sort({ createdAt: -1 })
-            .skip(skip)
-            .limit(limit)
-            .select('-chunks'); // Don't return chunk details in list view
+            .sort({ deletedAt: -1 })
+            .select('-chunks');
 
-        const total = await File.countDocuments({
-            owner: req.user._id,
-            isDeleted: false,
+        res.json({
+            files,
+            retentionDays: TRASH_CONFIG.RETENTION_DAYS,
+        });
+    } catch (error) {
+        console.error('List trash error:', error);
+        res.status(500).json({ error: 'Server error while fetching trash' });
+    }
+});
+
+/**
+ * DELETE /api/files/trash
+ * Empty the trash (permanently delete every trashed file)
+ */
+router.delete('/trash', authenticateToken, resolveWorkspace, requireWorkspaceRole('purge'), async (req, res) => {
+    try {
+        const files = await File.find({
+            owner: req.workspace.owner,
+            isDeleted: true,
+        });
+
+        for (const file of files) {
+            await deleteFile(file);
+        }
+
+        const user = await User.findById(req.user._id);
+
+        res.json({
+            message: 'Trash emptied successfully',
+            filesDeleted: files.length,
+            user: {
+                storageUsed: user.storageUsed,
+                storageReserved: user.storageReserved,
+                storageQuota: user.storageQuota,
+            },
         });
+    } catch (error) {
+        console.error('Empty trash error:', error);
+        res.status(500).json({ error: 'Server error while emptying trash' });
+    }
+});
+
+/**
+ * GET /api/files
+ * List the workspace's files, optionally limited to a single folder or to the
+ * files with a `tag`, sorted by `sort` (name, size, type, modified or
+ * created) in `order` (asc or desc).
+ * Paginated with cursors: pass the previous page's `nextCursor` as `cursor`.
+ */
+router.get('/', authenticateToken, resolveWorkspace, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const sortKey = req.query.sort || 'created';
+        const sort = LIST_SORTS[sortKey];
+        if (!sort) {
+            return res.status(400).json({ error: `Sort must be one of: ${Object.keys(LIST_SORTS).join(', ')}` });
+        }
+        const order = req.query.order === 'asc' ? 1 : -1;
+
+        let cursor = null;
+        if (req.query.cursor) {
+            cursor = decodeCursor(req.query.cursor, sort);
+            if (!cursor) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+        }
+
+        const query = {
+            owner: req.workspace.owner,
+            isDeleted: false,
+            uploadStatus: 'completed',
+            versionOf: null, // Hide uploads of new versions of existing files
+        };
+        if (req.query.path !== undefined) {
+            query.path = normalizePath(req.query.path);
+        }
+        if (req.query.tag !== undefined) {
+            const tag = normalizeTag(req.query.tag);
+            if (!tag) {
+                return res.status(400).json({ error: 'Invalid tag' });
+            }
+            query.tags = tag;
+        }
+
+        const pageQuery = cursor
+            ? { ...query, ...afterCursorCondition(sort.field, order, cursor) }
+            : query;
+
+        // One extra file tells whether there is a next page
+        const [found, total] = await Promise.all([
+            File.find(pageQuery)
+                .collation(sort.collation || { locale: 'simple' })
+                .sort({ [sort.field]: order, _id: order })
+                .limit(limit + 1)
+                .select('-chunks'), // Don't return chunk details in list view
+            File.countDocuments(query),
+        ]);
+
+        const hasMore = found.length > limit;
+        const files = found.slice(0, limit);
 
         res.json({
             files,
             pagination: {
-                page,
                 limit,
                 total,
-                pages: Math.ceil(total / limit),
+                sort: sortKey,
+                order: order === 1 ? 'asc' : 'desc',
+                hasMore,
+                nextCursor: hasMore ? encodeCursor(files[files.length - 1], sort.field) : null,
             },
         });
     } catch (error) {
@@ -99,11 +447,18 @@ router.get('/', authenticateToken, async (req, res) => {
 
 /**
  * POST /api/files/init-upload
- * Initialize multipart upload to S3
+ * Initialize multipart upload to S3, or reference an already stored
+ * object when the client offers a content hash we already have.
+ * With `versionOf`, uploads a new version of a file the user can edit
+ * (their own, their team's or one shared with them as editor or co-owner).
+ * Otherwise the file goes to the workspace (see resolveWorkspace).
  */
-router.post('/init-upload', authenticateToken, async (req, res) => {
+router.post('/init-upload', authenticateToken, resolveWorkspace, async (req, res) => {
+    let reservation = null;
+
     try {
-        const { filename, size, mimeType, path = '/', isCompressed = false, originalSize } = req.body;
+        const { filename, size, mimeType, hash, isCompressed = false, originalSize, versionOf } = req.body;
+        let path = normalizePath(req.body.path);
 
         if (!filename || !size || !mimeType) {
             return res.status(400).json({
@@ -111,70 +466,210 @@ router.post('/init-upload', authenticateToken, async (req, res) => {
             });
         }
 
-        // Check storage quota
-        const user = await User.findById(req.user._id);
-        if (!user.hasStorageSpace(size)) {
+        // Same rules as renaming: the name goes into the S3 key and archives
+        if (!isValidName(filename)) {
+            return res.status(400).json({ error: 'Please provide a valid filename' });
+        }
+        if (filename.trim().length > MAX_FILENAME_LENGTH) {
+            return res.status(400).json({ error: `Filenames cannot exceed ${MAX_FILENAME_LENGTH} characters` });
+        }
+
+        // The size is reserved against the quota: a whole number of bytes
+        if (!Number.isSafeInteger(size) || size <= 0 || size > S3_CONFIG.MAX_FILE_SIZE) {
+            return res.status(400).json({
+                error: `Size must be a whole number of bytes, up to ${S3_CONFIG.MAX_FILE_SIZE / (1024 * 1024 * 1024)} GB`
+            });
+        }
+
+        let existingFile;
+        if (versionOf) {
+            const { file: target, role } = await findFileForUser(versionOf, req.user._id, {
+                isDeleted: false,
+                uploadStatus: 'completed',
+                versionOf: null,
+            });
+
+            if (!target) {
+                return res.status(404).json({ error: 'File not found' });
+            }
+            if (!roleAllows(role, 'edit')) {
+                return res.status(403).json({ error: 'You do not have permission to edit this file' });
+            }
+
+            existingFile = target;
+            path = target.path;
+        } else {
+            if (!roleAllows(req.workspace.role, 'edit')) {
+                return res.status(403).json({ error: 'You do not have permission to upload to this workspace' });
+            }
+
+            // Make sure the destination folder exists
+            await ensureFolderPath(req.workspace.owner, path);
+
+            // Uploading to an existing path + filename creates a new version of that file
+            existingFile = await File.findOne({
+                owner: req.workspace.owner,
+                path,
+                filename,
+                isDeleted: false,
+                uploadStatus: 'completed',
+                versionOf: null,
+            });
+        }
+
+        // New versions belong to (and count towards the storage of) the file's owner
+        const ownerId = existingFile ? existingFile.owner : req.workspace.owner;
+        const ownerModel = existingFile ? existingFile.ownerModel : req.workspace.ownerModel;
+        const isOwnUpload = ownerId.toString() === req.user._id.toString();
+
+        // Content already stored: reference the existing S3 object instead of
+        // uploading. Only within the workspace's own storage, so a hash can't be
+        // used to reach someone else's content.
+        const inWorkspace = ownerId.toString() === req.workspace.owner.toString();
+        const storedObject = hash && inWorkspace ? await findStoredObject(ownerId, hash, size) : null;
+        if (storedObject) {
+            let file = existingFile;
+
+            if (!existingFile) {
+                file = new File({
+                    filename,
+                    originalName: filename,
+                    owner: ownerId,
+                    ownerModel,
+                    uploadedBy: req.user._id,
+                    path,
+                    s3Bucket: S3_CONFIG.BUCKET_NAME,
+                    ...storedObject,
+                    mimeType,
+                    uploadStatus: 'completed',
+                    isCompressed,
+                    originalSize: isCompressed ? originalSize : size,
+                    contentUpdatedAt: new Date(),
+                });
+                await file.save(); // This will trigger CDC event!
+            } else if (existingFile.hash !== hash) {
+                await applyNewVersion(existingFile, {
+                    ...storedObject,
+                    mimeType,
+                    isCompressed,
+                    originalSize: isCompressed ? originalSize : size,
+                });
+            }
+
+            // Extract the text of documents in the background, for search
+            contentIndexer.enqueue(file._id);
+
+            return res.json({
+                deduplicated: true,
+                fileId: file._id,
+                file: {
+                    id: file._id,
+                    filename: file.filename,
+                    size: file.size,
+                    mimeType: file.mimeType,
+                    version: file.version,
+                    createdAt: file.createdAt,
+                },
+                message: 'File already stored, no upload needed',
+            });
+        }
+
+        // Reserve the quota up front so concurrent uploads can't overshoot it
+        const user = await reserveStorage(ownerId, size, ownerModel);
+        if (!user) {
             return res.status(403).json({
-                error: 'Storage quota exceeded'
+                error: ownerModel === 'Team' ? 'Team storage quota exceeded' : 'Storage quota exceeded'
             });
         }
+        reservation = { ownerId, ownerModel, bytes: size };
 
         // Generate unique S3 key
         const fileId = new mongoose.Types.ObjectId();
-        const s3Key = `users/${req.user._id}/${fileId}/${filename}`;
+        const keyPrefix = ownerModel === 'Team' ? 'teams' : 'users';
+        const s3Key = `${keyPrefix}/${ownerId}/${fileId}/${filename}`;
 
         // Create multipart upload in S3
+        // S3 checks every part against its SHA-256 checksum, so completing
+        // the upload needn't read the object back
         const createCommand = new CreateMultipartUploadCommand({
             Bucket: S3_CONFIG.BUCKET_NAME,
             Key: s3Key,
             ContentType: mimeType,
+            ChecksumAlgorithm: 'SHA256',
             Metadata: {
-                userId: req.user._id.toString(),
+                userId: ownerId.toString(),
                 originalName: filename,
             },
         });
 
         const multipartUpload = await s3Client.send(createCommand);
 
-        // Create file document in MongoDB
+        // Create file document in MongoDB (it now holds the reservation)
         const file = new File({
             _id: fileId,
             filename,
             originalName: filename,
             size,
             mimeType,
-            owner: req.user._id,
+            owner: ownerId,
+            ownerModel,
+            uploadedBy: req.user._id,
             path,
             s3Bucket: S3_CONFIG.BUCKET_NAME,
             s3Key,
             uploadId: multipartUpload.UploadId,
+            checksumAlgorithm: 'SHA256',
             uploadStatus: 'uploading',
+            uploadExpiresAt: new Date(Date.now() + S3_CONFIG.UPLOAD_SESSION_EXPIRY),
             isCompressed,
             originalSize: isCompressed ? originalSize : size,
+            versionOf: existingFile ? existingFile._id : undefined,
+            reservedBytes: size,
         });
 
         await file.save();
+        reservation = null;
 
         res.status(201).json({
             fileId: file._id,
             uploadId: multipartUpload.UploadId,
             s3Key,
             chunkSize: S3_CONFIG.CHUNK_SIZE,
+            expiresAt: file.uploadExpiresAt,
+            versionOf: existingFile ? existingFile._id : null,
+            user: isOwnUpload ? {
+                storageUsed: user.storageUsed,
+                storageReserved: user.storageReserved,
+                storageQuota: user.storageQuota,
+            } : undefined,
             message: 'Upload initialized successfully',
         });
     } catch (error) {
         console.error('Init upload error:', error);
+
+        // Give back a reservation the failed request never handed to a file
+        if (reservation) {
+            try {
+                await releaseStorage(reservation.ownerId, reservation.bytes, reservation.ownerModel);
+            } catch (releaseError) {
+                console.error('Release storage error:', releaseError);
+            }
+        }
+
         res.status(500).json({ error: 'Server error while initializing upload' });
     }
 });
 
 /**
  * POST /api/files/presigned-url
- * Get pre-signed URL for uploading a chunk
+ * Get pre-signed URL for uploading a chunk. `fingerprint` (the chunk's
+ * SHA-256, hex) is signed into the URL as the part's checksum: the upload
+ * must send the returned headers, and S3 rejects content that doesn't match.
+ * Pushes back the upload's expiry (returned as `expiresAt`).
  */
 router.post('/presigned-url', authenticateToken, async (req, res) => {
     try {
-        const { fileId, partNumber, uploadId } = req.body;
+        const { fileId, partNumber, uploadId, fingerprint } = req.body;
 
         if (!fileId || !partNumber || !uploadId) {
             return res.status(400).json({
@@ -185,7 +680,7 @@ router.post('/presigned-url', authenticateToken, async (req, res) => {
         // Verify file belongs to user
         const file = await File.findOne({
             _id: fileId,
-            owner: req.user._id,
+            ...uploaderCondition(req.user._id),
             uploadId,
         });
 
@@ -193,21 +688,38 @@ router.post('/presigned-url', authenticateToken, async (req, res) => {
             return res.status(404).json({ error: 'File not found or unauthorized' });
         }
 
+        // Uploading parts keeps the upload from being aborted as abandoned
+        const expiresAt = new Date(Date.now() + S3_CONFIG.UPLOAD_SESSION_EXPIRY);
+        await File.updateOne({ _id: file._id }, { $set: { uploadExpiresAt: expiresAt } });
+
+        // Uploads started before part checksums existed go without them
+        const headers = {};
+        if (file.checksumAlgorithm) {
+            if (typeof fingerprint !== 'string' || !/^[0-9a-f]{64}$/.test(fingerprint)) {
+                return res.status(400).json({ error: 'Please provide the fingerprint of the part' });
+            }
+            headers['x-amz-checksum-sha256'] = fingerprintChecksum(fingerprint);
+        }
+
         // Generate pre-signed URL for this part
         const command = new UploadPartCommand({
             Bucket: S3_CONFIG.BUCKET_NAME,
             Key: file.s3Key,
             UploadId: uploadId,
             PartNumber: partNumber,
+            ChecksumSHA256: headers['x-amz-checksum-sha256'],
         });
 
         const presignedUrl = await getSignedUrl(s3Client, command, {
             expiresIn: S3_CONFIG.PRESIGNED_URL_EXPIRY,
+            unhoistableHeaders: new Set(Object.keys(headers)), // Sent by the client, signed
         });
 
         res.json({
             presignedUrl,
             partNumber,
+            headers,
+            expiresAt,
         });
     } catch (error) {
         console.error('Presigned URL error:', error);
@@ -217,9 +729,14 @@ router.post('/presigned-url', authenticateToken, async (req, res) => {
 
 /**
  * POST /api/files/complete-upload
- * Complete multipart upload
+ * Complete multipart upload. Uploads checked through their part checksums
+ * answer 202 with `verifying`: the file completes once its hash is checked
+ * in the background (see hashVerificationService).
  */
 router.post('/complete-upload', authenticateToken, async (req, res) => {
+    let file;
+    let s3Completed = false;
+
     try {
         const { fileId, uploadId, parts, hash } = req.body;
 
@@ -230,9 +747,9 @@ router.post('/complete-upload', authenticateToken, async (req, res) => {
         }
 
         // Verify file belongs to user
-        const file = await File.findOne({
+        file = await File.findOne({
             _id: fileId,
-            owner: req.user._id,
+            ...uploaderCondition(req.user._id),
             uploadId,
         });
 
@@ -240,74 +757,187 @@ router.post('/complete-upload', authenticateToken, async (req, res) => {
             return res.status(404).json({ error: 'File not found or unauthorized' });
         }
 
+        // New version of an existing file: the uploader must still be allowed
+        // to edit it (if it was trashed meanwhile, the owner's upload becomes
+        // a file of its own)
+        const isOwnUpload = file.owner.toString() === req.user._id.toString();
+        const target = file.versionOf
+            ? await File.findOne({ _id: file.versionOf, isDeleted: false })
+            : null;
+        const canEdit = target
+            ? roleAllows(getFileRole(target, req.user._id, await getAccessContext(req.user._id)), 'edit')
+            : isOwnUpload;
+
+        if (file.versionOf && !canEdit) {
+            await abortUpload(file);
+            return res.status(403).json({ error: 'You no longer have permission to edit this file' });
+        }
+
+        // The parts must be exactly the ones S3 holds for this upload
+        const uploadedParts = matchUploadedParts(parts, await listUploadedParts(file));
+        if (!uploadedParts) {
+            return res.status(400).json({ error: 'Parts do not match the uploaded parts' });
+        }
+
+        // With part checksums, S3 already checked every part against the
+        // fingerprint the client declared for it
+        const checksummed = !!file.checksumAlgorithm;
+        if (checksummed) {
+            const partCheck = verifyPartChecksums(uploadedParts);
+            if (!partCheck.valid) {
+                return res.status(400).json({ error: `Parts do not match the uploaded parts: ${partCheck.reason}` });
+            }
+        }
+
         // Complete multipart upload in S3
         const completeCommand = new CompleteMultipartUploadCommand({
             Bucket: S3_CONFIG.BUCKET_NAME,
             Key: file.s3Key,
             UploadId: uploadId,
             MultipartUpload: {
-                Parts: parts.map(part => ({
+                Parts: uploadedParts.map(part => ({
                     ETag: part.etag,
                     PartNumber: part.partNumber,
+                    ChecksumSHA256: part.checksum,
                 })),
             },
         });
 
         await s3Client.send(completeCommand);
+        s3Completed = true;
+
+        // Check the assembled object against the declared size, and without
+        // part checksums also against the declared hash and part fingerprints
+        // (reading it whole). The hash of checksummed uploads is checked in
+        // the background, before they complete.
+        const verification = checksummed
+            ? {
+                ...await verifyStoredSize(file.s3Key, file.size),
+                hash,
+                fingerprints: uploadedParts.map(part => part.fingerprint),
+            }
+            : await verifyStoredObject(file.s3Key, {
+                size: file.size,
+                hash,
+                parts: uploadedParts,
+            });
 
-        // Update file document
-        file.chunks = parts.map(part => ({
+        if (!verification.valid) {
+            await discardStoredObject(file.s3Key);
+            await releaseReservation(file);
+            file.uploadStatus = 'failed';
+            file.uploadId = undefined;
+            await file.save();
+
+            return res.status(422).json({
+                error: `Uploaded content failed verification: ${verification.reason}`,
+            });
+        }
+
+        // Update file document with the verified values
+        file.chunks = uploadedParts.map((part, index) => ({
             partNumber: part.partNumber,
             etag: part.etag,
-            size: part.size || 0,
+            size: part.size,
             s3Key: file.s3Key,
-            fingerprint: part.fingerprint, // Store chunk fingerprint
+            fingerprint: verification.fingerprints[index],
         }));
-        file.uploadStatus = 'completed';
         file.uploadId = undefined; // Clear upload ID
-        file.hash = hash;
+        file.size = verification.size;
+        file.hash = verification.hash;
+        file.checksumAlgorithm = undefined;
+
+        // Kept out of listings and deduplication (and its reservation held)
+        // until the hash is checked
+        if (checksummed) {
+            file.uploadStatus = 'verifying';
+            await file.save();
+            hashVerifier.enqueue(file._id);
+
+            return res.status(202).json({
+                message: 'Upload stored, verifying its content',
+                verifying: true,
+                file: {
+                    id: file.versionOf || file._id,
+                    filename: file.filename,
+                    size: file.size,
+                    mimeType: file.mimeType,
+                },
+            });
+        }
 
-        await file.save(); // This will trigger CDC event!
+        // Turn the reservation made at init into storage usage of the
+        // verified size; new versions move onto the file they belong to
+        const { file: completedFile, owner: user } = await completeUpload(file, target);
 
-        await User.findByIdAndUpdate(
-            req.user._id,
-            { $inc: { storageUsed: file.size } },
-            { new: true } // returns the updated document
-        );
+        // Extract the text of documents in the background, for search
+        contentIndexer.enqueue(completedFile._id);
 
         res.json({
             message: 'Upload completed successfully',
             file: {
-                id: file._id,
-                filename: file.filename,
-                size: file.size,
-                mimeType: file.mimeType,
-                createdAt: file.createdAt,
-            },
-            user: {
-                storageUsed: req.user.storageUsed,
-                storageQuota: req.user.storageQuota,
+                id: completedFile._id,
+                filename: completedFile.filename,
+                size: completedFile.size,
+                mimeType: completedFile.mimeType,
+                version: completedFile.version,
+                createdAt: completedFile.createdAt,
             },
+            user: isOwnUpload ? {
+                storageUsed: user.storageUsed,
+                storageReserved: user.storageReserved,
+                storageQuota: user.storageQuota,
+            } : undefined,
         });
     } catch (error) {
         console.error('Complete upload error:', error);
 
         // Try to abort the multipart upload on error
-        try {
-            const abortCommand = new AbortMultipartUploadCommand({
-                Bucket: S3_CONFIG.BUCKET_NAME,
-                Key: file.s3Key,
-                UploadId: uploadId,
-            });
-            await s3Client.send(abortCommand);
-        } catch (abortError) {
-            console.error('Abort upload error:', abortError);
+        if (file && !s3Completed) {
+            try {
+                await abortUpload(file);
+            } catch (abortError) {
+                console.error('Abort upload error:', abortError);
+            }
         }
 
         res.status(500).json({ error: 'Server error while completing upload' });
     }
 });
 
+/**
+ * POST /api/files/:id/abort-upload
+ * Cancel an in-progress multipart upload
+ */
+router.post('/:id/abort-upload', authenticateToken, async (req, res) => {
+    try {
+        const file = await File.findOne({
+            _id: req.params.id,
+            ...uploaderCondition(req.user._id),
+            uploadStatus: { $in: ['pending', 'uploading'] },
+        });
+
+        if (!file) {
+            return res.status(404).json({ error: 'No upload in progress for this file' });
+        }
+
+        await abortUpload(file);
+        const user = await User.findById(req.user._id);
+
+        res.json({
+            message: 'Upload aborted successfully',
+            user: {
+                storageUsed: user.storageUsed,
+                storageReserved: user.storageReserved,
+                storageQuota: user.storageQuota,
+            },
+        });
+    } catch (error) {
+        console.error('Abort upload error:', error);
+        res.status(500).json({ error: 'Server error while aborting upload' });
+    }
+});
+
 /**
  * GET /api/files/:id/upload-status
  * Get upload status for resumable uploads
@@ -316,7 +946,7 @@ router.get('/:id/upload-status', authenticateToken, async (req, res) => {
     try {
         const file = await File.findOne({
             _id: req.params.id,
-            owner: req.user._id,
+            ...uploaderCondition(req.user._id),
         });
 
         if (!file) {
@@ -341,14 +971,47 @@ router.get('/:id/upload-status', authenticateToken, async (req, res) => {
 });
 
 /**
- * GET /api/files/:id
- * Get file metadata
+ * GET /api/files/:id/parts
+ * List the parts S3 already holds for an in-progress multipart upload,
+ * so a client can resume it after a reload
  */
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id/parts', authenticateToken, async (req, res) => {
     try {
         const file = await File.findOne({
             _id: req.params.id,
-            owner: req.user._id,
+            ...uploaderCondition(req.user._id),
+            uploadStatus: { $in: ['pending', 'uploading'] },
+        });
+
+        if (!file || !file.uploadId) {
+            return res.status(404).json({ error: 'No upload in progress for this file' });
+        }
+
+        const parts = await listUploadedParts(file);
+
+        res.json({
+            uploadId: file.uploadId,
+            uploadStatus: file.uploadStatus,
+            expiresAt: file.uploadExpiresAt,
+            parts,
+        });
+    } catch (error) {
+        if (error.name === 'NoSuchUpload') {
+            return res.status(404).json({ error: 'Upload no longer exists' });
+        }
+
+        console.error('List parts error:', error);
+        res.status(500).json({ error: 'Server error while listing uploaded parts' });
+    }
+});
+
+/**
+ * GET /api/files/:id
+ * Get file metadata (for the owner or anyone it is shared with)
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+    try {
+        const { file, role } = await findFileForUser(req.params.id, req.user._id, {
             isDeleted: false,
         });
 
@@ -356,7 +1019,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
             return res.status(404).json({ error: 'File not found' });
         }
 
-        res.json({ file });
+        res.json({ file, role });
     } catch (error) {
         console.error('Get file error:', error);
         res.status(500).json({ error: 'Server error while fetching file' });
@@ -364,35 +1027,115 @@ router.get('/:id', authenticateToken, async (req, res) => {
 });
 
 /**
- * GET /api/files/:id/download
- * Get pre-signed URL for downloading file
+ * PATCH /api/files/:id
+ * Rename a file (owner or co-owner) and edit its tags and metadata (also
+ * editors). `tags` replaces the file's tags; `metadata` sets the given keys,
+ * and removes those set to null. The S3 object keeps its key: downloads are
+ * served under the current name.
  */
-router.get('/:id/download', authenticateToken, async (req, res) => {
+router.patch('/:id', authenticateToken, async (req, res) => {
     try {
-        let file = await File.findOne({
-            _id: req.params.id,
-            owner: req.user._id,
+        const { filename, tags, metadata } = req.body;
+
+        if (filename === undefined && tags === undefined && metadata === undefined) {
+            return res.status(400).json({ error: 'Please provide a filename, tags or metadata to update' });
+        }
+
+        if (filename !== undefined && !isValidName(filename)) {
+            return res.status(400).json({ error: 'Please provide a valid filename' });
+        }
+        if (filename !== undefined && filename.trim().length > MAX_FILENAME_LENGTH) {
+            return res.status(400).json({ error: `Filenames cannot exceed ${MAX_FILENAME_LENGTH} characters` });
+        }
+
+        const { file, role } = await findFileForUser(req.params.id, req.user._id, {
             isDeleted: false,
             uploadStatus: 'completed',
         });
-        if (file == null) {
-            file = await File.findOne({
-                _id: req.params.id,
-                sharedWith: req.user._id,
+
+        if (!file) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        if (!roleAllows(role, 'edit')) {
+            return res.status(403).json({ error: 'You do not have permission to edit this file' });
+        }
+
+        const newName = filename !== undefined ? filename.trim() : file.filename;
+        if (newName !== file.filename) {
+            if (!roleAllows(role, 'manage')) {
+                return res.status(403).json({ error: 'You do not have permission to rename this file' });
+            }
+
+            const existing = await File.findOne({
+                owner: file.owner,
+                path: file.path,
+                filename: newName,
                 isDeleted: false,
-                uploadStatus: 'completed',
+                versionOf: null,
+                _id: { $ne: file._id },
             });
+            if (existing) {
+                return res.status(409).json({ error: 'A file with this name already exists in this folder' });
+            }
+
+            file.filename = newName;
         }
 
-        if (!file) {
+        if (tags !== undefined) {
+            const parsed = parseTags(tags);
+            if (parsed.error) {
+                return res.status(400).json({ error: parsed.error });
+            }
+            file.tags = parsed.tags;
+        }
+
+        if (metadata !== undefined) {
+            const { error } = applyMetadataChanges(file, metadata);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+        }
+
+        await file.save(); // Triggers CDC update so other devices see the changes
+
+        res.json({
+            message: 'File updated successfully',
+            file,
+            role,
+        });
+    } catch (error) {
+        console.error('Update file error:', error);
+        res.status(500).json({ error: 'Server error while updating file' });
+    }
+});
+
+/**
+ * GET /api/files/:id/download
+ * Get pre-signed URL for downloading file
+ */
+router.get('/:id/download', authenticateToken, async (req, res) => {
+    try {
+        const { file, role } = await findFileForUser(req.params.id, req.user._id, {
+            isDeleted: false,
+            uploadStatus: 'completed',
+        });
+
+        if (!file || !roleAllows(role, 'view')) {
             return res.status(404).json({ error: 'File not found or not ready' });
         }
 
+        // Optionally download a previous version
+        const content = findVersionContent(file, req.query.version);
+        if (!content) {
+            return res.status(404).json({ error: 'Version not found' });
+        }
+
         // Generate pre-signed URL for download
         const command = new GetObjectCommand({
             Bucket: S3_CONFIG.BUCKET_NAME,
-            Key: file.s3Key,
-            ResponseContentDisposition: `attachment; filename="${file.originalName}"`,
+            Key: content.s3Key,
+            ResponseContentDisposition: contentDisposition(file.filename), // Current name, even after a rename
         });
 
         const presignedUrl = await getSignedUrl(s3Client, command, {
@@ -401,7 +1144,7 @@ router.get('/:id/download', authenticateToken, async (req, res) => {
 
         res.json({
             downloadUrl: presignedUrl,
-            filename: file.originalName,
+            filename: file.filename,
             expiresIn: S3_CONFIG.PRESIGNED_URL_EXPIRY,
         });
     } catch (error) {
@@ -411,72 +1154,474 @@ router.get('/:id/download', authenticateToken, async (req, res) => {
 });
 
 /**
- * DELETE /api/files/:id
- * Delete file
+ * GET /api/files/:id/stream
+ * Download a file (or a previous `version`) streamed through the server.
+ * Files stored gzipped are sent with Content-Encoding: gzip, or decompressed
+ * for clients that don't accept it. Supports Range requests, so browsers
+ * show progress and can resume interrupted downloads.
  */
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.get('/:id/stream', authenticateToken, async (req, res) => {
     try {
-        const file = await File.findOne({
-            _id: req.params.id,
-            owner: req.user._id,
+        const { file, role } = await findFileForUser(req.params.id, req.user._id, {
             isDeleted: false,
+            uploadStatus: 'completed',
+        });
+
+        if (!file || !roleAllows(role, 'view')) {
+            return res.status(404).json({ error: 'File not found or not ready' });
+        }
+
+        const content = findVersionContent(file, req.query.version);
+        if (!content) {
+            return res.status(404).json({ error: 'Version not found' });
+        }
+
+        await sendContent(req, res, content, { filename: file.filename });
+    } catch (error) {
+        console.error('Stream file error:', error);
+        if (res.headersSent) {
+            res.destroy(error); // Already streaming: the download fails
+        } else {
+            res.status(500).json({ error: 'Server error while downloading file' });
+        }
+    }
+});
+
+/**
+ * GET /api/files/:id/preview
+ * Get a pre-signed URL for showing a file (or one of its versions) in the
+ * browser: served inline when its content type is a known safe one (any
+ * other as an attachment), along with how to preview it (see previewService)
+ */
+router.get('/:id/preview', authenticateToken, async (req, res) => {
+    try {
+        const { file, role } = await findFileForUser(req.params.id, req.user._id, {
+            isDeleted: false,
+            uploadStatus: 'completed',
+        });
+
+        if (!file || !roleAllows(role, 'view')) {
+            return res.status(404).json({ error: 'File not found or not ready' });
+        }
+
+        const content = findVersionContent(file, req.query.version);
+        if (!content) {
+            return res.status(404).json({ error: 'Version not found' });
+        }
+
+        const kind = getPreviewKind({ filename: file.filename, mimeType: content.mimeType });
+        if (!kind) {
+            return res.status(415).json({ error: 'This file type cannot be previewed' });
+        }
+
+        // Text is loaded whole into the page
+        const originalSize = content.originalSize || content.size;
+        if ((kind === 'text' || kind === 'markdown') && originalSize > PREVIEW_CONFIG.MAX_TEXT_BYTES) {
+            return res.status(413).json({ error: 'This file is too large to preview, download it instead' });
+        }
+
+        const contentType = getPreviewContentType(kind, content.mimeType);
+        const command = new GetObjectCommand({
+            Bucket: S3_CONFIG.BUCKET_NAME,
+            Key: content.s3Key,
+            ResponseContentDisposition: contentDisposition(file.filename, getPreviewDisposition(contentType)),
+            ResponseContentType: contentType,
+        });
+
+        const presignedUrl = await getSignedUrl(s3Client, command, {
+            expiresIn: S3_CONFIG.PRESIGNED_URL_EXPIRY,
+        });
+
+        res.json({
+            previewUrl: presignedUrl,
+            kind,
+            filename: file.filename,
+            mimeType: content.mimeType,
+            size: originalSize,
+            isCompressed: content.isCompressed,
+            version: content.version,
+            expiresIn: S3_CONFIG.PRESIGNED_URL_EXPIRY,
+        });
+    } catch (error) {
+        console.error('Preview file error:', error);
+        res.status(500).json({ error: 'Server error while generating preview URL' });
+    }
+});
+
+/**
+ * GET /api/files/:id/thumbnail
+ * Redirect to a thumbnail of an image (`size`: small, medium or large), so
+ * it can be used as the src of an <img>
+ */
+router.get('/:id/thumbnail', authenticateToken, async (req, res) => {
+    try {
+        const size = req.query.size || 'medium';
+        if (!THUMBNAIL_CONFIG.SIZES[size]) {
+            return res.status(400).json({ error: `Size must be one of: ${Object.keys(THUMBNAIL_CONFIG.SIZES).join(', ')}` });
+        }
+
+        const { file, role } = await findFileForUser(req.params.id, req.user._id, {
+            isDeleted: false,
+            uploadStatus: 'completed',
+        });
+
+        // Thumbnails of older content aren't served while new ones are made
+        const thumbnail = file && roleAllows(role, 'view') && file.hasThumbnails
+            ? file.thumbnails.find(entry => entry.size === size)
+            : null;
+        if (!thumbnail) {
+            return res.status(404).json({ error: 'Thumbnail not found' });
+        }
+
+        const command = new GetObjectCommand({
+            Bucket: S3_CONFIG.BUCKET_NAME,
+            Key: thumbnail.s3Key,
+        });
+
+        const presignedUrl = await getSignedUrl(s3Client, command, {
+            expiresIn: S3_CONFIG.PRESIGNED_URL_EXPIRY,
+        });
+
+        // Browsers may reuse the redirect while the URL is valid
+        res.set('Cache-Control', `private, max-age=${S3_CONFIG.PRESIGNED_URL_EXPIRY - 60}`);
+        res.redirect(302, presignedUrl);
+    } catch (error) {
+        console.error('Thumbnail error:', error);
+        res.status(500).json({ error: 'Server error while fetching thumbnail' });
+    }
+});
+
+/**
+ * GET /api/files/:id/versions
+ * List the version history of a file
+ */
+router.get('/:id/versions', authenticateToken, async (req, res) => {
+    try {
+        const { file, role } = await findFileForUser(req.params.id, req.user._id, {
+            isDeleted: false,
+            uploadStatus: 'completed',
+        });
+
+        if (!file || !roleAllows(role, 'view')) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        const versions = [
+            { ...file.toVersion(), isCurrent: true },
+            ...file.versions.map(v => ({ ...v.toObject(), isCurrent: false })),
+        ]
+            .map(({ s3Key, ...version }) => version) // Don't expose S3 keys
+            .sort((a, b) => b.version - a.version);
+
+        res.json({
+            fileId: file._id,
+            currentVersion: file.version,
+            canRestore: roleAllows(role, 'edit'),
+            versions,
+        });
+    } catch (error) {
+        console.error('Get versions error:', error);
+        res.status(500).json({ error: 'Server error while fetching versions' });
+    }
+});
+
+/**
+ * POST /api/files/:id/versions/:n/restore
+ * Restore a previous version (it becomes the newest version)
+ */
+router.post('/:id/versions/:n/restore', authenticateToken, async (req, res) => {
+    try {
+        const versionNumber = parseInt(req.params.n);
+
+        const { file, role } = await findFileForUser(req.params.id, req.user._id, {
+            isDeleted: false,
+            uploadStatus: 'completed',
         });
 
         if (!file) {
             return res.status(404).json({ error: 'File not found' });
         }
 
-        // Delete from S3
-        if (file.uploadStatus === 'completed') {
-            const deleteCommand = new DeleteObjectCommand({
-                Bucket: S3_CONFIG.BUCKET_NAME,
-                Key: file.s3Key,
-            });
-            await s3Client.send(deleteCommand);
+        if (!roleAllows(role, 'edit')) {
+            return res.status(403).json({ error: 'You do not have permission to edit this file' });
         }
 
-        // Delete from MongoDB
-        await File.findByIdAndDelete(req.params.id);
-        await User.findByIdAndUpdate(
-            req.user._id,
-            { $inc: { storageUsed: -file.size } },
-            { new: true } // returns the updated document
-        );
+        if (versionNumber === file.version) {
+            return res.status(400).json({ error: 'This version is already the current version' });
+        }
+
+        const restored = await restoreVersion(file, versionNumber);
+        if (!restored) {
+            return res.status(404).json({ error: 'Version not found' });
+        }
+
+        contentIndexer.enqueue(restored._id);
 
         res.json({
-            message: 'File deleted successfully',
-            user: {
-                storageUsed: req.user.storageUsed,
-                storageQuota: req.user.storageQuota,
+            message: `Version ${versionNumber} restored successfully`,
+            file: {
+                id: restored._id,
+                filename: restored.filename,
+                size: restored.size,
+                version: restored.version,
             },
         });
+    } catch (error) {
+        console.error('Restore version error:', error);
+        res.status(500).json({ error: 'Server error while restoring version' });
+    }
+});
+
+/**
+ * DELETE /api/files/:id
+ * Move file to the owner's trash (owner or co-owner)
+ */
+router.delete('/:id', authenticateToken, async (req, res) => {
+    try {
+        const { file, role } = await findFileForUser(req.params.id, req.user._id, {
+            isDeleted: false,
+        });
+
+        if (!file) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        if (!roleAllows(role, 'manage')) {
+            return res.status(403).json({ error: 'You do not have permission to delete this file' });
+        }
+
+        await trashFile(file);
+
+        res.json({
+            message: 'File moved to trash',
+        });
     } catch (error) {
         console.error('Delete file error:', error);
         res.status(500).json({ error: 'Server error while deleting file' });
     }
 });
 
+/**
+ * POST /api/files/:id/restore
+ * Restore a file from the trash
+ */
+router.post('/:id/restore', authenticateToken, resolveWorkspace, requireWorkspaceRole('manage'), async (req, res) => {
+    try {
+        const file = await File.findOne({
+            _id: req.params.id,
+            owner: req.workspace.owner,
+            isDeleted: true,
+        });
+
+        if (!file) {
+            return res.status(404).json({ error: 'File not found in trash' });
+        }
+
+        const existing = await File.findOne({
+            owner: req.workspace.owner,
+            path: file.path,
+            filename: file.filename,
+            isDeleted: false,
+            versionOf: null,
+        });
+        if (existing) {
+            return res.status(409).json({ error: 'A file with this name already exists in its original folder' });
+        }
+
+        // The original folder may have been deleted in the meantime
+        await ensureFolderPath(req.workspace.owner, file.path);
+        await restoreFile(file);
+
+        res.json({
+            message: 'File restored successfully',
+            file: {
+                id: file._id,
+                filename: file.filename,
+                path: file.path,
+            },
+        });
+    } catch (error) {
+        console.error('Restore file error:', error);
+        res.status(500).json({ error: 'Server error while restoring file' });
+    }
+});
+
+/**
+ * DELETE /api/files/:id/permanent
+ * Permanently delete a file from the trash
+ */
+router.delete('/:id/permanent', authenticateToken, resolveWorkspace, requireWorkspaceRole('purge'), async (req, res) => {
+    try {
+        const file = await File.findOne({
+            _id: req.params.id,
+            owner: req.workspace.owner,
+            isDeleted: true,
+        });
+
+        if (!file) {
+            return res.status(404).json({ error: 'File not found in trash' });
+        }
+
+        // Delete from S3 and MongoDB
+        await deleteFile(file);
+
+        const user = await User.findById(req.user._id);
+
+        res.json({
+            message: 'File deleted permanently',
+            user: {
+                storageUsed: user.storageUsed,
+                storageReserved: user.storageReserved,
+                storageQuota: user.storageQuota,
+            },
+        });
+    } catch (error) {
+        console.error('Permanent delete error:', error);
+        res.status(500).json({ error: 'Server error while deleting file' });
+    }
+});
+
+/**
+ * POST /api/files/:id/move
+ * Move a file to another folder of its owner (owner or co-owner)
+ */
+router.post('/:id/move', authenticateToken, async (req, res) => {
+    try {
+        const { path } = req.body;
+
+        if (path === undefined) {
+            return res.status(400).json({ error: 'Please provide a destination path' });
+        }
+
+        const { file, role } = await findFileForUser(req.params.id, req.user._id, {
+            isDeleted: false,
+        });
+
+        if (!file) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        if (!roleAllows(role, 'manage')) {
+            return res.status(403).json({ error: 'You do not have permission to move this file' });
+        }
+
+        const destination = normalizePath(path);
+        if (!(await folderExists(file.owner, destination))) {
+            return res.status(404).json({ error: 'Destination folder not found' });
+        }
+
+        const existing = await File.findOne({
+            owner: file.owner,
+            path: destination,
+            filename: file.filename,
+            isDeleted: false,
+            versionOf: null,
+            _id: { $ne: file._id },
+        });
+        if (existing) {
+            return res.status(409).json({ error: 'A file with this name already exists in the destination' });
+        }
+
+        file.path = destination;
+        await file.save(); // Triggers CDC update so other devices move it too
+
+        res.json({
+            message: 'File moved successfully',
+            file: {
+                id: file._id,
+                filename: file.filename,
+                path: file.path,
+            },
+        });
+    } catch (error) {
+        console.error('Move file error:', error);
+        res.status(500).json({ error: 'Server error while moving file' });
+    }
+});
+
+/**
+ * GET /api/files/:id/access
+ * Who has access to a file: the owner, everyone and every group it is shared
+ * with (role, when and by whom; groups also through its folders) and, for
+ * owners and co-owners, its public links
+ */
+router.get('/:id/access', authenticateToken, async (req, res) => {
+    try {
+        const { file, role } = await findFileForUser(req.params.id, req.user._id, {
+            isDeleted: false,
+        });
+
+        if (!file) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        await file.populate([
+            { path: 'owner', select: 'username email name' },
+            { path: 'sharedWith.user', select: 'username email' },
+            { path: 'sharedWith.grantedBy', select: 'username' },
+        ]);
+
+        const canManage = roleAllows(role, 'manage');
+        const links = canManage
+            ? await ShareLink.find({ file: file._id, revokedAt: null }).sort({ createdAt: -1 })
+            : [];
+
+        res.json({
+            role,
+            canManage,
+            roles: SHARE_ROLES,
+            owner: {
+                id: file.owner._id,
+                // Team workspaces own their files, shown by the team name
+                username: file.owner.username || file.owner.name,
+                email: file.owner.email,
+                isTeam: file.ownerModel === 'Team',
+            },
+            people: file.sharedWith
+                .filter(share => share.user) // Skip deleted accounts
+                .map(share => ({
+                    user: {
+                        id: share.user._id,
+                        username: share.user.username,
+                        email: share.user.email,
+                    },
+                    role: share.role,
+                    grantedAt: share.grantedAt,
+                    grantedBy: share.grantedBy?.username,
+                })),
+            groups: await describeGroupShares(file),
+            folderGroups: await describeInheritedGroupShares(file),
+            links: links.map(link => link.toSummary()),
+        });
+    } catch (error) {
+        console.error('Get file access error:', error);
+        res.status(500).json({ error: 'Server error while fetching file access' });
+    }
+});
+
 /**
  * POST /api/files/:id/share
- * Share a file with another user
+ * Share a file with another user (owner or co-owner)
  */
 router.post('/:id/share', authenticateToken, async (req, res) => {
     try {
-        const { email } = req.body;
+        const { email, role = 'viewer' } = req.body;
         const fileId = req.params.id;
 
         if (!email) {
             return res.status(400).json({ error: 'Email is required' });
         }
 
+        if (!SHARE_ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${SHARE_ROLES.join(', ')}` });
+        }
+
         // Find the file to share
-        const file = await File.findOne({
-            _id: fileId,
-            owner: req.user._id,
+        const { file, role: userRole } = await findFileForUser(fileId, req.user._id, {
             isDeleted: false,
         });
 
-        if (!file) {
+        if (!file || !roleAllows(userRole, 'manage')) {
             return res.status(404).json({ error: 'File not found or unauthorized' });
         }
 
@@ -486,18 +1631,23 @@ router.post('/:id/share', authenticateToken, async (req, res) => {
             return res.status(404).json({ error: 'User with this email not found' });
         }
 
-        // Check if file is already shared with this user
-        if (file.sharedWith.includes(targetUser._id)) {
-            return res.status(400).json({ error: 'File already shared with this user' });
-        }
-
         // Check if trying to share with self
         if (targetUser._id.toString() === req.user._id.toString()) {
             return res.status(400).json({ error: 'Cannot share file with yourself' });
         }
 
+        // Check if file is already shared with this user (or owned by them)
+        if (getFileRole(file, targetUser._id)) {
+            return res.status(400).json({ error: 'File already shared with this user' });
+        }
+
         // Add user to file's sharedWith array
-        file.sharedWith.push(targetUser._id);
+        file.sharedWith.push({
+            user: targetUser._id,
+            role,
+            grantedAt: new Date(),
+            grantedBy: req.user._id,
+        });
         await file.save();
 
         // Add file to user's sharedFiles array
@@ -510,6 +1660,7 @@ router.post('/:id/share', authenticateToken, async (req, res) => {
                 id: targetUser._id,
                 username: targetUser.username,
                 email: targetUser.email,
+                role,
             },
         });
     } catch (error) {
@@ -518,22 +1669,137 @@ router.post('/:id/share', authenticateToken, async (req, res) => {
     }
 });
 
+/**
+ * PATCH /api/files/:id/shares/:userId
+ * Change the role a file is shared with (owner or co-owner)
+ */
+router.patch('/:id/shares/:userId', authenticateToken, async (req, res) => {
+    try {
+        const { role } = req.body;
+
+        if (!SHARE_ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${SHARE_ROLES.join(', ')}` });
+        }
+
+        const { file, role: userRole } = await findFileForUser(req.params.id, req.user._id, {
+            isDeleted: false,
+        });
+
+        if (!file || !roleAllows(userRole, 'manage')) {
+            return res.status(404).json({ error: 'File not found or unauthorized' });
+        }
+
+        const share = file.sharedWith.find(entry => entry.user.toString() === req.params.userId);
+        if (!share) {
+            return res.status(404).json({ error: 'File is not shared with this user' });
+        }
+
+        share.role = role;
+        share.grantedAt = new Date();
+        share.grantedBy = req.user._id;
+        await file.save();
+
+        res.json({
+            message: 'Share updated successfully',
+            share: {
+                userId: share.user,
+                role: share.role,
+            },
+        });
+    } catch (error) {
+        console.error('Update share error:', error);
+        res.status(500).json({ error: 'Server error while updating share' });
+    }
+});
+
+/**
+ * POST /api/files/:id/group-shares
+ * Share a file with one of the user's contact groups, or change the role
+ * it is shared with (owner or co-owner)
+ */
+router.post('/:id/group-shares', authenticateToken, async (req, res) => {
+    try {
+        const { groupId, role = 'viewer' } = req.body;
+
+        if (!groupId) {
+            return res.status(400).json({ error: 'Group is required' });
+        }
+        if (!SHARE_ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${SHARE_ROLES.join(', ')}` });
+        }
+
+        const { file, role: userRole } = await findFileForUser(req.params.id, req.user._id, {
+            isDeleted: false,
+            uploadStatus: 'completed',
+        });
+
+        if (!file || !roleAllows(userRole, 'manage')) {
+            return res.status(404).json({ error: 'File not found or unauthorized' });
+        }
+
+        const group = await findOwnGroup(groupId, req.user._id);
+        if (!group) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+
+        setGroupShare(file, group._id, role, req.user._id);
+        await file.save();
+
+        res.json({
+            message: `File shared with ${group.name}`,
+            share: {
+                groupId: group._id,
+                role,
+            },
+        });
+    } catch (error) {
+        console.error('Share file with group error:', error);
+        res.status(500).json({ error: 'Server error while sharing file with group' });
+    }
+});
+
+/**
+ * DELETE /api/files/:id/group-shares/:groupId
+ * Stop sharing a file with a group (owner or co-owner)
+ */
+router.delete('/:id/group-shares/:groupId', authenticateToken, async (req, res) => {
+    try {
+        const { file, role } = await findFileForUser(req.params.id, req.user._id, {
+            isDeleted: false,
+        });
+
+        if (!file || !roleAllows(role, 'manage')) {
+            return res.status(404).json({ error: 'File not found or unauthorized' });
+        }
+
+        if (!removeGroupShare(file, req.params.groupId)) {
+            return res.status(404).json({ error: 'File is not shared with this group' });
+        }
+        await file.save();
+
+        res.json({ message: 'File unshared with group successfully' });
+    } catch (error) {
+        console.error('Unshare file with group error:', error);
+        res.status(500).json({ error: 'Server error while unsharing file with group' });
+    }
+});
+
 /**
  * DELETE /api/files/:id/unshare/:userId
- * Unshare a file with a specific user
+ * Unshare a file with a specific user (owner or co-owner, or the user
+ * themselves leaving the share)
  */
 router.delete('/:id/unshare/:userId', authenticateToken, async (req, res) => {
     try {
         const { id: fileId, userId } = req.params;
 
         // Find the file
-        const file = await File.findOne({
-            _id: fileId,
-            owner: req.user._id,
+        const { file, role } = await findFileForUser(fileId, req.user._id, {
             isDeleted: false,
         });
 
-        if (!file) {
+        const isSelf = userId === req.user._id.toString();
+        if (!file || !(roleAllows(role, 'manage') || isSelf)) {
             return res.status(404).json({ error: 'File not found or unauthorized' });
         }
 
@@ -544,7 +1810,7 @@ router.delete('/:id/unshare/:userId', authenticateToken, async (req, res) => {
         }
 
         // Remove user from file's sharedWith array
-        file.sharedWith = file.sharedWith.filter(id => id.toString() !== userId);
+        file.sharedWith = file.sharedWith.filter(share => share.user.toString() !== userId);
         await file.save();
 
         // Remove file from user's sharedFiles array
@@ -0,0 +1,303 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { resolveWorkspace, requireWorkspaceRole } from '../middleware/workspace.js';
+import Folder from '../models/Folder.js';
+import { SHARE_ROLES } from '../models/File.js';
+import { folderExists, relocateFolder, deleteFolderTree } from '../services/folderService.js';
+import {
+    findOwnGroup,
+    setGroupShare,
+    removeGroupShare,
+    describeGroupShares,
+} from '../services/groupService.js';
+import { normalizePath, isValidName, isWithinPath } from '../utils/paths.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/folders
+ * List the subfolders of a path in the workspace
+ */
+router.get('/', authenticateToken, resolveWorkspace, async (req, res) => {
+    try {
+        const path = normalizePath(req.query.path);
+
+        const folders = await Folder.find({
+            owner: req.workspace.owner,
+            path,
+        }).sort({ name: 1 });
+
+        res.json({ path, folders });
+    } catch (error) {
+        console.error('List folders error:', error);
+        res.status(500).json({ error: 'Server error while fetching folders' });
+    }
+});
+
+/**
+ * POST /api/folders
+ * Create a folder
+ */
+router.post('/', authenticateToken, resolveWorkspace, requireWorkspaceRole('edit'), async (req, res) => {
+    try {
+        const { name, path = '/' } = req.body;
+
+        if (!isValidName(name)) {
+            return res.status(400).json({ error: 'Please provide a valid folder name' });
+        }
+
+        const parent = normalizePath(path);
+        if (!(await folderExists(req.workspace.owner, parent))) {
+            return res.status(404).json({ error: 'Parent folder not found' });
+        }
+
+        const existing = await Folder.findOne({
+            owner: req.workspace.owner,
+            path: parent,
+            name: name.trim(),
+        });
+        if (existing) {
+            return res.status(409).json({ error: 'A folder with this name already exists' });
+        }
+
+        const folder = new Folder({
+            name: name.trim(),
+            owner: req.workspace.owner,
+            path: parent,
+        });
+
+        await folder.save();
+
+        res.status(201).json({
+            message: 'Folder created successfully',
+            folder,
+        });
+    } catch (error) {
+        console.error('Create folder error:', error);
+        res.status(500).json({ error: 'Server error while creating folder' });
+    }
+});
+
+/**
+ * POST /api/folders/:id/rename
+ * Rename a folder
+ */
+router.post('/:id/rename', authenticateToken, resolveWorkspace, requireWorkspaceRole('manage'), async (req, res) => {
+    try {
+        const { name } = req.body;
+
+        if (!isValidName(name)) {
+            return res.status(400).json({ error: 'Please provide a valid folder name' });
+        }
+
+        const folder = await Folder.findOne({
+            _id: req.params.id,
+            owner: req.workspace.owner,
+        });
+
+        if (!folder) {
+            return res.status(404).json({ error: 'Folder not found' });
+        }
+
+        const existing = await Folder.findOne({
+            owner: req.workspace.owner,
+            path: folder.path,
+            name: name.trim(),
+            _id: { $ne: folder._id },
+        });
+        if (existing) {
+            return res.status(409).json({ error: 'A folder with this name already exists' });
+        }
+
+        await relocateFolder(folder, { name: name.trim() });
+
+        res.json({
+            message: 'Folder renamed successfully',
+            folder,
+        });
+    } catch (error) {
+        console.error('Rename folder error:', error);
+        res.status(500).json({ error: 'Server error while renaming folder' });
+    }
+});
+
+/**
+ * POST /api/folders/:id/move
+ * Move a folder (and everything inside it) to another parent folder
+ */
+router.post('/:id/move', authenticateToken, resolveWorkspace, requireWorkspaceRole('manage'), async (req, res) => {
+    try {
+        const { path } = req.body;
+
+        if (path === undefined) {
+            return res.status(400).json({ error: 'Please provide a destination path' });
+        }
+
+        const folder = await Folder.findOne({
+            _id: req.params.id,
+            owner: req.workspace.owner,
+        });
+
+        if (!folder) {
+            return res.status(404).json({ error: 'Folder not found' });
+        }
+
+        const destination = normalizePath(path);
+
+        // A folder cannot be moved into itself or one of its subfolders
+        if (isWithinPath(destination, folder.fullPath)) {
+            return res.status(400).json({ error: 'Cannot move a folder into itself' });
+        }
+
+        if (!(await folderExists(req.workspace.owner, destination))) {
+            return res.status(404).json({ error: 'Destination folder not found' });
+        }
+
+        const existing = await Folder.findOne({
+            owner: req.workspace.owner,
+            path: destination,
+            name: folder.name,
+            _id: { $ne: folder._id },
+        });
+        if (existing) {
+            return res.status(409).json({ error: 'A folder with this name already exists in the destination' });
+        }
+
+        await relocateFolder(folder, { path: destination });
+
+        res.json({
+            message: 'Folder moved successfully',
+            folder,
+        });
+    } catch (error) {
+        console.error('Move folder error:', error);
+        res.status(500).json({ error: 'Server error while moving folder' });
+    }
+});
+
+/**
+ * DELETE /api/folders/:id
+ * Delete a folder and move everything inside it to the trash
+ */
+router.delete('/:id', authenticateToken, resolveWorkspace, requireWorkspaceRole('manage'), async (req, res) => {
+    try {
+        const folder = await Folder.findOne({
+            _id: req.params.id,
+            owner: req.workspace.owner,
+        });
+
+        if (!folder) {
+            return res.status(404).json({ error: 'Folder not found' });
+        }
+
+        const { filesTrashed } = await deleteFolderTree(folder);
+
+        res.json({
+            message: 'Folder deleted successfully',
+            filesTrashed,
+        });
+    } catch (error) {
+        console.error('Delete folder error:', error);
+        res.status(500).json({ error: 'Server error while deleting folder' });
+    }
+});
+
+/**
+ * GET /api/folders/:id/access
+ * Groups a folder is shared with (they can access every file inside it)
+ */
+router.get('/:id/access', authenticateToken, resolveWorkspace, requireWorkspaceRole('manage'), async (req, res) => {
+    try {
+        const folder = await Folder.findOne({
+            _id: req.params.id,
+            owner: req.workspace.owner,
+        });
+
+        if (!folder) {
+            return res.status(404).json({ error: 'Folder not found' });
+        }
+
+        res.json({
+            roles: SHARE_ROLES,
+            groups: await describeGroupShares(folder),
+        });
+    } catch (error) {
+        console.error('Get folder access error:', error);
+        res.status(500).json({ error: 'Server error while fetching folder access' });
+    }
+});
+
+/**
+ * POST /api/folders/:id/group-shares
+ * Share a folder (every file inside it) with one of the user's contact
+ * groups, or change the role it is shared with
+ */
+router.post('/:id/group-shares', authenticateToken, resolveWorkspace, requireWorkspaceRole('manage'), async (req, res) => {
+    try {
+        const { groupId, role = 'viewer' } = req.body;
+
+        if (!groupId) {
+            return res.status(400).json({ error: 'Group is required' });
+        }
+        if (!SHARE_ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${SHARE_ROLES.join(', ')}` });
+        }
+
+        const folder = await Folder.findOne({
+            _id: req.params.id,
+            owner: req.workspace.owner,
+        });
+
+        if (!folder) {
+            return res.status(404).json({ error: 'Folder not found' });
+        }
+
+        const group = await findOwnGroup(groupId, req.user._id);
+        if (!group) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+
+        setGroupShare(folder, group._id, role, req.user._id);
+        await folder.save();
+
+        res.json({
+            message: `Folder shared with ${group.name}`,
+            share: {
+                groupId: group._id,
+                role,
+            },
+        });
+    } catch (error) {
+        console.error('Share folder with group error:', error);
+        res.status(500).json({ error: 'Server error while sharing folder with group' });
+    }
+});
+
+/**
+ * DELETE /api/folders/:id/group-shares/:groupId
+ * Stop sharing a folder with a group
+ */
+router.delete('/:id/group-shares/:groupId', authenticateToken, resolveWorkspace, requireWorkspaceRole('manage'), async (req, res) => {
+    try {
+        const folder = await Folder.findOne({
+            _id: req.params.id,
+            owner: req.workspace.owner,
+        });
+
+        if (!folder) {
+            return res.status(404).json({ error: 'Folder not found' });
+        }
+
+        if (!removeGroupShare(folder, req.params.groupId)) {
+            return res.status(404).json({ error: 'Folder is not shared with this group' });
+        }
+        await folder.save();
+
+        res.json({ message: 'Folder unshared with group successfully' });
+    } catch (error) {
+        console.error('Unshare folder with group error:', error);
+        res.status(500).json({ error: 'Server error while unsharing folder with group' });
+    }
+});
+
+export default router;
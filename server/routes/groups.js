@@ -0,0 +1,171 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import ContactGroup from '../models/ContactGroup.js';
+import User from '../models/User.js';
+import { findOwnGroup, deleteGroup } from '../services/groupService.js';
+
+const router = express.Router();
+
+/**
+ * Group with its members (populated)
+ */
+const toGroupSummary = (group) => ({
+    id: group._id,
+    name: group.name,
+    members: group.members
+        .filter(member => member) // Skip deleted accounts
+        .map(member => ({
+            id: member._id,
+            username: member.username,
+            email: member.email,
+        })),
+    createdAt: group.createdAt,
+});
+
+/**
+ * GET /api/groups
+ * List the user's contact groups and their members
+ */
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const groups = await ContactGroup.find({ owner: req.user._id })
+            .sort({ name: 1 })
+            .populate('members', 'username email');
+
+        res.json({ groups: groups.map(toGroupSummary) });
+    } catch (error) {
+        console.error('List groups error:', error);
+        res.status(500).json({ error: 'Server error while fetching groups' });
+    }
+});
+
+/**
+ * POST /api/groups
+ * Create a contact group
+ */
+router.post('/', authenticateToken, async (req, res) => {
+    try {
+        const { name } = req.body;
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({ error: 'Please provide a group name' });
+        }
+        if (name.trim().length > 50) {
+            return res.status(400).json({ error: 'Group name cannot exceed 50 characters' });
+        }
+
+        const existing = await ContactGroup.findOne({ owner: req.user._id, name: name.trim() });
+        if (existing) {
+            return res.status(409).json({ error: 'A group with this name already exists' });
+        }
+
+        const group = new ContactGroup({
+            name: name.trim(),
+            owner: req.user._id,
+            members: [],
+        });
+
+        await group.save();
+
+        res.status(201).json({
+            message: 'Group created successfully',
+            group: toGroupSummary(group),
+        });
+    } catch (error) {
+        console.error('Create group error:', error);
+        res.status(500).json({ error: 'Server error while creating group' });
+    }
+});
+
+/**
+ * DELETE /api/groups/:id
+ * Delete a contact group (everything shared with it stops being shared)
+ */
+router.delete('/:id', authenticateToken, async (req, res) => {
+    try {
+        const group = await findOwnGroup(req.params.id, req.user._id);
+
+        if (!group) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+
+        await deleteGroup(group);
+
+        res.json({ message: 'Group deleted successfully' });
+    } catch (error) {
+        console.error('Delete group error:', error);
+        res.status(500).json({ error: 'Server error while deleting group' });
+    }
+});
+
+/**
+ * POST /api/groups/:id/members
+ * Add a member by email (they get access to everything shared with the group)
+ */
+router.post('/:id/members', authenticateToken, async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({ error: 'Email is required' });
+        }
+
+        const group = await findOwnGroup(req.params.id, req.user._id);
+
+        if (!group) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+
+        const user = await User.findOne({ email: email.toLowerCase() });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (group.members.some(member => member.equals(user._id))) {
+            return res.status(409).json({ error: 'User is already in this group' });
+        }
+
+        group.members.push(user._id);
+        await group.save();
+
+        res.status(201).json({
+            message: `${user.username} added to ${group.name}`,
+            member: {
+                id: user._id,
+                username: user.username,
+                email: user.email,
+            },
+        });
+    } catch (error) {
+        console.error('Add group member error:', error);
+        res.status(500).json({ error: 'Server error while adding group member' });
+    }
+});
+
+/**
+ * DELETE /api/groups/:id/members/:userId
+ * Remove a member (they lose access to everything shared with the group)
+ */
+router.delete('/:id/members/:userId', authenticateToken, async (req, res) => {
+    try {
+        const group = await findOwnGroup(req.params.id, req.user._id);
+
+        if (!group) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+
+        const remaining = group.members.filter(member => member.toString() !== req.params.userId);
+        if (remaining.length === group.members.length) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+
+        group.members = remaining;
+        await group.save();
+
+        res.json({ message: 'Member removed successfully' });
+    } catch (error) {
+        console.error('Remove group member error:', error);
+        res.status(500).json({ error: 'Server error while removing group member' });
+    }
+});
+
+export default router;
@@ -0,0 +1,166 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { authenticateToken } from '../middleware/auth.js';
+import ShareLink from '../models/ShareLink.js';
+import Folder from '../models/Folder.js';
+import { findFileForUser, getUserTeams, getOwnerRole, roleAllows } from '../services/accessService.js';
+
+const router = express.Router();
+
+/**
+ * Find the file or folder a link request is about, if the user may manage
+ * its links (files: owner or co-owner, folders: owner or team member)
+ */
+const findManagedTarget = async (userId, { fileId, folderId }) => {
+    if (![fileId, folderId].every(id => !id || mongoose.isValidObjectId(id))) {
+        return null;
+    }
+
+    if (fileId) {
+        const { file, role } = await findFileForUser(fileId, userId, {
+            isDeleted: false,
+            uploadStatus: 'completed',
+        });
+        return file && roleAllows(role, 'manage') ? { file } : null;
+    }
+
+    if (folderId) {
+        const folder = await Folder.findById(folderId);
+        const role = folder && getOwnerRole(folder.owner, userId, await getUserTeams(userId));
+        return roleAllows(role, 'manage') ? { folder } : null;
+    }
+
+    return null;
+};
+
+/**
+ * Find a link and its target, if the user may manage the target
+ */
+const findManagedLink = async (userId, linkId) => {
+    const link = mongoose.isValidObjectId(linkId) ? await ShareLink.findById(linkId) : null;
+    const target = link && await findManagedTarget(userId, {
+        fileId: link.file,
+        folderId: link.folder,
+    });
+    return target ? link : null;
+};
+
+/**
+ * GET /api/links
+ * List the public links of a file or folder (?fileId= or ?folderId=)
+ */
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const target = await findManagedTarget(req.user._id, req.query);
+
+        if (!target) {
+            return res.status(404).json({ error: 'File or folder not found' });
+        }
+
+        const links = await ShareLink.find(target.file ? { file: target.file._id } : { folder: target.folder._id })
+            .sort({ createdAt: -1 });
+
+        res.json({ links: links.map(link => link.toSummary()) });
+    } catch (error) {
+        console.error('List links error:', error);
+        res.status(500).json({ error: 'Server error while fetching links' });
+    }
+});
+
+/**
+ * POST /api/links
+ * Create a public link to a file or folder, with optional password,
+ * expiry and download limit
+ */
+router.post('/', authenticateToken, async (req, res) => {
+    try {
+        const { fileId, folderId, password, expiresAt, maxDownloads } = req.body;
+
+        if (!fileId === !folderId) {
+            return res.status(400).json({ error: 'Please provide either fileId or folderId' });
+        }
+
+        const expiry = expiresAt ? new Date(expiresAt) : undefined;
+        if (expiry && (isNaN(expiry) || expiry <= new Date())) {
+            return res.status(400).json({ error: 'Expiry must be a date in the future' });
+        }
+
+        const limit = maxDownloads ? parseInt(maxDownloads) : undefined;
+        if (limit !== undefined && !(limit > 0)) {
+            return res.status(400).json({ error: 'Download limit must be a positive number' });
+        }
+
+        const target = await findManagedTarget(req.user._id, { fileId, folderId });
+        if (!target) {
+            return res.status(404).json({ error: 'File or folder not found' });
+        }
+
+        const link = new ShareLink({
+            file: target.file?._id,
+            folder: target.folder?._id,
+            createdBy: req.user._id,
+            expiresAt: expiry,
+            maxDownloads: limit,
+        });
+        await link.setPassword(password);
+        await link.save();
+
+        res.status(201).json({
+            message: 'Link created successfully',
+            link: link.toSummary(),
+        });
+    } catch (error) {
+        console.error('Create link error:', error);
+        res.status(500).json({ error: 'Server error while creating link' });
+    }
+});
+
+/**
+ * GET /api/links/:id/access-log
+ * Recent accesses through a link
+ */
+router.get('/:id/access-log', authenticateToken, async (req, res) => {
+    try {
+        const link = await findManagedLink(req.user._id, req.params.id);
+
+        if (!link) {
+            return res.status(404).json({ error: 'Link not found' });
+        }
+
+        res.json({
+            accessLog: [...link.accessLog].reverse(), // Newest first
+        });
+    } catch (error) {
+        console.error('Get access log error:', error);
+        res.status(500).json({ error: 'Server error while fetching access log' });
+    }
+});
+
+/**
+ * DELETE /api/links/:id
+ * Revoke a link (it stops working immediately)
+ */
+router.delete('/:id', authenticateToken, async (req, res) => {
+    try {
+        const link = await findManagedLink(req.user._id, req.params.id);
+
+        if (!link) {
+            return res.status(404).json({ error: 'Link not found' });
+        }
+
+        if (!link.revokedAt) {
+            link.revokedAt = new Date();
+            await link.save();
+        }
+
+        res.json({
+            message: 'Link revoked successfully',
+            link: link.toSummary(),
+        });
+    } catch (error) {
+        console.error('Revoke link error:', error);
+        res.status(500).json({ error: 'Server error while revoking link' });
+    }
+});
+
+export default router;
@@ -0,0 +1,201 @@
+import express from 'express';
+import { GetObjectCommand } from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { s3Client, S3_CONFIG } from '../config/s3.js';
+import ShareLink from '../models/ShareLink.js';
+import File from '../models/File.js';
+import Folder from '../models/Folder.js';
+import { normalizePath, subtreeCondition } from '../utils/paths.js';
+import { contentDisposition } from '../utils/contentDisposition.js';
+
+const router = express.Router();
+
+/**
+ * Public routes for share links. No authentication: access is granted by
+ * the link token (and its password, if it has one).
+ */
+
+/**
+ * Look up a usable link from the request, or send the error response.
+ * Returns the link or null. Visits of folder links that had their download
+ * counted (body: { visit }) go on past the download limit.
+ */
+const openLink = async (req, res) => {
+    const link = await ShareLink.findOne({ token: req.params.token });
+
+    if (!link) {
+        res.status(404).json({ error: 'Link not found' });
+        return null;
+    }
+
+    const countedVisit = !!link.folder && link.isCountedVisit(req.body.visit);
+    const inactiveReason = link.getInactiveReason({ countedVisit });
+    if (inactiveReason) {
+        res.status(410).json({ error: inactiveReason });
+        return null;
+    }
+
+    // Too many wrong passwords in a row: refuse any for a while
+    const lockedUntil = link.passwordHash && link.getPasswordLock();
+    if (lockedUntil) {
+        res.set('Retry-After', Math.ceil((lockedUntil - Date.now()) / 1000));
+        res.status(429).json({
+            error: 'Too many incorrect passwords, please try again later',
+            passwordRequired: true,
+        });
+        return null;
+    }
+
+    // 403 rather than 401, which the app treats as "log in again"
+    if (!(await link.checkPassword(req.body.password))) {
+        if (req.body.password) {
+            await link.recordPasswordFailure();
+        }
+        await link.logAccess(req, 'denied');
+        res.status(403).json({
+            error: req.body.password ? 'Incorrect password' : 'This link is password protected',
+            passwordRequired: true,
+        });
+        return null;
+    }
+
+    await link.clearPasswordFailures();
+    return link;
+};
+
+/**
+ * Files reachable through a link (the file itself, or everything in the folder)
+ */
+const getLinkedFiles = async (link) => {
+    if (link.file) {
+        const file = await File.findOne({
+            _id: link.file,
+            isDeleted: false,
+            uploadStatus: 'completed',
+        });
+        return { files: file ? [file] : [] };
+    }
+
+    const folder = await Folder.findById(link.folder);
+    if (!folder) {
+        return { files: [] };
+    }
+
+    const files = await File.find({
+        owner: folder.owner,
+        path: subtreeCondition(folder.fullPath),
+        isDeleted: false,
+        uploadStatus: 'completed',
+        versionOf: null,
+    })
+        .sort({ path: 1, filename: 1 })
+        .select('-chunks');
+
+    return { folder, files };
+};
+
+/**
+ * POST /api/public/links/:token
+ * Describe what a link shares (body: { password })
+ */
+router.post('/links/:token', async (req, res) => {
+    try {
+        const link = await openLink(req, res);
+        if (!link) return;
+
+        const { folder, files } = await getLinkedFiles(link);
+        if (files.length === 0 && !folder) {
+            return res.status(404).json({ error: 'The shared file no longer exists' });
+        }
+
+        await link.logAccess(req, 'view');
+
+        const base = folder ? folder.fullPath : null;
+
+        res.json({
+            type: folder ? 'folder' : 'file',
+            name: folder ? folder.name : files[0].filename,
+            expiresAt: link.expiresAt,
+            downloadsRemaining: link.maxDownloads ? link.maxDownloads - link.downloadCount : null,
+            files: files.map(file => ({
+                id: file._id,
+                filename: file.filename,
+                // Folder relative to the shared folder
+                path: base ? normalizePath(file.path.slice(base.length)) : '/',
+                size: file.size,
+                originalSize: file.originalSize,
+                mimeType: file.mimeType,
+                isCompressed: file.isCompressed,
+            })),
+        });
+    } catch (error) {
+        console.error('Open link error:', error);
+        res.status(500).json({ error: 'Server error while opening link' });
+    }
+});
+
+/**
+ * POST /api/public/links/:token/download
+ * Get a short-lived download URL for a file shared through a link
+ * (body: { password, fileId, visit } - fileId and visit are only needed
+ * for folder links, visit being the token from the visit's first download)
+ */
+router.post('/links/:token/download', async (req, res) => {
+    try {
+        const link = await openLink(req, res);
+        if (!link) return;
+
+        const { files } = await getLinkedFiles(link);
+        const file = link.file
+            ? files[0]
+            : files.find(entry => entry._id.toString() === req.body.fileId);
+
+        if (!file) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        // Count the download, unless the limit was reached meanwhile. Folder
+        // links count once per visit: the first download of a visit counts,
+        // the visitor gets a token that lets the visit's other downloads go.
+        const countedVisit = !!link.folder && link.isCountedVisit(req.body.visit);
+        const counted = countedVisit || await ShareLink.findOneAndUpdate(
+            {
+                _id: link._id,
+                $or: [
+                    { maxDownloads: null },
+                    { $expr: { $lt: ['$downloadCount', '$maxDownloads'] } },
+                ],
+            },
+            { $inc: { downloadCount: 1 } }
+        );
+        if (!counted) {
+            return res.status(410).json({ error: 'This link has reached its download limit' });
+        }
+
+        await link.logAccess(req, 'download', file._id);
+
+        const command = new GetObjectCommand({
+            Bucket: S3_CONFIG.BUCKET_NAME,
+            Key: file.s3Key,
+            ResponseContentDisposition: contentDisposition(file.filename),
+        });
+
+        const presignedUrl = await getSignedUrl(s3Client, command, {
+            expiresIn: S3_CONFIG.PUBLIC_URL_EXPIRY,
+        });
+
+        res.json({
+            downloadUrl: presignedUrl,
+            filename: file.filename,
+            isCompressed: file.isCompressed,
+            mimeType: file.mimeType,
+            expiresIn: S3_CONFIG.PUBLIC_URL_EXPIRY,
+            visit: link.folder && !countedVisit ? link.createCountedVisit() : undefined,
+        });
+    } catch (error) {
+        console.error('Public download error:', error);
+        res.status(500).json({ error: 'Server error while generating download URL' });
+    }
+});
+
+export default router;
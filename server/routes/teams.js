@@ -0,0 +1,260 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { authenticateToken } from '../middleware/auth.js';
+import Team, { TEAM_ROLES, TEAM_LIMITS } from '../models/Team.js';
+import User from '../models/User.js';
+import { TEAM_FILE_ROLES } from '../services/accessService.js';
+
+const router = express.Router();
+
+/**
+ * Team as seen by one of its members
+ */
+const toTeamSummary = (team, userId) => {
+    const role = team.getMemberRole(userId);
+
+    return {
+        id: team._id,
+        name: team.name,
+        role,
+        fileRole: TEAM_FILE_ROLES[role], // Role on the files of the team's workspace
+        memberCount: team.members.length,
+        storageUsed: team.storageUsed,
+        storageReserved: team.storageReserved,
+        storageQuota: team.storageQuota,
+    };
+};
+
+/**
+ * Find a team the user is a member of
+ */
+const findTeamForMember = async (teamId, userId) => {
+    if (!mongoose.isValidObjectId(teamId)) {
+        return null;
+    }
+    return Team.findOne({ _id: teamId, 'members.user': userId });
+};
+
+/**
+ * Whether removing or demoting `userId` would leave the team without an admin
+ */
+const isLastAdmin = (team, userId) => {
+    const admins = team.members.filter(member => member.role === 'admin');
+    return admins.length === 1 && admins[0].user.toString() === userId.toString();
+};
+
+/**
+ * GET /api/teams
+ * List the teams the user is a member of
+ */
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const teams = await Team.find({ 'members.user': req.user._id }).sort({ name: 1 });
+
+        res.json({
+            teams: teams.map(team => toTeamSummary(team, req.user._id)),
+            roles: TEAM_ROLES,
+        });
+    } catch (error) {
+        console.error('List teams error:', error);
+        res.status(500).json({ error: 'Server error while fetching teams' });
+    }
+});
+
+/**
+ * POST /api/teams
+ * Create a team (the creator becomes its admin)
+ */
+router.post('/', authenticateToken, async (req, res) => {
+    try {
+        const { name } = req.body;
+
+        if (typeof name !== 'string' || !name.trim()) {
+            return res.status(400).json({ error: 'Please provide a team name' });
+        }
+        if (name.trim().length > 50) {
+            return res.status(400).json({ error: 'Team name cannot exceed 50 characters' });
+        }
+
+        // Each team brings its own quota: limit how many a user creates
+        const created = await Team.countDocuments({ createdBy: req.user._id });
+        if (created >= TEAM_LIMITS.MAX_CREATED_PER_USER) {
+            return res.status(403).json({
+                error: `You can create at most ${TEAM_LIMITS.MAX_CREATED_PER_USER} teams`,
+            });
+        }
+
+        const team = new Team({
+            name: name.trim(),
+            createdBy: req.user._id,
+            members: [{ user: req.user._id, role: 'admin' }],
+        });
+
+        await team.save();
+
+        res.status(201).json({
+            message: 'Team created successfully',
+            team: toTeamSummary(team, req.user._id),
+        });
+    } catch (error) {
+        console.error('Create team error:', error);
+        res.status(500).json({ error: 'Server error while creating team' });
+    }
+});
+
+/**
+ * GET /api/teams/:id
+ * Get a team and its members (members only)
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+    try {
+        const team = await findTeamForMember(req.params.id, req.user._id);
+
+        if (!team) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+
+        await team.populate('members.user', 'username email');
+
+        res.json({
+            team: toTeamSummary(team, req.user._id),
+            members: team.members
+                .filter(member => member.user) // Skip deleted accounts
+                .map(member => ({
+                    user: {
+                        id: member.user._id,
+                        username: member.user.username,
+                        email: member.user.email,
+                    },
+                    role: member.role,
+                    joinedAt: member.joinedAt,
+                })),
+        });
+    } catch (error) {
+        console.error('Get team error:', error);
+        res.status(500).json({ error: 'Server error while fetching team' });
+    }
+});
+
+/**
+ * POST /api/teams/:id/members
+ * Add a member by email (team admins)
+ */
+router.post('/:id/members', authenticateToken, async (req, res) => {
+    try {
+        const { email, role = 'member' } = req.body;
+
+        if (!email) {
+            return res.status(400).json({ error: 'Email is required' });
+        }
+        if (!TEAM_ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${TEAM_ROLES.join(', ')}` });
+        }
+
+        const team = await findTeamForMember(req.params.id, req.user._id);
+
+        if (!team) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+        if (team.getMemberRole(req.user._id) !== 'admin') {
+            return res.status(403).json({ error: 'Only team admins can add members' });
+        }
+
+        const user = await User.findOne({ email: email.toLowerCase() });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (team.getMemberRole(user._id)) {
+            return res.status(409).json({ error: 'User is already a member of this team' });
+        }
+
+        team.members.push({ user: user._id, role });
+        await team.save();
+
+        res.status(201).json({
+            message: `${user.username} added to ${team.name}`,
+            member: {
+                user: { id: user._id, username: user.username, email: user.email },
+                role,
+                joinedAt: new Date(),
+            },
+        });
+    } catch (error) {
+        console.error('Add team member error:', error);
+        res.status(500).json({ error: 'Server error while adding team member' });
+    }
+});
+
+/**
+ * PATCH /api/teams/:id/members/:userId
+ * Change a member's role (team admins)
+ */
+router.patch('/:id/members/:userId', authenticateToken, async (req, res) => {
+    try {
+        const { role } = req.body;
+
+        if (!TEAM_ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${TEAM_ROLES.join(', ')}` });
+        }
+
+        const team = await findTeamForMember(req.params.id, req.user._id);
+
+        if (!team) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+        if (team.getMemberRole(req.user._id) !== 'admin') {
+            return res.status(403).json({ error: 'Only team admins can change roles' });
+        }
+
+        const member = team.members.find(entry => entry.user.toString() === req.params.userId);
+        if (!member) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        if (role !== 'admin' && isLastAdmin(team, member.user)) {
+            return res.status(400).json({ error: 'A team needs at least one admin' });
+        }
+
+        member.role = role;
+        await team.save();
+
+        res.json({ message: 'Role updated successfully', role });
+    } catch (error) {
+        console.error('Update team member error:', error);
+        res.status(500).json({ error: 'Server error while updating team member' });
+    }
+});
+
+/**
+ * DELETE /api/teams/:id/members/:userId
+ * Remove a member (team admins, or members leaving the team)
+ */
+router.delete('/:id/members/:userId', authenticateToken, async (req, res) => {
+    try {
+        const team = await findTeamForMember(req.params.id, req.user._id);
+
+        if (!team) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+
+        const isSelf = req.params.userId === req.user._id.toString();
+        if (!isSelf && team.getMemberRole(req.user._id) !== 'admin') {
+            return res.status(403).json({ error: 'Only team admins can remove members' });
+        }
+        if (!team.getMemberRole(req.params.userId)) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        if (isLastAdmin(team, req.params.userId)) {
+            return res.status(400).json({ error: 'A team needs at least one admin' });
+        }
+
+        team.members = team.members.filter(entry => entry.user.toString() !== req.params.userId);
+        await team.save();
+
+        res.json({ message: isSelf ? `You left ${team.name}` : 'Member removed successfully' });
+    } catch (error) {
+        console.error('Remove team member error:', error);
+        res.status(500).json({ error: 'Server error while removing team member' });
+    }
+});
+
+export default router;
@@ -7,7 +7,20 @@ import jwt from 'jsonwebtoken';
 import { connectDB, setupDBEventHandlers } from './config/db.js';
 import authRoutes from './routes/auth.js';
 import fileRoutes from './routes/files.js';
+import folderRoutes from './routes/folders.js';
+import adminRoutes from './routes/admin.js';
+import linkRoutes from './routes/links.js';
+import teamRoutes from './routes/teams.js';
+import groupRoutes from './routes/groups.js';
+import publicRoutes from './routes/public.js';
 import CDCService from './services/cdcService.js';
+import TrashPurgeService from './services/trashService.js';
+import { uploadJanitor } from './services/janitorService.js';
+import { contentIndexer } from './services/contentIndexService.js';
+import { thumbnailGenerator } from './services/thumbnailService.js';
+import { hashVerifier } from './services/hashVerificationService.js';
+import { migrateLegacyShares } from './services/accessService.js';
+import { migrateStoredObjectIndex } from './services/fileService.js';
 
 const app = express();
 const httpServer = http.createServer(app);
@@ -35,6 +48,12 @@ app.get('/health', (req, res) => {
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/files', fileRoutes);
+app.use('/api/folders', folderRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/links', linkRoutes);
+app.use('/api/teams', teamRoutes);
+app.use('/api/groups', groupRoutes);
+app.use('/api/public', publicRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -52,6 +71,7 @@ app.use((err, req, res, next) => {
 
 // Initialize CDC Service
 let cdcService;
+let trashPurgeService;
 
 // Socket.io authentication middleware
 io.use((socket, next) => {
@@ -111,10 +131,32 @@ const startServer = async () => {
         await connectDB();
         setupDBEventHandlers();
 
+        // Shares from before roles existed become viewer shares
+        await migrateLegacyShares();
+
+        // Deduplicated uploads share S3 objects: s3Key can't be unique
+        await migrateStoredObjectIndex();
+
         // Start CDC Service
         cdcService = new CDCService(io);
         await cdcService.start();
 
+        // Start scheduled trash purge
+        trashPurgeService = new TrashPurgeService();
+        trashPurgeService.start();
+
+        // Start scheduled cleanup of abandoned uploads
+        uploadJanitor.start();
+
+        // Start background text extraction of documents, for search
+        contentIndexer.start();
+
+        // Start background thumbnail generation of images
+        thumbnailGenerator.start();
+
+        // Start background checks of the hashes of stored uploads
+        hashVerifier.start();
+
         // Start HTTP server
         httpServer.listen(PORT, () => {
             console.log(`\n🚀 Server running on port ${PORT}`);
@@ -136,6 +178,15 @@ process.on('SIGTERM', async () => {
         await cdcService.stop();
     }
 
+    if (trashPurgeService) {
+        trashPurgeService.stop();
+    }
+
+    uploadJanitor.stop();
+    contentIndexer.stop();
+    thumbnailGenerator.stop();
+    hashVerifier.stop();
+
     httpServer.close(() => {
         console.log('✅ Server closed');
         process.exit(0);
@@ -149,6 +200,15 @@ process.on('SIGINT', async () => {
         await cdcService.stop();
     }
 
+    if (trashPurgeService) {
+        trashPurgeService.stop();
+    }
+
+    uploadJanitor.stop();
+    contentIndexer.stop();
+    thumbnailGenerator.stop();
+    hashVerifier.stop();
+
     httpServer.close(() => {
         console.log('✅ Server closed');
         process.exit(0);
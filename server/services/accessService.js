@@ -0,0 +1,226 @@
+import File, { SHARE_ROLES } from '../models/File.js';
+import Folder from '../models/Folder.js';
+import Team from '../models/Team.js';
+import ContactGroup from '../models/ContactGroup.js';
+import { isWithinPath, subtreeCondition } from '../utils/paths.js';
+
+/**
+ * File access control
+ *
+ * A user's role on a file is 'owner', the role their team role grants on
+ * the team's files, or the role it was shared with: directly, or with a
+ * contact group they are in (the file or one of its folders). The highest wins.
+ * Each action requires a minimum role:
+ * - view:    see metadata, download, list versions
+ * - comment: view + comment
+ * - edit:    comment + upload new versions, restore versions
+ * - manage:  edit + share, move and trash the file
+ * - purge:   manage + permanently delete it from the trash
+ */
+const ROLE_RANK = {
+    ...Object.fromEntries(SHARE_ROLES.map((role, index) => [role, index + 1])),
+    owner: SHARE_ROLES.length + 1,
+};
+
+const ACTION_ROLES = {
+    view: 'viewer',
+    comment: 'commenter',
+    edit: 'editor',
+    manage: 'co-owner',
+    purge: 'owner',
+};
+
+/**
+ * Role a team role grants on the files of the team's workspace
+ */
+export const TEAM_FILE_ROLES = {
+    viewer: 'viewer',
+    member: 'co-owner',
+    admin: 'owner',
+};
+
+/**
+ * Teams the user is a member of
+ */
+export const getUserTeams = async (userId) => {
+    return Team.find({ 'members.user': userId });
+};
+
+/**
+ * Highest of some roles (null if there are none)
+ */
+const highestRole = (roles) => {
+    return roles.reduce((best, role) => (
+        role && (!best || ROLE_RANK[role] > ROLE_RANK[best]) ? role : best
+    ), null);
+};
+
+/**
+ * What besides ownership and direct shares gives a user access to files:
+ * their teams, the contact groups they are in and the folders shared with
+ * those groups. Resolved on every request, so group membership changes
+ * take effect immediately.
+ */
+export const getAccessContext = async (userId) => {
+    const [teams, groups] = await Promise.all([
+        getUserTeams(userId),
+        ContactGroup.find({ members: userId }).select('_id'),
+    ]);
+    const groupIds = groups.map(group => group._id);
+    const folders = groupIds.length > 0
+        ? await Folder.find({ 'groupShares.group': { $in: groupIds } })
+        : [];
+
+    return { teams, groupIds, folders };
+};
+
+/**
+ * Query conditions matching the files shared with the user's groups,
+ * directly or through a shared folder
+ */
+export const groupAccessConditions = ({ groupIds = [], folders = [] }) => {
+    if (groupIds.length === 0) {
+        return [];
+    }
+
+    return [
+        { 'groupShares.group': { $in: groupIds } },
+        ...folders.map(folder => ({ owner: folder.owner, path: subtreeCondition(folder.fullPath) })),
+    ];
+};
+
+/**
+ * Role a file's (or its folders') group shares give the user
+ */
+const getGroupRole = (file, { groupIds = [], folders = [] }) => {
+    const ids = new Set(groupIds.map(id => id.toString()));
+    const ownerId = (file.owner._id || file.owner).toString();
+    const roleOf = (groupShares) => groupShares
+        .filter(share => ids.has(share.group.toString()))
+        .map(share => share.role);
+
+    return highestRole([
+        ...roleOf(file.groupShares || []),
+        ...folders
+            .filter(folder => folder.owner.toString() === ownerId && isWithinPath(file.path, folder.fullPath))
+            .flatMap(folder => roleOf(folder.groupShares)),
+    ]);
+};
+
+/**
+ * Get a user's role on everything owned by `ownerId` (a user or a team):
+ * 'owner' for their own, the granted role for a team of theirs, else null
+ */
+export const getOwnerRole = (ownerId, userId, teams = []) => {
+    const id = (ownerId._id || ownerId).toString();
+
+    if (id === userId.toString()) {
+        return 'owner';
+    }
+
+    const team = teams.find(entry => entry._id.toString() === id);
+    const teamRole = team && team.getMemberRole(userId);
+    return teamRole ? TEAM_FILE_ROLES[teamRole] : null;
+};
+
+/**
+ * Get a user's role on a file ('owner', a share role, or null).
+ * Pass the user's access context (see getAccessContext) to account for
+ * team workspaces and group shares.
+ */
+export const getFileRole = (file, userId, context = {}) => {
+    const id = userId.toString();
+    const ownerRole = getOwnerRole(file.owner, userId, context.teams);
+
+    const share = file.sharedWith.find(entry => (entry.user._id || entry.user).toString() === id);
+
+    return highestRole([ownerRole, share ? share.role : null, getGroupRole(file, context)]);
+};
+
+/**
+ * Check whether a role allows an action
+ */
+export const roleAllows = (role, action) => {
+    return !!role && ROLE_RANK[role] >= ROLE_RANK[ACTION_ROLES[action]];
+};
+
+/**
+ * Query condition matching the files a user owns, can access through a team
+ * or has been shared (directly or through a group), given their access
+ * context (see getAccessContext)
+ */
+export const accessCondition = (userId, context) => ({
+    $or: [
+        { owner: { $in: [userId, ...context.teams.map(team => team._id)] } },
+        { 'sharedWith.user': userId },
+        ...groupAccessConditions(context),
+    ],
+});
+
+/**
+ * Find a file the user owns, can access through a team or has been shared
+ * (directly or through a group), along with their role.
+ * `query` adds conditions (e.g. isDeleted, uploadStatus).
+ * Returns { file, role }, with file null when the user can't see it.
+ */
+export const findFileForUser = async (fileId, userId, query = {}) => {
+    const context = await getAccessContext(userId);
+    const file = await File.findOne({
+        ...query,
+        _id: fileId,
+        ...accessCondition(userId, context),
+    });
+
+    if (!file) {
+        return { file: null, role: null };
+    }
+
+    return { file, role: getFileRole(file, userId, context) };
+};
+
+/**
+ * Query condition matching upload documents started by a user (uploads
+ * from before uploadedBy existed were always started by the owner)
+ */
+export const uploaderCondition = (userId) => ({
+    $or: [{ uploadedBy: userId }, { owner: userId, uploadedBy: null }],
+});
+
+/**
+ * Convert shares stored as plain user ids (before roles existed) into
+ * viewer shares
+ */
+export const migrateLegacyShares = async () => {
+    const result = await File.updateMany(
+        { 'sharedWith.0': { $type: 'objectId' } },
+        [{
+            $set: {
+                sharedWith: {
+                    $map: {
+                        input: '$sharedWith',
+                        as: 'userId',
+                        in: { user: '$$userId', role: 'viewer', grantedAt: '$updatedAt', grantedBy: '$owner' },
+                    },
+                },
+            },
+        }]
+    );
+
+    if (result.modifiedCount > 0) {
+        console.log(`🔑 Converted shares of ${result.modifiedCount} files to viewer roles`);
+    }
+};
+
+export default {
+    TEAM_FILE_ROLES,
+    getUserTeams,
+    getAccessContext,
+    groupAccessConditions,
+    getOwnerRole,
+    getFileRole,
+    roleAllows,
+    accessCondition,
+    findFileForUser,
+    uploaderCondition,
+    migrateLegacyShares,
+};
@@ -0,0 +1,126 @@
+import { once } from 'events';
+import archiver from 'archiver';
+import { openContentStream, getContentSize } from './downloadService.js';
+import { contentDisposition } from '../utils/contentDisposition.js';
+
+/**
+ * ZIP archive configuration
+ */
+export const ARCHIVE_CONFIG = {
+    MAX_FILES: parseInt(process.env.ARCHIVE_MAX_FILES) || 1000,
+    MAX_BYTES: (parseInt(process.env.ARCHIVE_MAX_MB) || 10240) * 1024 * 1024,
+};
+
+// Types that are already compressed: stored as is instead of deflated again
+const STORED_TYPES = /^(image|video|audio)\/|zip|gzip|compressed|x-7z|x-rar|x-bzip/;
+
+/**
+ * Entry name that doesn't collide with the names already used
+ * ("report.pdf" -> "report (2).pdf")
+ */
+const uniqueName = (name, used) => {
+    const dot = name.lastIndexOf('.');
+    const [base, extension] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+
+    let candidate = name;
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+        candidate = `${base} (${n})${extension}`;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+};
+
+/**
+ * Check that files fit in one archive.
+ * Returns an error message, or null when they do.
+ */
+export const checkArchiveLimits = (files) => {
+    if (files.length > ARCHIVE_CONFIG.MAX_FILES) {
+        return `Archives can hold at most ${ARCHIVE_CONFIG.MAX_FILES} files`;
+    }
+
+    // Stored size when the original one isn't known
+    const total = files.reduce((sum, file) => sum + (getContentSize(file) ?? file.size), 0);
+    if (total > ARCHIVE_CONFIG.MAX_BYTES) {
+        return `Archives can hold at most ${ARCHIVE_CONFIG.MAX_BYTES / (1024 * 1024)} MB`;
+    }
+
+    return null;
+};
+
+/**
+ * Stream a ZIP of files to the response. Each entry is read from S3 (and
+ * decompressed when stored gzipped) only when the archive gets to it, so
+ * one file is open at a time and nothing is buffered whole.
+ * `entryPath(file)` gives the folder of a file inside the archive ('' for
+ * the top level).
+ */
+export const streamArchive = async (res, files, { filename, entryPath = () => '' }) => {
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    const used = new Set();
+    const failed = [];
+    let aborted = false;
+
+    res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': contentDisposition(filename),
+        'Cache-Control': 'private, no-cache',
+    });
+
+    const closed = once(res, 'close').then(() => {
+        if (!res.writableFinished) {
+            aborted = true; // Download cancelled: stop reading from S3
+            archive.abort();
+        }
+    });
+
+    archive.on('warning', (error) => console.warn('⚠️  Archive warning:', error.message));
+    archive.on('error', (error) => {
+        console.error('Archive error:', error);
+        res.destroy(error);
+    });
+    archive.pipe(res);
+
+    for (const file of files) {
+        if (aborted) {
+            return;
+        }
+
+        const folder = entryPath(file);
+        const name = uniqueName(folder ? `${folder}/${file.filename}` : file.filename, used);
+
+        let stream;
+        try {
+            stream = await openContentStream(file);
+        } catch (error) {
+            console.error(`Archive: could not read file ${file._id}:`, error);
+            failed.push(name);
+            continue;
+        }
+
+        archive.append(stream, {
+            name,
+            date: file.contentUpdatedAt || file.updatedAt,
+            store: STORED_TYPES.test(file.mimeType || ''),
+        });
+        // Wait until written before opening the next file
+        await Promise.race([once(archive, 'entry'), closed]);
+    }
+
+    if (aborted) {
+        return;
+    }
+
+    if (failed.length > 0) {
+        archive.append(`These files could not be read and are missing:\n${failed.join('\n')}\n`, {
+            name: uniqueName('MISSING FILES.txt', used),
+        });
+    }
+
+    await archive.finalize();
+};
+
+export default {
+    checkArchiveLimits,
+    streamArchive,
+};
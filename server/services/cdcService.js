@@ -1,13 +1,38 @@
+import mongoose from 'mongoose';
 import File from '../models/File.js';
+import User from '../models/User.js';
+import Team from '../models/Team.js';
+import Folder from '../models/Folder.js';
+import ContactGroup from '../models/ContactGroup.js';
+import { SHARE_ROLES } from '../models/File.js';
+import { isWithinPath, joinPath } from '../utils/paths.js';
+import { thumbnailGenerator, needsThumbnails } from './thumbnailService.js';
+
+/**
+ * Add a share entry for a user to a map of userId -> share entry, unless
+ * the user has a higher role already
+ */
+const addRecipient = (recipients, userId, share) => {
+    const current = recipients.get(userId);
+    if (!current || SHARE_ROLES.indexOf(share.role) > SHARE_ROLES.indexOf(current.role)) {
+        recipients.set(userId, share);
+    }
+};
 
 /**
  * CDC Service using MongoDB Change Streams
- * Watches for changes in the File collection and broadcasts to Socket.io clients
+ * Watches for changes in the File collection and broadcasts to Socket.io clients:
+ * the owner (every member, for files of a team) gets every change, users the file is shared with get changes to
+ * it plus 'share' / 'unshare' events when their access is granted or removed.
+ * Contact groups and folders are watched too, for access granted or removed
+ * through them without the files changing ('group-join' / 'group-leave',
+ * 'folder-share' / 'folder-unshare').
  */
 export class CDCService {
     constructor(io) {
         this.io = io;
         this.changeStream = null;
+        this.accessStreams = new Map(); // Map of model name -> change stream
         this.userSockets = new Map(); // Map of userId -> Set of socket IDs
     }
 
@@ -16,6 +41,8 @@ export class CDCService {
      */
     async start() {
         try {
+            await this.enablePreImages();
+
             // Create change stream watching for insert, update, and delete operations
             this.changeStream = File.watch([
                 {
@@ -27,6 +54,7 @@ export class CDCService {
                 },
             ], {
                 fullDocument: 'updateLookup', // Get full document on updates
+                fullDocumentBeforeChange: 'whenAvailable', // Needed to see who lost access
             });
 
             console.log('🔄 CDC Service: Change Stream started');
@@ -46,47 +74,345 @@ export class CDCService {
                 console.log('⚠️  CDC Service: Change Stream closed');
             });
 
+            this.watchAccess(ContactGroup, this.handleGroupChange);
+            this.watchAccess(Folder, this.handleFolderChange);
+
         } catch (error) {
             console.error('❌ CDC Service: Failed to start Change Stream:', error);
             console.error('   Make sure MongoDB is running as a replica set!');
         }
     }
 
+    /**
+     * Watch a collection that grants access to files (contact groups and
+     * folders) for updates, which `handler` compares with the pre-image.
+     * Replaces the previous stream of the collection, if any.
+     */
+    watchAccess(model, handler) {
+        this.accessStreams.get(model.modelName)?.close();
+
+        const stream = model.watch([
+            { $match: { operationType: { $in: ['update', 'replace'] } } },
+        ], {
+            fullDocument: 'updateLookup',
+            fullDocumentBeforeChange: 'whenAvailable',
+        });
+        this.accessStreams.set(model.modelName, stream);
+
+        stream.on('change', (change) => handler.call(this, change));
+
+        stream.on('error', (error) => {
+            console.error(`❌ CDC Service: ${model.modelName} Change Stream error:`, error);
+            // Attempt to reconnect
+            setTimeout(() => this.watchAccess(model, handler), 5000);
+        });
+    }
+
+    /**
+     * Record the previous version of changed files, groups and folders, so
+     * updates and deletes carry the document as it was before (requires
+     * MongoDB 6.0+)
+     */
+    async enablePreImages() {
+        for (const model of [File, ContactGroup, Folder]) {
+            try {
+                await mongoose.connection.db.command({
+                    collMod: model.collection.collectionName,
+                    changeStreamPreAndPostImages: { enabled: true },
+                });
+            } catch (error) {
+                console.warn(`⚠️  CDC Service: Could not enable pre-images for ${model.modelName}, users losing access won't be notified:`, error.message);
+            }
+        }
+    }
+
     /**
      * Handle incoming change events
      */
     async handleChange(change) {
         try {
-            const { operationType, fullDocument, documentKey } = change;
+            const { operationType, fullDocument, fullDocumentBeforeChange, documentKey } = change;
 
             console.log(`📡 CDC Event: ${operationType} for file ${documentKey._id}`);
 
-            // Get the document (fullDocument is null for delete operations)
-            let document = fullDocument;
+            // Deleted files only exist in the pre-image (when available)
+            let document = fullDocument || fullDocumentBeforeChange;
 
-            if (operationType === 'delete') {
-                // For deletes, we need to get the document from update description
-                // or track it separately. For now, just broadcast the ID
-                document = { _id: documentKey._id, owner: documentKey.owner};
+            if (!document) {
+                document = { _id: documentKey._id, owner: documentKey.owner };
             }
 
-            if (!document || !document.owner) {
+            if (!document.owner) {
                 return;
             }
 
-            const userId = document.owner.toString();
+            // Broadcast to all connected devices of the owner (or team members)
+            const ownerIds = await this.getOwnerUserIds(document);
+            for (const userId of ownerIds) {
+                this.broadcastToUser(userId, {
+                    type: operationType,
+                    file: this.sanitizeFile(document),
+                });
+            }
 
-            // Broadcast to all connected devices of this user
-            this.broadcastToUser(userId, {
-                type: operationType,
-                file: this.sanitizeFile(document),
-            });
+            await this.broadcastToRecipients(change, document, ownerIds);
+
+            // Images that finished uploading or got new content need thumbnails
+            if (needsThumbnails(document)) {
+                thumbnailGenerator.enqueue(document._id);
+            }
 
         } catch (error) {
             console.error('❌ CDC Service: Error handling change:', error);
         }
     }
 
+    /**
+     * Users owning a file: its owner, or every member of the owning team
+     */
+    async getOwnerUserIds(document) {
+        if (document.ownerModel !== 'Team') {
+            return [document.owner.toString()];
+        }
+
+        const team = await Team.findById(document.owner).select('members');
+        return team ? team.members.map(member => member.user.toString()) : [];
+    }
+
+    /**
+     * Map of userId -> share entry for the users a file is shared with,
+     * directly or as members of a group it (or one of its folders) is
+     * shared with. Users with several shares get the highest role.
+     */
+    async getRecipients(document) {
+        const recipients = new Map();
+        if (!document) {
+            return recipients;
+        }
+
+        (document.sharedWith || [])
+            .filter(share => share.user)
+            .forEach(share => addRecipient(recipients, share.user.toString(), share));
+
+        const folders = await Folder.find({ owner: document.owner, 'groupShares.0': { $exists: true } })
+            .select('name path groupShares');
+        const groupShares = [
+            ...(document.groupShares || []),
+            ...folders
+                .filter(folder => isWithinPath(document.path, folder.fullPath))
+                .flatMap(folder => folder.groupShares),
+        ];
+
+        return this.addGroupRecipients(recipients, groupShares);
+    }
+
+    /**
+     * Add the members of the groups in `groupShares` to a map of
+     * userId -> share entry (keeping the highest role), and return it
+     */
+    async addGroupRecipients(recipients, groupShares) {
+        if (groupShares.length > 0) {
+            const groups = await ContactGroup.find({ _id: { $in: groupShares.map(share => share.group) } })
+                .select('members');
+            const members = new Map(groups.map(group => [group._id.toString(), group.members]));
+
+            for (const share of groupShares) {
+                (members.get(share.group.toString()) || [])
+                    .forEach(userId => addRecipient(recipients, userId.toString(), share));
+            }
+        }
+
+        return recipients;
+    }
+
+    /**
+     * Tell members added to or removed from a contact group that they got or
+     * lost access to what's shared with it (if anything is)
+     */
+    async handleGroupChange(change) {
+        try {
+            const { fullDocument: group, fullDocumentBeforeChange: previous } = change;
+
+            // Deleted groups are unshared first (see groupService.deleteGroup),
+            // which the File and Folder streams report
+            if (!group || !previous) {
+                return;
+            }
+
+            console.log(`📡 CDC Event: ${change.operationType} for group ${group._id}`);
+
+            const before = new Set(previous.members.map(String));
+            const after = new Set(group.members.map(String));
+            const joined = [...after].filter(userId => !before.has(userId) && this.userSockets.has(userId));
+            const left = [...before].filter(userId => !after.has(userId) && this.userSockets.has(userId));
+
+            if (joined.length === 0 && left.length === 0) {
+                return;
+            }
+
+            const shared = await File.exists({ 'groupShares.group': group._id, isDeleted: false })
+                || await Folder.exists({ 'groupShares.group': group._id });
+            if (!shared) {
+                return;
+            }
+
+            const owner = await User.findById(group.owner).select('username');
+            const data = { shared: true, group: { id: group._id, name: group.name } };
+
+            joined.forEach(userId => this.broadcastToUser(userId, {
+                ...data,
+                type: 'group-join',
+                sharedBy: owner?.username,
+            }));
+            left.forEach(userId => this.broadcastToUser(userId, { ...data, type: 'group-leave' }));
+        } catch (error) {
+            console.error('❌ CDC Service: Error handling group change:', error);
+        }
+    }
+
+    /**
+     * Tell the members of groups a folder got shared or unshared with (or
+     * whose role on it changed) about it. Owners of the folder are skipped.
+     */
+    async handleFolderChange(change) {
+        try {
+            const { fullDocument: folder, fullDocumentBeforeChange: previous } = change;
+
+            if (!folder || !previous) {
+                return; // Deleted meanwhile, or no pre-image to compare with
+            }
+
+            const after = await this.addGroupRecipients(new Map(), folder.groupShares || []);
+            const before = await this.addGroupRecipients(new Map(), previous.groupShares || []);
+
+            if (after.size === 0 && before.size === 0) {
+                return;
+            }
+
+            console.log(`📡 CDC Event: ${change.operationType} for folder ${folder._id}`);
+
+            // Folders of a team belong to every member
+            const team = await Team.findById(folder.owner).select('members');
+            const ownerIds = team
+                ? team.members.map(member => member.user.toString())
+                : [folder.owner.toString()];
+
+            const connected = (userId) => this.userSockets.has(userId) && !ownerIds.includes(userId);
+            const data = {
+                shared: true,
+                folder: { id: folder._id, name: folder.name, path: joinPath(folder.path, folder.name) },
+            };
+
+            for (const [userId, share] of after) {
+                const previousRole = before.get(userId)?.role;
+                if (!connected(userId) || previousRole === share.role) {
+                    continue;
+                }
+
+                const grantedBy = !previousRole && share.grantedBy
+                    ? await User.findById(share.grantedBy).select('username')
+                    : null;
+
+                this.broadcastToUser(userId, {
+                    ...data,
+                    type: 'folder-share',
+                    role: share.role,
+                    previousRole,
+                    sharedBy: grantedBy?.username,
+                });
+            }
+
+            [...before.keys()]
+                .filter(userId => !after.has(userId) && connected(userId))
+                .forEach(userId => this.broadcastToUser(userId, { ...data, type: 'folder-unshare' }));
+        } catch (error) {
+            console.error('❌ CDC Service: Error handling folder change:', error);
+        }
+    }
+
+    /**
+     * Fan a change out to the users the file is (or was) shared with
+     * (events flagged `shared`, as opposed to their own files' changes).
+     * Comparing the recipients before and after the change tells apart users who
+     * just got access ('share'), lost it ('unshare') or kept it (the change
+     * itself, with their previous role if it changed). Owners (`ownerIds`)
+     * already got the change and are skipped.
+     */
+    async broadcastToRecipients(change, document, ownerIds) {
+        const { operationType, fullDocument, fullDocumentBeforeChange, updateDescription } = change;
+
+        // Without a pre-image (pre-images disabled, or older MongoDB) only
+        // the current recipients can be told about the change
+        const hasBefore = operationType === 'insert' || !!fullDocumentBeforeChange;
+        const after = await this.getRecipients(operationType === 'delete' ? fullDocumentBeforeChange : fullDocument);
+        const before = hasBefore ? await this.getRecipients(fullDocumentBeforeChange) : after;
+
+        if (after.size === 0 && before.size === 0) {
+            return;
+        }
+
+        const connected = (userId) => this.userSockets.has(userId) && !ownerIds.includes(userId);
+        const added = [...after.keys()].filter(userId => !before.has(userId) && connected(userId));
+        const removed = [...before.keys()].filter(userId => !after.has(userId) && connected(userId));
+        const kept = [...after.keys()].filter(userId => before.has(userId) && connected(userId));
+
+        if (added.length === 0 && removed.length === 0 && kept.length === 0) {
+            return;
+        }
+
+        // Recipients see the file like in their shared list, with its owner
+        const owner = document.ownerModel === 'Team'
+            ? await Team.findById(document.owner).select('name')
+            : await User.findById(document.owner).select('username email');
+        const file = {
+            ...this.sanitizeFile(document),
+            owner: owner
+                ? { _id: owner._id, username: owner.username, email: owner.email, name: owner.name }
+                : document.owner,
+        };
+
+        // Top-level fields the update touched ('versions.3' -> 'versions')
+        const changes = [...new Set([
+            ...Object.keys(updateDescription?.updatedFields || {}),
+            ...(updateDescription?.removedFields || []),
+        ].map(field => field.split('.')[0]))];
+
+        for (const userId of added) {
+            const share = after.get(userId);
+            const grantedBy = share.grantedBy
+                ? await User.findById(share.grantedBy).select('username')
+                : null;
+
+            this.broadcastToUser(userId, {
+                shared: true,
+                type: 'share',
+                file: { ...file, role: share.role },
+                sharedBy: grantedBy?.username || owner?.username || owner?.name,
+            });
+        }
+
+        for (const userId of removed) {
+            this.broadcastToUser(userId, {
+                shared: true,
+                type: 'unshare',
+                file,
+            });
+        }
+
+        for (const userId of kept) {
+            const role = after.get(userId).role;
+            const previousRole = before.get(userId).role;
+
+            this.broadcastToUser(userId, {
+                shared: true,
+                type: operationType,
+                file: { ...file, role },
+                changes,
+                previousRole: previousRole !== role ? previousRole : undefined,
+            });
+        }
+    }
+
     /**
      * Broadcast event to all sockets of a specific user
      */
@@ -145,9 +471,17 @@ export class CDCService {
             originalName: file.originalName,
             size: file.size,
             mimeType: file.mimeType,
+            owner: file.owner,
+            ownerModel: file.ownerModel || 'User',
             path: file.path,
             uploadStatus: file.uploadStatus,
+            version: file.version,
+            tags: file.tags || [],
+            metadata: file.metadata || {},
+            thumbnails: (file.thumbnails || []).map(({ size, width, height }) => ({ size, width, height })),
+            hasThumbnails: file.thumbnailStatus === 'ready' && file.thumbnailSource === file.s3Key,
             isDeleted: file.isDeleted,
+            deletedAt: file.deletedAt,
             createdAt: file.createdAt,
             updatedAt: file.updatedAt,
             // Don't send S3 details or chunks to client
@@ -158,6 +492,11 @@ export class CDCService {
      * Stop the change stream
      */
     async stop() {
+        for (const stream of this.accessStreams.values()) {
+            await stream.close();
+        }
+        this.accessStreams.clear();
+
         if (this.changeStream) {
             await this.changeStream.close();
             console.log('⏹️  CDC Service: Change Stream stopped');
@@ -0,0 +1,301 @@
+import zlib from 'zlib';
+import mongoose from 'mongoose';
+import { PDFParse } from 'pdf-parse';
+import File from '../models/File.js';
+import FileContent, { CONTENT_TEXT_LIMIT } from '../models/FileContent.js';
+import { readStoredObject } from './fileService.js';
+
+/**
+ * Content indexing configuration
+ */
+export const CONTENT_INDEX_CONFIG = {
+    MAX_BYTES: (parseInt(process.env.CONTENT_INDEX_MAX_MB) || 20) * 1024 * 1024,
+    INTERVAL: (parseInt(process.env.CONTENT_INDEX_INTERVAL_MINUTES) || 30) * 60 * 1000,
+    BATCH_SIZE: 50,
+};
+
+/**
+ * How the text of each supported MIME type (or, for files uploaded without a
+ * useful MIME type, extension) is extracted
+ */
+const MIME_TYPE_KINDS = {
+    'text/plain': 'text',
+    'text/markdown': 'text',
+    'text/x-markdown': 'text',
+    'text/csv': 'text',
+    'application/json': 'text',
+    'text/html': 'html',
+    'application/xhtml+xml': 'html',
+    'application/pdf': 'pdf',
+};
+
+const EXTENSION_KINDS = {
+    txt: 'text',
+    md: 'text',
+    markdown: 'text',
+    csv: 'text',
+    json: 'text',
+    html: 'html',
+    htm: 'html',
+    pdf: 'pdf',
+};
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * How to extract the text of a file ('text', 'html', 'pdf'), or null when
+ * its type isn't supported
+ */
+export const getContentKind = (file) => {
+    const mimeType = (file.mimeType || '').split(';')[0].trim().toLowerCase();
+    const extension = (file.filename || '').includes('.')
+        ? file.filename.split('.').pop().toLowerCase()
+        : '';
+
+    return MIME_TYPE_KINDS[mimeType] || EXTENSION_KINDS[extension] || null;
+};
+
+/**
+ * Visible text of an HTML document
+ */
+const htmlToText = (html) => {
+    return html
+        .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&(#\d+|[a-z]+);/gi, (entity, code) => {
+            if (code.startsWith('#')) {
+                return String.fromCodePoint(parseInt(code.slice(1), 10));
+            }
+            return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+        });
+};
+
+/**
+ * Text of a PDF document
+ */
+const pdfToText = async (buffer) => {
+    const parser = new PDFParse({ data: buffer });
+
+    try {
+        const result = await parser.getText({ pageJoiner: '' }); // No "-- 1 of 3 --" page markers
+        return result.text;
+    } finally {
+        await parser.destroy();
+    }
+};
+
+/**
+ * Extract the text of a file's content
+ */
+export const extractText = async (kind, buffer) => {
+    let text;
+
+    if (kind === 'pdf') {
+        text = await pdfToText(buffer);
+    } else if (kind === 'html') {
+        text = htmlToText(buffer.toString('utf8'));
+    } else {
+        text = buffer.toString('utf8');
+    }
+
+    // Collapse whitespace so excerpts read as running text
+    return text.replace(/\s+/g, ' ').trim().slice(0, CONTENT_TEXT_LIMIT);
+};
+
+/**
+ * Content Index Service
+ * Extracts the text of uploaded documents (plain text, Markdown, JSON, CSV,
+ * HTML and PDF) into FileContent so search can match what's inside them.
+ * Completed uploads are queued and indexed one at a time in the background;
+ * a scheduled pass picks up files that were missed (e.g. during a restart)
+ * or whose content changed.
+ */
+export class ContentIndexService {
+    constructor() {
+        this.queue = new Set();
+        this.processing = false;
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Start the indexing schedule (runs once immediately)
+     */
+    start() {
+        this.timer = setInterval(() => this.indexMissing(), CONTENT_INDEX_CONFIG.INTERVAL);
+        this.indexMissing();
+
+        console.log(`🔎 Content Index Service: indexing documents up to ${CONTENT_INDEX_CONFIG.MAX_BYTES / (1024 * 1024)} MB`);
+    }
+
+    /**
+     * Queue a file for indexing (after its content was uploaded or changed)
+     */
+    enqueue(fileId) {
+        this.queue.add(fileId.toString());
+        this.processQueue();
+    }
+
+    /**
+     * Index queued files one at a time
+     */
+    async processQueue() {
+        if (this.processing) {
+            return; // Already draining the queue
+        }
+
+        this.processing = true;
+        try {
+            while (this.queue.size > 0) {
+                const [fileId] = this.queue;
+                this.queue.delete(fileId);
+
+                try {
+                    await this.indexFile(fileId);
+                } catch (error) {
+                    console.error(`❌ Content Index Service: Failed to index file ${fileId}:`, error);
+                }
+            }
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    /**
+     * Extract and store the text of a file's current content, unless that
+     * content was already indexed
+     */
+    async indexFile(fileId) {
+        const file = await File.findOne({ _id: fileId, uploadStatus: 'completed' });
+        if (!file) {
+            return; // Deleted, or no longer a completed upload
+        }
+
+        const hash = file.hash || null;
+        const existing = await FileContent.findOne({ file: file._id }).select('hash');
+        if (existing && (existing.hash || null) === hash) {
+            return;
+        }
+
+        const content = { owner: file.owner, hash, text: '', error: null, indexedAt: new Date() };
+        const kind = getContentKind(file);
+
+        if (!kind) {
+            content.status = 'unsupported';
+        } else if ((file.originalSize || file.size) > CONTENT_INDEX_CONFIG.MAX_BYTES) {
+            content.status = 'unsupported';
+            content.error = 'File is too large to index';
+        } else {
+            // Download errors are thrown, so the file is tried again on the
+            // next scheduled pass; documents that can't be parsed are marked failed
+            const stored = await readStoredObject(file.s3Key);
+            try {
+                const buffer = file.isCompressed
+                    ? zlib.gunzipSync(stored, { maxOutputLength: CONTENT_INDEX_CONFIG.MAX_BYTES })
+                    : stored;
+                content.text = await extractText(kind, buffer);
+                content.status = 'indexed';
+            } catch (error) {
+                content.status = 'failed';
+                content.error = error.message;
+            }
+        }
+
+        await FileContent.findOneAndUpdate(
+            { file: file._id },
+            { $set: content },
+            { upsert: true }
+        );
+    }
+
+    /**
+     * Index every completed file whose current content hasn't been indexed
+     */
+    async indexMissing() {
+        if (this.running) {
+            return; // Previous run still in progress
+        }
+
+        this.running = true;
+        const seen = new Set();
+
+        try {
+            for (;;) {
+                const batch = await File.aggregate([
+                    {
+                        $match: {
+                            uploadStatus: 'completed',
+                            versionOf: null,
+                            // Files that failed this run aren't picked again
+                            _id: { $nin: [...seen].map(id => new mongoose.Types.ObjectId(id)) },
+                        },
+                    },
+                    {
+                        $lookup: {
+                            from: FileContent.collection.name,
+                            localField: '_id',
+                            foreignField: 'file',
+                            as: 'content',
+                        },
+                    },
+                    {
+                        $match: {
+                            $expr: {
+                                $or: [
+                                    { $eq: [{ $size: '$content' }, 0] },
+                                    {
+                                        $ne: [
+                                            { $ifNull: [{ $arrayElemAt: ['$content.hash', 0] }, null] },
+                                            { $ifNull: ['$hash', null] },
+                                        ],
+                                    },
+                                ],
+                            },
+                        },
+                    },
+                    { $limit: CONTENT_INDEX_CONFIG.BATCH_SIZE },
+                    { $project: { _id: 1 } },
+                ]);
+
+                if (batch.length === 0) {
+                    break;
+                }
+
+                for (const fileId of batch.map(entry => entry._id.toString())) {
+                    seen.add(fileId);
+                    try {
+                        await this.indexFile(fileId);
+                    } catch (error) {
+                        console.error(`❌ Content Index Service: Failed to index file ${fileId}:`, error);
+                    }
+                }
+            }
+
+            if (seen.size > 0) {
+                console.log(`🔎 Content Index Service: indexed ${seen.size} files`);
+            }
+        } catch (error) {
+            console.error('❌ Content Index Service: Error indexing files:', error);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Stop the indexing schedule
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            console.log('⏹️  Content Index Service stopped');
+        }
+    }
+}
+
+/**
+ * Shared instance, used by the schedule in server.js and the file routes
+ */
+export const contentIndexer = new ContentIndexService();
+
+export default ContentIndexService;
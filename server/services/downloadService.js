@@ -0,0 +1,164 @@
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { Transform, pipeline } from 'stream';
+import { GetObjectCommand } from '@aws-sdk/client-s3';
+import { s3Client, S3_CONFIG } from '../config/s3.js';
+import { contentDisposition } from '../utils/contentDisposition.js';
+
+/**
+ * Streaming downloads
+ *
+ * Files are streamed from S3 through the server instead of being buffered
+ * by the browser, so the browser's own download manager can save them with
+ * progress, resume them (HTTP Range) and handle files of any size. Files
+ * stored gzipped are sent as stored (Content-Encoding: gzip) to clients
+ * that accept it, and decompressed on the way for the others.
+ */
+
+/**
+ * Passes through bytes `start` to `end` (inclusive) of a stream
+ */
+class ByteRangeStream extends Transform {
+    constructor(start, end) {
+        super();
+        this.position = 0;
+        this.start = start;
+        this.end = end;
+    }
+
+    _transform(chunk, encoding, callback) {
+        const chunkStart = this.position;
+        this.position += chunk.length;
+
+        const from = Math.max(this.start - chunkStart, 0);
+        const to = Math.min(this.end + 1 - chunkStart, chunk.length);
+        if (from < to) {
+            this.push(chunk.subarray(from, to));
+        }
+        callback();
+    }
+}
+
+/**
+ * Size of a stored content once decompressed (null when unknown: content
+ * stored gzipped before its original size was recorded)
+ */
+export const getContentSize = (content) => (
+    content.isCompressed ? content.originalSize ?? null : content.size
+);
+
+/**
+ * Readable stream of a stored object as stored, optionally limited to an
+ * HTTP byte range ("bytes=0-99")
+ */
+const openStoredObject = async (s3Key, range) => {
+    const response = await s3Client.send(new GetObjectCommand({
+        Bucket: S3_CONFIG.BUCKET_NAME,
+        Key: s3Key,
+        Range: range,
+    }));
+    return response.Body;
+};
+
+/**
+ * Readable stream of a stored content (a file or one of its versions),
+ * decompressed, optionally limited to bytes `start` to `end` (inclusive)
+ */
+export const openContentStream = async (content, { start = 0, end } = {}) => {
+    const ranged = start > 0 || end !== undefined;
+
+    // Uncompressed content: S3 serves the range itself
+    if (!content.isCompressed) {
+        return openStoredObject(content.s3Key, ranged ? `bytes=${start}-${end ?? ''}` : undefined);
+    }
+
+    // Gzip can't be entered midway: decompress from the start and skip ahead
+    const streams = [await openStoredObject(content.s3Key), zlib.createGunzip()];
+    if (ranged) {
+        streams.push(new ByteRangeStream(start, end ?? Infinity));
+    }
+
+    // Errors destroy every stream, so the last one reports them
+    return pipeline(...streams, () => {});
+};
+
+/**
+ * Send a stored content as a download: answers Range requests with the
+ * requested part (206), and If-Range requests for a changed file with the
+ * whole file. Content stored gzipped goes as stored to clients accepting
+ * gzip (without ranges, which would be of the compressed bytes).
+ */
+export const sendContent = async (req, res, content, { filename, disposition = 'attachment' }) => {
+    const encoded = content.isCompressed && req.acceptsEncodings('gzip', 'identity') === 'gzip';
+    const hash = crypto.createHash('sha1').update(content.s3Key).digest('hex');
+    // Each representation has its own ETag, so If-Range never mixes them
+    const etag = encoded ? `"${hash}-gzip"` : `"${hash}"`;
+    const size = encoded ? content.size : getContentSize(content);
+    const rangeable = !encoded && size !== null;
+
+    // A resumed download of content that changed meanwhile starts over
+    const ifRange = req.get('If-Range');
+    const ranges = rangeable && req.get('Range') && (!ifRange || ifRange === etag)
+        ? req.range(size)
+        : undefined;
+
+    if (ranges === -1) {
+        res.set('Content-Range', `bytes */${size}`);
+        return res.status(416).end();
+    }
+
+    // Multiple or malformed ranges: send the whole file
+    const range = Array.isArray(ranges) && ranges.length === 1 && ranges.type === 'bytes' ? ranges[0] : null;
+
+    // Opened before any header is set, so S3 errors can still be answered as JSON
+    let stream = null;
+    if (req.method !== 'HEAD') {
+        stream = encoded
+            ? await openStoredObject(content.s3Key)
+            : await openContentStream(content, range || {});
+    }
+
+    res.set({
+        'Accept-Ranges': rangeable ? 'bytes' : 'none',
+        'Content-Type': content.mimeType || 'application/octet-stream',
+        'Content-Disposition': contentDisposition(filename, disposition),
+        'X-Content-Type-Options': 'nosniff', // The declared type is the client's
+        'ETag': etag,
+        'Cache-Control': 'private, no-cache',
+    });
+    if (content.createdAt) {
+        res.set('Last-Modified', new Date(content.createdAt).toUTCString());
+    }
+    if (content.isCompressed) {
+        res.vary('Accept-Encoding');
+    }
+    if (encoded) {
+        res.set('Content-Encoding', 'gzip');
+    }
+
+    if (range) {
+        res.status(206);
+        res.set({
+            'Content-Range': `bytes ${range.start}-${range.end}/${size}`,
+            'Content-Length': range.end - range.start + 1,
+        });
+    } else if (size !== null) {
+        res.set('Content-Length', size); // Unknown sizes are sent chunked
+    }
+
+    if (!stream) {
+        return res.end();
+    }
+
+    pipeline(stream, res, (error) => {
+        if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+            console.error('Stream download error:', error);
+        }
+    });
+};
+
+export default {
+    getContentSize,
+    openContentStream,
+    sendContent,
+};
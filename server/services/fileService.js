@@ -0,0 +1,241 @@
+import { GetObjectCommand, DeleteObjectCommand, AbortMultipartUploadCommand } from '@aws-sdk/client-s3';
+import { s3Client, S3_CONFIG } from '../config/s3.js';
+import File from '../models/File.js';
+import FileContent from '../models/FileContent.js';
+import { getStorageModel, commitReservation, releaseReservation } from './quotaService.js';
+
+/**
+ * Content fields that make up a file version
+ */
+const CONTENT_FIELDS = ['s3Key', 'size', 'mimeType', 'hash', 'isCompressed', 'originalSize'];
+
+/**
+ * Count the files (other than `excludeId`) that reference an S3 object,
+ * either as their current content or as a previous version
+ */
+export const countObjectReferences = async (s3Key, excludeId) => {
+    return File.countDocuments({
+        _id: { $ne: excludeId },
+        $or: [
+            { s3Key, uploadStatus: 'completed' },
+            { 'versions.s3Key': s3Key },
+        ],
+    });
+};
+
+/**
+ * Download a stored object from S3 (as stored: files uploaded compressed
+ * are still gzipped)
+ */
+export const readStoredObject = async (s3Key) => {
+    const command = new GetObjectCommand({
+        Bucket: S3_CONFIG.BUCKET_NAME,
+        Key: s3Key,
+    });
+    const response = await s3Client.send(command);
+
+    const chunks = [];
+    for await (const data of response.Body) {
+        chunks.push(data);
+    }
+    return Buffer.concat(chunks);
+};
+
+/**
+ * Find an S3 object the user already stored with the given content hash
+ */
+export const findStoredObject = async (ownerId, hash, size) => {
+    const file = await File.findOne({
+        owner: ownerId,
+        $or: [
+            { hash, size, uploadStatus: 'completed' },
+            { versions: { $elemMatch: { hash, size } } },
+        ],
+    });
+
+    if (!file) {
+        return null;
+    }
+
+    const match = file.uploadStatus === 'completed' && file.hash === hash && file.size === size
+        ? file
+        : file.versions.find(v => v.hash === hash && v.size === size);
+
+    return { s3Key: match.s3Key, size: match.size, hash: match.hash };
+};
+
+/**
+ * Permanently delete a file: remove the MongoDB document and every S3 object
+ * (all versions) no other file references, releasing the storage they used
+ */
+export const deleteFile = async (file) => {
+    let freed = 0;
+
+    for (const { s3Key, size } of file.getStoredObjects()) {
+        // Deduplicated objects stay in S3 until their last reference is gone
+        if (await countObjectReferences(s3Key, file._id) > 0) {
+            continue;
+        }
+
+        const deleteCommand = new DeleteObjectCommand({
+            Bucket: S3_CONFIG.BUCKET_NAME,
+            Key: s3Key,
+        });
+        await s3Client.send(deleteCommand);
+        freed += size;
+    }
+
+    // Thumbnails belong to this file only (and don't count towards storage)
+    for (const thumbnail of file.thumbnails || []) {
+        await s3Client.send(new DeleteObjectCommand({
+            Bucket: S3_CONFIG.BUCKET_NAME,
+            Key: thumbnail.s3Key,
+        }));
+    }
+
+    await File.findByIdAndDelete(file._id);
+    await FileContent.deleteOne({ file: file._id });
+
+    if (freed > 0) {
+        await getStorageModel(file.ownerModel).findByIdAndUpdate(file.owner, { $inc: { storageUsed: -freed } });
+    }
+};
+
+/**
+ * Abort a file's in-progress multipart upload in S3 and mark it failed
+ */
+export const abortUpload = async (file) => {
+    if (file.uploadId) {
+        try {
+            const abortCommand = new AbortMultipartUploadCommand({
+                Bucket: S3_CONFIG.BUCKET_NAME,
+                Key: file.s3Key,
+                UploadId: file.uploadId,
+            });
+            await s3Client.send(abortCommand);
+        } catch (error) {
+            // Already aborted or completed in S3
+            if (error.name !== 'NoSuchUpload') {
+                throw error;
+            }
+        }
+    }
+
+    await releaseReservation(file);
+
+    file.uploadStatus = 'failed';
+    file.uploadId = undefined;
+    await file.save();
+    return file;
+};
+
+/**
+ * Move a file to the trash (it keeps counting towards storage until purged)
+ */
+export const trashFile = async (file) => {
+    file.isDeleted = true;
+    file.deletedAt = new Date();
+    await file.save(); // Triggers CDC update so other devices drop it
+    return file;
+};
+
+/**
+ * Move a file out of the trash
+ */
+export const restoreFile = async (file) => {
+    file.isDeleted = false;
+    file.deletedAt = undefined;
+    await file.save();
+    return file;
+};
+
+/**
+ * Make new content the current version of a file, keeping the previous
+ * content in the version history
+ */
+export const applyNewVersion = async (file, content) => {
+    const latestVersion = Math.max(file.version, ...file.versions.map(v => v.version));
+
+    file.versions.push(file.toVersion());
+    CONTENT_FIELDS.forEach((field) => {
+        file[field] = content[field];
+    });
+    file.chunks = content.chunks || [];
+    file.version = latestVersion + 1;
+    file.contentUpdatedAt = new Date();
+
+    await file.save(); // Triggers CDC update
+    return file;
+};
+
+/**
+ * Complete a verified upload: turn its reservation into storage usage and,
+ * for a new version of `target`, move the content onto that file (dropping
+ * the upload document). Returns the completed file and the updated user
+ * (or team).
+ */
+export const completeUpload = async (file, target) => {
+    file.uploadStatus = 'completed';
+    file.contentUpdatedAt = new Date();
+
+    const owner = await commitReservation(file, file.size);
+
+    if (target) {
+        await File.findByIdAndDelete(file._id);
+        return { file: await applyNewVersion(target, file), owner };
+    }
+
+    file.versionOf = undefined;
+    await file.save(); // This will trigger CDC event!
+    return { file, owner };
+};
+
+/**
+ * Restore a previous version by making it the newest version again
+ */
+export const restoreVersion = async (file, versionNumber) => {
+    const previous = file.versions.find(v => v.version === versionNumber);
+
+    if (!previous) {
+        return null;
+    }
+
+    return applyNewVersion(file, previous.toObject());
+};
+
+/**
+ * Make the s3Key index non-unique in databases created before uploads were
+ * deduplicated: files sharing an S3 object would otherwise fail to save
+ */
+export const migrateStoredObjectIndex = async () => {
+    let indexes;
+    try {
+        indexes = await File.collection.indexes();
+    } catch (error) {
+        if (error.codeName === 'NamespaceNotFound') {
+            return; // New database: the index is built from the schema
+        }
+        throw error;
+    }
+
+    if (!indexes.some(index => index.name === 's3Key_1' && index.unique)) {
+        return;
+    }
+
+    await File.collection.dropIndex('s3Key_1');
+    await File.collection.createIndex({ s3Key: 1 });
+    console.log('🔑 Made the s3Key index non-unique, so uploads can share stored objects');
+};
+
+export default {
+    countObjectReferences,
+    findStoredObject,
+    deleteFile,
+    abortUpload,
+    completeUpload,
+    trashFile,
+    restoreFile,
+    applyNewVersion,
+    restoreVersion,
+    migrateStoredObjectIndex,
+};
@@ -0,0 +1,98 @@
+import File from '../models/File.js';
+import Folder from '../models/Folder.js';
+import { trashFile } from './fileService.js';
+import { normalizePath, joinPath, getParentPath, subtreeCondition } from '../utils/paths.js';
+
+/**
+ * Check whether a folder path exists for a user (the root always exists)
+ */
+export const folderExists = async (ownerId, path) => {
+    const normalized = normalizePath(path);
+
+    if (normalized === '/') {
+        return true;
+    }
+
+    const exists = await Folder.exists({
+        owner: ownerId,
+        path: getParentPath(normalized),
+        name: normalized.split('/').pop(),
+    });
+
+    return !!exists;
+};
+
+/**
+ * Create every missing folder along a path (like `mkdir -p`)
+ */
+export const ensureFolderPath = async (ownerId, path) => {
+    const segments = normalizePath(path).split('/').filter(Boolean);
+    let parent = '/';
+
+    for (const name of segments) {
+        await Folder.updateOne(
+            { owner: ownerId, path: parent, name },
+            { $setOnInsert: { owner: ownerId, path: parent, name } },
+            { upsert: true }
+        );
+        parent = joinPath(parent, name);
+    }
+};
+
+/**
+ * Move and/or rename a folder, rewriting the paths of everything inside it
+ */
+export const relocateFolder = async (folder, { path = folder.path, name = folder.name }) => {
+    const oldFullPath = folder.fullPath;
+    const newParent = normalizePath(path);
+    const newFullPath = joinPath(newParent, name);
+
+    if (newFullPath === oldFullPath) {
+        return folder;
+    }
+
+    // Rewrite "<oldFullPath>/rest" to "<newFullPath>/rest"
+    const prefixLength = [...oldFullPath].length;
+    const rewritePath = [{
+        $set: {
+            path: {
+                $concat: [newFullPath, { $substrCP: ['$path', prefixLength, { $strLenCP: '$path' }] }],
+            },
+        },
+    }];
+    const descendants = { owner: folder.owner, path: subtreeCondition(oldFullPath) };
+
+    folder.path = newParent;
+    folder.name = name;
+    await folder.save();
+
+    await Folder.updateMany(descendants, rewritePath);
+    await File.updateMany(descendants, rewritePath);
+
+    return folder;
+};
+
+/**
+ * Delete a folder together with all of its subfolders, moving the files
+ * inside it to the trash (restoring a file recreates its folders)
+ */
+export const deleteFolderTree = async (folder) => {
+    const descendants = { owner: folder.owner, path: subtreeCondition(folder.fullPath) };
+
+    const files = await File.find({ ...descendants, isDeleted: false });
+    for (const file of files) {
+        await trashFile(file);
+    }
+
+    await Folder.deleteMany(descendants);
+    await Folder.findByIdAndDelete(folder._id);
+
+    return { filesTrashed: files.length };
+};
+
+export default {
+    folderExists,
+    ensureFolderPath,
+    relocateFolder,
+    deleteFolderTree,
+};
@@ -0,0 +1,108 @@
+import mongoose from 'mongoose';
+import File from '../models/File.js';
+import Folder from '../models/Folder.js';
+import ContactGroup from '../models/ContactGroup.js';
+import { isWithinPath } from '../utils/paths.js';
+
+/**
+ * Sharing files and folders with contact groups
+ *
+ * Only a group's owner can share with it. Group shares store the group, not
+ * its members, so access follows the membership (see accessService).
+ */
+
+/**
+ * Find one of the user's own contact groups
+ */
+export const findOwnGroup = async (groupId, userId) => {
+    if (!mongoose.isValidObjectId(groupId)) {
+        return null;
+    }
+    return ContactGroup.findOne({ _id: groupId, owner: userId });
+};
+
+/**
+ * Share a file or folder with a group, or update the role it has
+ * (the document still has to be saved)
+ */
+export const setGroupShare = (target, groupId, role, grantedBy) => {
+    const share = target.groupShares.find(entry => entry.group.toString() === groupId.toString());
+
+    if (share) {
+        share.role = role;
+        share.grantedAt = new Date();
+        share.grantedBy = grantedBy;
+    } else {
+        target.groupShares.push({ group: groupId, role, grantedAt: new Date(), grantedBy });
+    }
+};
+
+/**
+ * Stop sharing a file or folder with a group. Returns false if it wasn't
+ * shared with it (the document still has to be saved).
+ */
+export const removeGroupShare = (target, groupId) => {
+    const remaining = target.groupShares.filter(entry => entry.group.toString() !== groupId);
+    const removed = remaining.length !== target.groupShares.length;
+
+    target.groupShares = remaining;
+    return removed;
+};
+
+/**
+ * Populate and summarize the group shares of a file or folder
+ */
+export const describeGroupShares = async (target) => {
+    await target.populate([
+        { path: 'groupShares.group', select: 'name members' },
+        { path: 'groupShares.grantedBy', select: 'username' },
+    ]);
+
+    return target.groupShares
+        .filter(share => share.group) // Skip deleted groups
+        .map(share => ({
+            group: {
+                id: share.group._id,
+                name: share.group.name,
+                memberCount: share.group.members.length,
+            },
+            role: share.role,
+            grantedAt: share.grantedAt,
+            grantedBy: share.grantedBy?.username,
+        }));
+};
+
+/**
+ * Group shares a file inherits from the folders it is in
+ */
+export const describeInheritedGroupShares = async (file) => {
+    const folders = await Folder.find({ owner: file.owner, 'groupShares.0': { $exists: true } });
+    const inherited = [];
+
+    for (const folder of folders.filter(entry => isWithinPath(file.path, entry.fullPath))) {
+        const shares = await describeGroupShares(folder);
+        inherited.push(...shares.map(share => ({ ...share, folder: folder.fullPath })));
+    }
+
+    return inherited;
+};
+
+/**
+ * Delete a group along with every share made with it
+ */
+export const deleteGroup = async (group) => {
+    const pull = { $pull: { groupShares: { group: group._id } } };
+
+    await File.updateMany({ 'groupShares.group': group._id }, pull);
+    await Folder.updateMany({ 'groupShares.group': group._id }, pull);
+    await ContactGroup.findByIdAndDelete(group._id);
+};
+
+export default {
+    findOwnGroup,
+    setGroupShare,
+    removeGroupShare,
+    describeGroupShares,
+    describeInheritedGroupShares,
+    deleteGroup,
+};
@@ -0,0 +1,152 @@
+import File from '../models/File.js';
+import { hashStoredObject, discardStoredObject } from './verificationService.js';
+import { completeUpload } from './fileService.js';
+import { releaseReservation } from './quotaService.js';
+import { contentIndexer } from './contentIndexService.js';
+
+/**
+ * Hash verification configuration
+ */
+export const HASH_VERIFICATION_CONFIG = {
+    INTERVAL: 15 * 60 * 1000, // 15 minutes
+};
+
+/**
+ * Hash Verification Service
+ * Uploads verified through their part checksums are stored without reading
+ * the object, so the content hash the client declared is checked here, in
+ * the background, before the upload completes: until then the file stays
+ * 'verifying', out of listings and deduplication. Content that doesn't match
+ * its declared hash is discarded and the upload fails.
+ * Stored uploads are queued right away; a scheduled pass picks up the ones
+ * that were missed (e.g. during a restart or an S3 outage).
+ */
+export class HashVerificationService {
+    constructor() {
+        this.queue = new Set();
+        this.processing = false;
+        this.timer = null;
+    }
+
+    /**
+     * Start the verification schedule (runs once immediately)
+     */
+    start() {
+        this.timer = setInterval(() => this.verifyPending(), HASH_VERIFICATION_CONFIG.INTERVAL);
+        this.verifyPending();
+
+        console.log('🔐 Hash Verification Service: checking the hashes of uploads in the background');
+    }
+
+    /**
+     * Queue an upload for verification
+     */
+    enqueue(fileId) {
+        this.queue.add(fileId.toString());
+        this.processQueue();
+    }
+
+    /**
+     * Verify queued uploads one at a time
+     */
+    async processQueue() {
+        if (this.processing) {
+            return; // Already draining the queue
+        }
+
+        this.processing = true;
+        try {
+            while (this.queue.size > 0) {
+                const [fileId] = this.queue;
+                this.queue.delete(fileId);
+
+                try {
+                    await this.verify(fileId);
+                } catch (error) {
+                    console.error(`❌ Hash Verification Service: Failed to verify file ${fileId}:`, error);
+                }
+            }
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    /**
+     * Re-hash an upload's stored object, then complete the upload if the
+     * hash matches the declared one, or discard it
+     */
+    async verify(fileId) {
+        const file = await File.findOne({ _id: fileId, uploadStatus: 'verifying' });
+        if (!file) {
+            return; // Verified already, or removed meanwhile
+        }
+
+        const hash = await hashStoredObject(file.s3Key);
+        if (file.hash && file.hash !== hash) {
+            return this.reject(file, 'does not match its declared hash');
+        }
+        file.hash = hash;
+
+        // A new version of a file trashed meanwhile becomes a file of its
+        // own, if the owner uploaded it (as when completing right away)
+        const target = file.versionOf
+            ? await File.findOne({ _id: file.versionOf, isDeleted: false })
+            : null;
+        if (file.versionOf && !target && file.uploadedBy && !file.uploadedBy.equals(file.owner)) {
+            return this.reject(file, 'is a version of a file that was deleted');
+        }
+
+        const { file: completedFile } = await completeUpload(file, target);
+
+        // Extract the text of documents in the background, for search
+        contentIndexer.enqueue(completedFile._id);
+    }
+
+    /**
+     * Fail an upload that can't complete: its object is deleted and its
+     * reservation released
+     */
+    async reject(file, reason) {
+        console.warn(`⚠️  Hash Verification Service: upload ${file._id} ${reason}, discarded`);
+
+        await discardStoredObject(file.s3Key);
+        await releaseReservation(file);
+        file.uploadStatus = 'failed';
+        await file.save();
+    }
+
+    /**
+     * Queue every upload still waiting for verification
+     */
+    async verifyPending() {
+        try {
+            const files = await File.find({ uploadStatus: 'verifying' }).select('_id');
+            files.forEach(file => this.queue.add(file._id.toString()));
+
+            if (files.length > 0) {
+                console.log(`🔐 Hash Verification Service: verifying ${files.length} pending uploads`);
+                await this.processQueue();
+            }
+        } catch (error) {
+            console.error('❌ Hash Verification Service: Error verifying hashes:', error);
+        }
+    }
+
+    /**
+     * Stop the verification schedule
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            console.log('⏹️  Hash Verification Service stopped');
+        }
+    }
+}
+
+/**
+ * Shared instance, used by the schedule in server.js and the upload routes
+ */
+export const hashVerifier = new HashVerificationService();
+
+export default HashVerificationService;
@@ -0,0 +1,293 @@
+import {
+    ListMultipartUploadsCommand,
+    ListObjectsV2Command,
+    AbortMultipartUploadCommand,
+    DeleteObjectCommand,
+} from '@aws-sdk/client-s3';
+import { s3Client, S3_CONFIG } from '../config/s3.js';
+import File from '../models/File.js';
+import { abortUpload } from './fileService.js';
+import { releaseReservation } from './quotaService.js';
+
+/**
+ * Janitor configuration
+ */
+export const JANITOR_CONFIG = {
+    STALE_AFTER: (parseInt(process.env.UPLOAD_STALE_HOURS) || 24) * 60 * 60 * 1000,
+    INTERVAL: (parseInt(process.env.JANITOR_INTERVAL_MINUTES) || 60) * 60 * 1000,
+    KEY_PREFIXES: ['users/', 'teams/'], // Objects of personal and team workspaces
+};
+
+/**
+ * Upload Janitor Service
+ * Periodically cleans up abandoned uploads:
+ * - File documents stuck in 'pending'/'uploading' past their expiry, which
+ *   every part uploaded pushes back (aborted in S3 and removed)
+ * - File documents of failed uploads
+ * - S3 multipart uploads with no matching upload in progress
+ * - S3 objects no File document references
+ */
+export class UploadJanitorService {
+    constructor() {
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Start the cleanup schedule (runs once immediately)
+     */
+    start() {
+        this.timer = setInterval(() => this.run(), JANITOR_CONFIG.INTERVAL);
+        this.run();
+
+        console.log(`🧹 Upload Janitor Service: cleaning uploads idle for ${S3_CONFIG.UPLOAD_SESSION_EXPIRY / 86400000} days`);
+    }
+
+    /**
+     * Run a cleanup pass. With dryRun, nothing is changed and the report
+     * lists what would be cleaned up.
+     */
+    async run({ dryRun = false } = {}) {
+        if (this.running && !dryRun) {
+            return null; // Previous run still in progress
+        }
+
+        if (!dryRun) {
+            this.running = true;
+        }
+
+        const cutoff = new Date(Date.now() - JANITOR_CONFIG.STALE_AFTER);
+        const report = {
+            dryRun,
+            cutoff,
+            staleUploads: [],
+            failedUploads: [],
+            orphanedMultipartUploads: [],
+            orphanedObjects: [],
+            errors: [],
+        };
+
+        try {
+            await this.cleanStaleUploads(cutoff, dryRun, report);
+            await this.cleanFailedUploads(cutoff, dryRun, report);
+            for (const prefix of JANITOR_CONFIG.KEY_PREFIXES) {
+                await this.cleanOrphanedMultipartUploads(prefix, cutoff, dryRun, report);
+                await this.cleanOrphanedObjects(prefix, cutoff, dryRun, report);
+            }
+
+            if (!dryRun) {
+                const total = report.staleUploads.length + report.failedUploads.length
+                    + report.orphanedMultipartUploads.length + report.orphanedObjects.length;
+                if (total > 0) {
+                    console.log(`🧹 Upload Janitor Service: cleaned up ${total} items`);
+                }
+            }
+        } catch (error) {
+            console.error('❌ Upload Janitor Service: Error during cleanup:', error);
+            report.errors.push(error.message);
+        } finally {
+            if (!dryRun) {
+                this.running = false;
+            }
+        }
+
+        return report;
+    }
+
+    /**
+     * Uploads that never completed and expired: abort them in S3 and remove
+     * the document. Uploads started without an expiry go stale by `cutoff`.
+     */
+    async cleanStaleUploads(cutoff, dryRun, report) {
+        const files = await File.find({
+            uploadStatus: { $in: ['pending', 'uploading'] },
+            $or: [
+                { uploadExpiresAt: { $lt: new Date() } },
+                { uploadExpiresAt: null, updatedAt: { $lt: cutoff } },
+            ],
+        });
+
+        for (const file of files) {
+            report.staleUploads.push(this.describeFile(file));
+
+            if (dryRun) continue;
+
+            try {
+                await abortUpload(file);
+                await File.findByIdAndDelete(file._id);
+            } catch (error) {
+                report.errors.push(`Stale upload ${file._id}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Failed (or aborted) uploads: remove the document
+     */
+    async cleanFailedUploads(cutoff, dryRun, report) {
+        const files = await File.find({
+            uploadStatus: 'failed',
+            updatedAt: { $lt: cutoff },
+        });
+
+        for (const file of files) {
+            report.failedUploads.push(this.describeFile(file));
+
+            if (!dryRun) {
+                await releaseReservation(file);
+                await File.findByIdAndDelete(file._id);
+            }
+        }
+    }
+
+    /**
+     * S3 multipart uploads with no File document still uploading them
+     */
+    async cleanOrphanedMultipartUploads(prefix, cutoff, dryRun, report) {
+        let keyMarker;
+        let uploadIdMarker;
+
+        do {
+            const listCommand = new ListMultipartUploadsCommand({
+                Bucket: S3_CONFIG.BUCKET_NAME,
+                Prefix: prefix,
+                KeyMarker: keyMarker,
+                UploadIdMarker: uploadIdMarker,
+            });
+            const response = await s3Client.send(listCommand);
+            const uploads = (response.Uploads || []).filter(upload => upload.Initiated < cutoff);
+
+            const active = await File.find({
+                uploadId: { $in: uploads.map(upload => upload.UploadId) },
+                uploadStatus: { $in: ['pending', 'uploading'] },
+            }).select('uploadId');
+            const activeIds = new Set(active.map(file => file.uploadId));
+
+            for (const upload of uploads) {
+                if (activeIds.has(upload.UploadId)) continue;
+
+                report.orphanedMultipartUploads.push({
+                    key: upload.Key,
+                    uploadId: upload.UploadId,
+                    initiated: upload.Initiated,
+                });
+
+                if (dryRun) continue;
+
+                try {
+                    await s3Client.send(new AbortMultipartUploadCommand({
+                        Bucket: S3_CONFIG.BUCKET_NAME,
+                        Key: upload.Key,
+                        UploadId: upload.UploadId,
+                    }));
+                } catch (error) {
+                    report.errors.push(`Multipart upload ${upload.UploadId}: ${error.message}`);
+                }
+            }
+
+            keyMarker = response.IsTruncated ? response.NextKeyMarker : undefined;
+            uploadIdMarker = response.IsTruncated ? response.NextUploadIdMarker : undefined;
+        } while (keyMarker);
+    }
+
+    /**
+     * S3 objects that no File document references (current content, version
+     * or thumbnail)
+     */
+    async cleanOrphanedObjects(prefix, cutoff, dryRun, report) {
+        let continuationToken;
+
+        do {
+            const listCommand = new ListObjectsV2Command({
+                Bucket: S3_CONFIG.BUCKET_NAME,
+                Prefix: prefix,
+                ContinuationToken: continuationToken,
+            });
+            const response = await s3Client.send(listCommand);
+            const objects = (response.Contents || []).filter(object => object.LastModified < cutoff);
+            const keys = objects.map(object => object.Key);
+
+            const referenced = await this.getReferencedKeys(keys);
+
+            for (const object of objects) {
+                if (referenced.has(object.Key)) continue;
+
+                report.orphanedObjects.push({
+                    key: object.Key,
+                    size: object.Size,
+                    lastModified: object.LastModified,
+                });
+
+                if (dryRun) continue;
+
+                try {
+                    await s3Client.send(new DeleteObjectCommand({
+                        Bucket: S3_CONFIG.BUCKET_NAME,
+                        Key: object.Key,
+                    }));
+                } catch (error) {
+                    report.errors.push(`Object ${object.Key}: ${error.message}`);
+                }
+            }
+
+            continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+        } while (continuationToken);
+    }
+
+    /**
+     * Keys (out of `keys`) that some File document references
+     */
+    async getReferencedKeys(keys) {
+        if (keys.length === 0) {
+            return new Set();
+        }
+
+        const files = await File.find({
+            $or: [
+                { s3Key: { $in: keys } },
+                { 'versions.s3Key': { $in: keys } },
+                { 'thumbnails.s3Key': { $in: keys } },
+            ],
+        }).select('s3Key versions.s3Key thumbnails.s3Key');
+
+        const referenced = new Set();
+        files.forEach((file) => {
+            referenced.add(file.s3Key);
+            file.versions.forEach(version => referenced.add(version.s3Key));
+            file.thumbnails.forEach(thumbnail => referenced.add(thumbnail.s3Key));
+        });
+
+        return referenced;
+    }
+
+    /**
+     * Summary of a File document for reports
+     */
+    describeFile(file) {
+        return {
+            fileId: file._id,
+            filename: file.filename,
+            owner: file.owner,
+            uploadStatus: file.uploadStatus,
+            updatedAt: file.updatedAt,
+        };
+    }
+
+    /**
+     * Stop the cleanup schedule
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            console.log('⏹️  Upload Janitor Service stopped');
+        }
+    }
+}
+
+/**
+ * Shared instance, used by the schedule in server.js and the admin routes
+ */
+export const uploadJanitor = new UploadJanitorService();
+
+export default UploadJanitorService;
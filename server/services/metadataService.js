@@ -0,0 +1,150 @@
+import File from '../models/File.js';
+import { escapeRegex } from '../utils/paths.js';
+
+/**
+ * File tags and custom metadata
+ *
+ * Tags are short labels ("invoice-2026"), stored lowercase so lookups and
+ * autocomplete don't depend on how they were typed. Metadata is a set of
+ * free-form key/value strings ("client": "ACME").
+ */
+
+export const METADATA_LIMITS = {
+    MAX_TAGS: 20,
+    MAX_TAG_LENGTH: 50,
+    MAX_ENTRIES: 20,
+    MAX_KEY_LENGTH: 50,
+    MAX_VALUE_LENGTH: 500,
+};
+
+// Letters, digits and - _ . (not first)
+const TAG_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N}_.-]*$/u;
+
+// Letters, digits, spaces and - _ (Mongo map keys can't contain "." or start with "$")
+const KEY_PATTERN = /^[\p{L}\p{N}_][\p{L}\p{N}_ -]*$/u;
+
+// Most suggestions returned by tag autocomplete
+const SUGGESTION_LIMIT = 10;
+
+/**
+ * Normalized form of a tag (trimmed, lowercase, spaces turned into dashes),
+ * or null when it isn't a valid tag
+ */
+export const normalizeTag = (tag) => {
+    if (typeof tag !== 'string') {
+        return null;
+    }
+
+    const normalized = tag.trim().toLowerCase().replace(/\s+/g, '-');
+    if (normalized.length > METADATA_LIMITS.MAX_TAG_LENGTH || !TAG_PATTERN.test(normalized)) {
+        return null;
+    }
+    return normalized;
+};
+
+/**
+ * Validate a list of tags.
+ * Returns { tags } (normalized, without duplicates) or { error }.
+ */
+export const parseTags = (tags) => {
+    if (!Array.isArray(tags)) {
+        return { error: 'Tags must be a list' };
+    }
+
+    const parsed = [];
+    for (const tag of tags) {
+        const normalized = normalizeTag(tag);
+        if (!normalized) {
+            return {
+                error: `Invalid tag "${tag}": use up to ${METADATA_LIMITS.MAX_TAG_LENGTH} letters, digits, dashes, underscores or dots`,
+            };
+        }
+        if (!parsed.includes(normalized)) {
+            parsed.push(normalized);
+        }
+    }
+
+    if (parsed.length > METADATA_LIMITS.MAX_TAGS) {
+        return { error: `A file cannot have more than ${METADATA_LIMITS.MAX_TAGS} tags` };
+    }
+
+    return { tags: parsed };
+};
+
+/**
+ * Apply metadata changes to a file: each key is set to its value, or
+ * removed when the value is null. Numbers and booleans are stored as strings.
+ * Returns { error } when a change is invalid (the file is left untouched).
+ */
+export const applyMetadataChanges = (file, changes) => {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        return { error: 'Metadata must be an object of key/value pairs' };
+    }
+
+    const metadata = new Map(file.metadata || []);
+
+    for (const [rawKey, value] of Object.entries(changes)) {
+        const key = rawKey.trim();
+        if (!key || key.length > METADATA_LIMITS.MAX_KEY_LENGTH || !KEY_PATTERN.test(key)) {
+            return {
+                error: `Invalid metadata key "${rawKey}": use up to ${METADATA_LIMITS.MAX_KEY_LENGTH} letters, digits, spaces, dashes or underscores`,
+            };
+        }
+
+        if (value === null) {
+            metadata.delete(key);
+            continue;
+        }
+
+        if (!['string', 'number', 'boolean'].includes(typeof value)) {
+            return { error: `Metadata value of "${key}" must be a string` };
+        }
+
+        const text = String(value).trim();
+        if (text.length > METADATA_LIMITS.MAX_VALUE_LENGTH) {
+            return { error: `Metadata values cannot exceed ${METADATA_LIMITS.MAX_VALUE_LENGTH} characters` };
+        }
+        metadata.set(key, text);
+    }
+
+    if (metadata.size > METADATA_LIMITS.MAX_ENTRIES) {
+        return { error: `A file cannot have more than ${METADATA_LIMITS.MAX_ENTRIES} metadata entries` };
+    }
+
+    file.metadata = metadata;
+    return {};
+};
+
+/**
+ * Tags of a workspace's files starting with a prefix, most used first
+ * (for autocomplete)
+ */
+export const suggestTags = async (owner, prefix = '') => {
+    const normalized = String(prefix).trim().toLowerCase().replace(/\s+/g, '-');
+    const tagCondition = normalized ? { $regex: `^${escapeRegex(normalized)}` } : { $exists: true };
+
+    const results = await File.aggregate([
+        {
+            $match: {
+                owner,
+                isDeleted: false,
+                versionOf: null,
+                tags: tagCondition,
+            },
+        },
+        { $unwind: '$tags' },
+        ...(normalized ? [{ $match: { tags: tagCondition } }] : []),
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: SUGGESTION_LIMIT },
+    ]);
+
+    return results.map(result => ({ tag: result._id, count: result.count }));
+};
+
+export default {
+    normalizeTag,
+    parseTags,
+    applyMetadataChanges,
+    suggestTags,
+};
@@ -0,0 +1,118 @@
+/**
+ * In-browser previews
+ *
+ * Decides how a file can be shown in the browser (its preview kind) and the
+ * content type it is served with. Media is played straight from S3 (which
+ * supports range requests, for seeking); text is fetched and highlighted by
+ * the client, which also decompresses files stored gzipped.
+ */
+
+export const PREVIEW_CONFIG = {
+    MAX_TEXT_BYTES: (parseInt(process.env.PREVIEW_TEXT_MAX_MB) || 5) * 1024 * 1024,
+};
+
+const MIME_TYPE_KINDS = {
+    'application/pdf': 'pdf',
+    'text/markdown': 'markdown',
+    'text/x-markdown': 'markdown',
+    'application/json': 'text',
+    'application/javascript': 'text',
+    'application/x-javascript': 'text',
+    'application/typescript': 'text',
+    'application/xml': 'text',
+    'application/x-yaml': 'text',
+    'application/x-sh': 'text',
+    'application/sql': 'text',
+};
+
+// Source files are often uploaded without a useful MIME type
+const EXTENSION_KINDS = {
+    md: 'markdown',
+    markdown: 'markdown',
+    pdf: 'pdf',
+    ...Object.fromEntries([
+        'txt', 'log', 'csv', 'json', 'xml', 'yml', 'yaml', 'toml', 'ini', 'env',
+        'js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx', 'css', 'scss', 'html', 'htm',
+        'py', 'rb', 'php', 'java', 'kt', 'go', 'rs', 'c', 'h', 'cpp', 'hpp', 'cs',
+        'swift', 'sh', 'bash', 'sql', 'graphql', 'dockerfile',
+    ].map(extension => [extension, 'text'])),
+};
+
+// Media types browsers play or show natively
+const MEDIA_PREFIXES = ['image', 'audio', 'video'];
+
+// Media types safe to serve inline with their own type: browsers only ever
+// show or play them, never run them
+const INLINE_TYPES = [
+    'image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/avif', 'image/bmp',
+    'image/x-icon', 'image/vnd.microsoft.icon',
+    'audio/mpeg', 'audio/mp4', 'audio/aac', 'audio/ogg', 'audio/wav', 'audio/x-wav',
+    'audio/webm', 'audio/flac',
+    'video/mp4', 'video/webm', 'video/ogg', 'video/quicktime',
+];
+
+// Images that can carry scripts: served with their type, which <img> needs
+// to show them (without running their scripts), but never opened as a page
+const SCRIPTABLE_TYPES = ['image/svg+xml'];
+
+/**
+ * MIME type without parameters, lowercased
+ */
+const baseType = (mimeType = '') => mimeType.split(';')[0].trim().toLowerCase();
+
+/**
+ * How a file (or one of its versions) is previewed: 'image', 'audio',
+ * 'video', 'pdf', 'markdown' or 'text', or null when it can't be
+ */
+export const getPreviewKind = ({ filename = '', mimeType = '' }) => {
+    const type = baseType(mimeType);
+    const extension = filename.includes('.') ? filename.split('.').pop().toLowerCase() : '';
+    const prefix = type.split('/')[0];
+
+    if (MIME_TYPE_KINDS[type]) {
+        return MIME_TYPE_KINDS[type];
+    }
+    if (MEDIA_PREFIXES.includes(prefix)) {
+        return prefix;
+    }
+    if (prefix === 'text') {
+        return EXTENSION_KINDS[extension] === 'markdown' ? 'markdown' : 'text';
+    }
+    return EXTENSION_KINDS[extension] || null;
+};
+
+/**
+ * Content type a preview is served with. The declared type is never sent
+ * as is, so nothing can be rendered as a page in the storage's origin: text
+ * is served as plain text, media with its type only when it is a known one,
+ * anything else as application/octet-stream.
+ */
+export const getPreviewContentType = (kind, mimeType) => {
+    if (kind === 'text' || kind === 'markdown') {
+        return 'text/plain; charset=utf-8';
+    }
+    if (kind === 'pdf') {
+        return 'application/pdf';
+    }
+
+    const type = baseType(mimeType);
+    return INLINE_TYPES.includes(type) || SCRIPTABLE_TYPES.includes(type) ? type : 'application/octet-stream';
+};
+
+/**
+ * Content-Disposition type a preview served with `contentType` (see
+ * getPreviewContentType) gets: 'inline' for types safe to open, otherwise
+ * 'attachment' (scriptable images included), so opening the URL directly
+ * downloads the file instead of rendering it
+ */
+export const getPreviewDisposition = (contentType) => {
+    const type = baseType(contentType);
+    const safe = ['text/plain', 'application/pdf', ...INLINE_TYPES].includes(type);
+    return safe ? 'inline' : 'attachment';
+};
+
+export default {
+    getPreviewKind,
+    getPreviewContentType,
+    getPreviewDisposition,
+};
@@ -0,0 +1,100 @@
+import File from '../models/File.js';
+import User from '../models/User.js';
+import Team from '../models/Team.js';
+
+/**
+ * Storage quota reservations
+ *
+ * init-upload reserves the declared size against the quota (storageUsed +
+ * storageReserved must stay within storageQuota). The reservation is kept on
+ * the upload's File document (reservedBytes) and either converted into
+ * storageUsed when the upload completes or released when it is aborted.
+ * Files of a team workspace count against the team's pooled quota.
+ */
+
+/**
+ * Model holding the quota of an owner ('User' or 'Team', see File.ownerModel)
+ */
+export const getStorageModel = (ownerModel = 'User') => {
+    return ownerModel === 'Team' ? Team : User;
+};
+
+/**
+ * Atomically reserve `bytes` (a positive whole number) for an owner if it
+ * fits in their quota. Returns the updated user (or team), or null when the
+ * quota would be exceeded.
+ */
+export const reserveStorage = async (ownerId, bytes, ownerModel) => {
+    if (!Number.isSafeInteger(bytes) || bytes <= 0) {
+        throw new RangeError(`Cannot reserve ${bytes} bytes`);
+    }
+
+    return getStorageModel(ownerModel).findOneAndUpdate(
+        {
+            _id: ownerId,
+            $expr: {
+                $lte: [{ $add: ['$storageUsed', '$storageReserved', bytes] }, '$storageQuota'],
+            },
+        },
+        { $inc: { storageReserved: bytes } },
+        { new: true }
+    );
+};
+
+/**
+ * Give back a reservation that was never attached to a File document
+ */
+export const releaseStorage = async (ownerId, bytes, ownerModel) => {
+    return getStorageModel(ownerModel).findByIdAndUpdate(
+        ownerId,
+        { $inc: { storageReserved: -bytes } },
+        { new: true }
+    );
+};
+
+/**
+ * Clear a file's reservation, returning the number of bytes that were
+ * reserved (0 if another request already cleared it)
+ */
+const takeReservation = async (file) => {
+    const previous = await File.findOneAndUpdate(
+        { _id: file._id, reservedBytes: { $gt: 0 } },
+        { $set: { reservedBytes: 0 } }
+    );
+
+    file.reservedBytes = 0;
+    return previous ? previous.reservedBytes : 0;
+};
+
+/**
+ * Convert a completed upload's reservation into storage usage of `bytes`
+ * (the verified size). Returns the updated user (or team).
+ */
+export const commitReservation = async (file, bytes) => {
+    const reserved = await takeReservation(file);
+
+    return getStorageModel(file.ownerModel).findByIdAndUpdate(
+        file.owner,
+        { $inc: { storageUsed: bytes, storageReserved: -reserved } },
+        { new: true }
+    );
+};
+
+/**
+ * Release an aborted or failed upload's reservation
+ */
+export const releaseReservation = async (file) => {
+    const reserved = await takeReservation(file);
+
+    if (reserved > 0) {
+        await releaseStorage(file.owner, reserved, file.ownerModel);
+    }
+};
+
+export default {
+    getStorageModel,
+    reserveStorage,
+    releaseStorage,
+    commitReservation,
+    releaseReservation,
+};
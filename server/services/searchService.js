@@ -0,0 +1,315 @@
+import mongoose from 'mongoose';
+import File from '../models/File.js';
+import FileContent from '../models/FileContent.js';
+import { groupAccessConditions } from './accessService.js';
+import { normalizeTag } from './metadataService.js';
+import { normalizePath, escapeRegex, subtreeCondition } from '../utils/paths.js';
+
+/**
+ * File search
+ *
+ * Searches the files of the open workspace and the files shared with the
+ * user. Filters narrow the results down:
+ * - q:                substring of the filename (case-insensitive), a tag, or
+ *                     words in the extracted text of documents (see contentIndexService)
+ * - tags:             comma-separated tags the files must all have
+ * - type:             comma-separated MIME types; a trailing * matches a prefix ("image/*")
+ * - minSize, maxSize: size range in bytes
+ * - from, to:         upload date range (ISO dates)
+ * - path:             a folder, including its subfolders
+ * - owner:            id of the user or team owning the file
+ * - shared:           'with-me' (shared with the user), 'by-me' (workspace
+ *                     files shared with someone) or 'none' (workspace files
+ *                     shared with no one)
+ */
+
+export const SEARCH_SORTS = {
+    date: 'createdAt',
+    name: 'filename',
+    size: 'size',
+};
+
+export const SHARED_FILTERS = ['with-me', 'by-me', 'none'];
+
+const MAX_QUERY_LENGTH = 100;
+
+// Most documents matched by their text per search (best matches first)
+const CONTENT_MATCH_LIMIT = 500;
+
+// Characters of context shown around a match in the text of a document
+const SNIPPET_BEFORE = 60;
+const SNIPPET_AFTER = 120;
+
+/**
+ * Parse a non-negative integer parameter (undefined when absent, NaN when invalid)
+ */
+const parseSize = (value) => {
+    if (value === undefined || value === '') return undefined;
+    return /^\d+$/.test(String(value)) ? Number(value) : NaN;
+};
+
+/**
+ * Parse a date parameter (undefined when absent, null when invalid)
+ */
+const parseDate = (value) => {
+    if (value === undefined || value === '') return undefined;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Validate the search parameters of a request.
+ * Returns { filters } or { error } with a message for the client.
+ */
+export const parseSearchParams = (params) => {
+    const q = typeof params.q === 'string' ? params.q.trim() : '';
+    if (q.length > MAX_QUERY_LENGTH) {
+        return { error: `Search text cannot exceed ${MAX_QUERY_LENGTH} characters` };
+    }
+
+    const types = typeof params.type === 'string'
+        ? params.type.split(',').map(type => type.trim().toLowerCase()).filter(Boolean)
+        : [];
+
+    const rawTags = typeof params.tags === 'string'
+        ? params.tags.split(',').map(tag => tag.trim()).filter(Boolean)
+        : [];
+    const tags = rawTags.map(normalizeTag);
+    if (tags.includes(null)) {
+        return { error: 'Invalid tag' };
+    }
+
+    const minSize = parseSize(params.minSize);
+    const maxSize = parseSize(params.maxSize);
+    if (Number.isNaN(minSize) || Number.isNaN(maxSize)) {
+        return { error: 'Sizes must be a number of bytes' };
+    }
+
+    const from = parseDate(params.from);
+    const to = parseDate(params.to);
+    if (from === null || to === null) {
+        return { error: 'Dates must be valid ISO dates' };
+    }
+
+    if (params.owner !== undefined && !mongoose.isValidObjectId(params.owner)) {
+        return { error: 'Invalid owner' };
+    }
+
+    if (params.shared !== undefined && !SHARED_FILTERS.includes(params.shared)) {
+        return { error: `Shared must be one of: ${SHARED_FILTERS.join(', ')}` };
+    }
+
+    const sort = params.sort || 'date';
+    if (!SEARCH_SORTS[sort]) {
+        return { error: `Sort must be one of: ${Object.keys(SEARCH_SORTS).join(', ')}` };
+    }
+
+    return {
+        filters: {
+            q,
+            types,
+            tags,
+            minSize,
+            maxSize,
+            from,
+            to,
+            path: params.path !== undefined ? normalizePath(params.path) : undefined,
+            owner: params.owner,
+            shared: params.shared,
+            sort,
+            order: params.order === 'asc' ? 1 : -1,
+        },
+    };
+};
+
+/**
+ * Anchored regex matching any of the MIME types (or prefixes, "image/*")
+ */
+const mimeTypeCondition = (types) => {
+    const alternatives = types.map(type => (type.endsWith('*')
+        ? escapeRegex(type.slice(0, -1))
+        : `${escapeRegex(type)}$`));
+
+    return { $regex: `^(?:${alternatives.join('|')})` };
+};
+
+/**
+ * Query condition matching the files of others shared with the user,
+ * directly or through a group (files of the open workspace excluded)
+ */
+const sharedWithUserCondition = ({ workspaceOwner, userId, sharedFiles = [], context = {} }) => ({
+    $or: [
+        { _id: { $in: sharedFiles } },
+        ...groupAccessConditions(context),
+    ],
+    owner: { $nin: [userId, workspaceOwner] },
+});
+
+/**
+ * Which files a search may match by their text: the owners whose files are
+ * searched and the ids of the files shared with the user, depending on the
+ * shared filter. Matching only these keeps other users' documents from
+ * taking up the match limit.
+ */
+export const contentSearchScope = async (filters, access) => {
+    const owners = filters.shared === 'with-me' ? [] : [access.workspaceOwner];
+    const files = ['by-me', 'none'].includes(filters.shared)
+        ? []
+        : await File.distinct('_id', {
+            ...sharedWithUserCondition(access),
+            isDeleted: false,
+            uploadStatus: 'completed',
+            versionOf: null,
+        });
+
+    return { owners, files };
+};
+
+/**
+ * Ids of the files whose extracted text contains the words of the search
+ * text, among the files of a scope (see contentSearchScope). Access is
+ * checked again by the file query these ids are passed to.
+ */
+export const findContentMatches = async (q, { owners = [], files = [] }) => {
+    const contents = await FileContent.find(
+        {
+            $text: { $search: q },
+            status: 'indexed',
+            $or: [{ owner: { $in: owners } }, { file: { $in: files } }],
+        },
+        { score: { $meta: 'textScore' } }
+    )
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(CONTENT_MATCH_LIMIT)
+        .select('file');
+
+    return contents.map(content => content.file);
+};
+
+/**
+ * Excerpt of a text around the first occurrence of one of the search words,
+ * or null when none occurs
+ */
+export const contentSnippet = (text, q) => {
+    const lower = text.toLowerCase();
+    const match = q.toLowerCase().split(/\s+/).filter(Boolean)
+        .map(word => ({ index: lower.indexOf(word), length: word.length }))
+        .filter(({ index }) => index !== -1)
+        .sort((a, b) => a.index - b.index)[0];
+
+    if (!match) {
+        return null;
+    }
+
+    const start = Math.max(0, match.index - SNIPPET_BEFORE);
+    const end = Math.min(text.length, match.index + match.length + SNIPPET_AFTER);
+
+    return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Snippets of the extracted text of some files matching the search text,
+ * by file id
+ */
+export const findSnippets = async (fileIds, q) => {
+    const contents = await FileContent.find({ file: { $in: fileIds }, status: 'indexed' })
+        .select('file text');
+    const snippets = new Map();
+
+    for (const content of contents) {
+        const snippet = contentSnippet(content.text, q);
+        if (snippet) {
+            snippets.set(content.file.toString(), snippet);
+        }
+    }
+
+    return snippets;
+};
+
+/**
+ * Build the Mongo query for a search, given the open workspace's owner, the
+ * user, the ids of the files shared directly with them (sharedFiles), their
+ * access context (see accessService.getAccessContext) and the files whose
+ * text matches the search text (contentMatches)
+ */
+export const buildSearchQuery = (filters, { workspaceOwner, userId, sharedFiles = [], context = {}, contentMatches = [] }) => {
+    const inWorkspace = { owner: workspaceOwner };
+    const sharedWithUser = sharedWithUserCondition({ workspaceOwner, userId, sharedFiles, context });
+    const isShared = [{ 'sharedWith.0': { $exists: true } }, { 'groupShares.0': { $exists: true } }];
+
+    const conditions = [];
+
+    if (filters.shared === 'with-me') {
+        conditions.push(sharedWithUser);
+    } else if (filters.shared === 'by-me') {
+        conditions.push(inWorkspace, { $or: isShared });
+    } else if (filters.shared === 'none') {
+        conditions.push(inWorkspace, { $nor: isShared });
+    } else {
+        conditions.push({ $or: [inWorkspace, sharedWithUser] });
+    }
+
+    if (filters.q) {
+        const tag = normalizeTag(filters.q);
+        conditions.push({
+            $or: [
+                { filename: { $regex: escapeRegex(filters.q), $options: 'i' } },
+                ...(tag ? [{ tags: tag }] : []),
+                { _id: { $in: contentMatches } },
+            ],
+        });
+    }
+    if (filters.tags.length > 0) {
+        conditions.push({ tags: { $all: filters.tags } });
+    }
+    if (filters.types.length > 0) {
+        conditions.push({ mimeType: mimeTypeCondition(filters.types) });
+    }
+    if (filters.minSize !== undefined || filters.maxSize !== undefined) {
+        conditions.push({
+            size: {
+                ...(filters.minSize !== undefined && { $gte: filters.minSize }),
+                ...(filters.maxSize !== undefined && { $lte: filters.maxSize }),
+            },
+        });
+    }
+    if (filters.from || filters.to) {
+        conditions.push({
+            createdAt: {
+                ...(filters.from && { $gte: filters.from }),
+                ...(filters.to && { $lte: filters.to }),
+            },
+        });
+    }
+    if (filters.path) {
+        conditions.push({ path: subtreeCondition(filters.path) });
+    }
+    if (filters.owner) {
+        conditions.push({ owner: new mongoose.Types.ObjectId(filters.owner) });
+    }
+
+    return {
+        isDeleted: false,
+        uploadStatus: 'completed',
+        versionOf: null, // Hide uploads of new versions of existing files
+        $and: conditions,
+    };
+};
+
+/**
+ * Sort specification for a search (ties broken by _id for a stable order)
+ */
+export const searchSort = ({ sort, order }) => ({
+    [SEARCH_SORTS[sort]]: order,
+    _id: order,
+});
+
+export default {
+    parseSearchParams,
+    contentSearchScope,
+    findContentMatches,
+    contentSnippet,
+    findSnippets,
+    buildSearchQuery,
+    searchSort,
+};
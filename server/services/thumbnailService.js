@@ -0,0 +1,296 @@
+import crypto from 'crypto';
+import zlib from 'zlib';
+import sharp from 'sharp';
+import { PutObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+import { s3Client, S3_CONFIG } from '../config/s3.js';
+import File from '../models/File.js';
+import { readStoredObject } from './fileService.js';
+
+/**
+ * Thumbnail configuration
+ */
+export const THUMBNAIL_CONFIG = {
+    MAX_BYTES: (parseInt(process.env.THUMBNAIL_MAX_MB) || 50) * 1024 * 1024,
+    INTERVAL: (parseInt(process.env.THUMBNAIL_INTERVAL_MINUTES) || 30) * 60 * 1000,
+    BATCH_SIZE: 50,
+    // Longest side of each thumbnail, in pixels
+    SIZES: {
+        small: 128,
+        medium: 256,
+        large: 512,
+    },
+};
+
+/**
+ * Image types thumbnails are made of
+ */
+export const THUMBNAIL_MIME_TYPES = [
+    'image/jpeg',
+    'image/png',
+    'image/webp',
+    'image/gif',
+    'image/avif',
+    'image/tiff',
+    'image/svg+xml',
+];
+
+/**
+ * Whether thumbnails can be made of a file
+ */
+export const supportsThumbnails = (file) => THUMBNAIL_MIME_TYPES.includes(
+    (file.mimeType || '').split(';')[0].trim().toLowerCase()
+);
+
+/**
+ * Whether a file's thumbnails are missing or were made from older content
+ */
+export const needsThumbnails = (file) => (
+    file.uploadStatus === 'completed' &&
+    !file.isDeleted &&
+    !file.versionOf &&
+    file.thumbnailSource !== file.s3Key &&
+    supportsThumbnails(file)
+);
+
+/**
+ * S3 key of a thumbnail, next to the file's content. Keys differ per
+ * content, so a new version never overwrites thumbnails still in use.
+ */
+const thumbnailKey = (file, size) => {
+    const keyPrefix = file.ownerModel === 'Team' ? 'teams' : 'users';
+    const source = crypto.createHash('sha1').update(file.s3Key).digest('hex').slice(0, 12);
+
+    return `${keyPrefix}/${file.owner}/${file._id}/thumbnails/${source}-${size}.webp`;
+};
+
+/**
+ * Delete thumbnail objects from S3
+ */
+const deleteThumbnails = async (thumbnails = []) => {
+    for (const thumbnail of thumbnails) {
+        await s3Client.send(new DeleteObjectCommand({
+            Bucket: S3_CONFIG.BUCKET_NAME,
+            Key: thumbnail.s3Key,
+        }));
+    }
+};
+
+/**
+ * Thumbnail Service
+ * Makes WebP thumbnails in several sizes of uploaded images and links them
+ * on the File document. The CDC service queues files whose content changed
+ * (see needsThumbnails); a scheduled pass picks up files that were missed
+ * (e.g. during a restart or an S3 outage).
+ */
+export class ThumbnailService {
+    constructor() {
+        this.queue = new Set();
+        this.processing = false;
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Start the thumbnail schedule (runs once immediately)
+     */
+    start() {
+        this.timer = setInterval(() => this.generateMissing(), THUMBNAIL_CONFIG.INTERVAL);
+        this.generateMissing();
+
+        console.log(`🖼️  Thumbnail Service: making thumbnails of images up to ${THUMBNAIL_CONFIG.MAX_BYTES / (1024 * 1024)} MB`);
+    }
+
+    /**
+     * Queue a file for thumbnail generation
+     */
+    enqueue(fileId) {
+        this.queue.add(fileId.toString());
+        this.processQueue();
+    }
+
+    /**
+     * Generate thumbnails of queued files one at a time
+     */
+    async processQueue() {
+        if (this.processing) {
+            return; // Already draining the queue
+        }
+
+        this.processing = true;
+        try {
+            while (this.queue.size > 0) {
+                const [fileId] = this.queue;
+                this.queue.delete(fileId);
+
+                try {
+                    await this.generate(fileId);
+                } catch (error) {
+                    console.error(`❌ Thumbnail Service: Failed to make thumbnails of file ${fileId}:`, error);
+                }
+            }
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    /**
+     * Make and store the thumbnails of a file's current content, unless
+     * they are up to date
+     */
+    async generate(fileId) {
+        const file = await File.findById(fileId);
+        if (!file || !needsThumbnails(file)) {
+            return; // Deleted, not an image, or already done
+        }
+
+        const source = file.s3Key;
+        const update = { thumbnails: [], thumbnailSource: source };
+
+        if ((file.originalSize || file.size) > THUMBNAIL_CONFIG.MAX_BYTES) {
+            update.thumbnailStatus = 'unsupported';
+        } else {
+            // Download and upload errors are thrown, so the file is tried
+            // again on the next scheduled pass; images that can't be decoded
+            // are marked failed
+            const stored = await readStoredObject(file.s3Key);
+
+            let images;
+            try {
+                const buffer = file.isCompressed
+                    ? zlib.gunzipSync(stored, { maxOutputLength: THUMBNAIL_CONFIG.MAX_BYTES })
+                    : stored;
+                images = await this.render(buffer);
+            } catch (error) {
+                console.warn(`⚠️  Thumbnail Service: Could not read image ${fileId}: ${error.message}`);
+                images = null;
+            }
+
+            if (images) {
+                for (const image of images) {
+                    const s3Key = thumbnailKey(file, image.size);
+                    await s3Client.send(new PutObjectCommand({
+                        Bucket: S3_CONFIG.BUCKET_NAME,
+                        Key: s3Key,
+                        Body: image.data,
+                        ContentType: 'image/webp',
+                    }));
+                    update.thumbnails.push({
+                        size: image.size,
+                        s3Key,
+                        width: image.width,
+                        height: image.height,
+                        bytes: image.data.length,
+                    });
+                }
+                update.thumbnailStatus = 'ready';
+            } else {
+                update.thumbnailStatus = 'failed';
+            }
+        }
+
+        // Only if the content didn't change meanwhile (the new content is
+        // queued by its own change event)
+        const previous = await File.findOneAndUpdate(
+            { _id: file._id, s3Key: source },
+            { $set: update },
+            { new: false }
+        );
+
+        if (!previous) {
+            // Changed or deleted meanwhile: these thumbnails aren't used
+            await deleteThumbnails(update.thumbnails);
+            return;
+        }
+
+        // Thumbnails of the previous content are no longer used
+        const keys = update.thumbnails.map(thumbnail => thumbnail.s3Key);
+        await deleteThumbnails(previous.thumbnails.filter(thumbnail => !keys.includes(thumbnail.s3Key)));
+    }
+
+    /**
+     * Render the thumbnails of an image, in every size (never upscaled)
+     */
+    async render(buffer) {
+        const image = sharp(buffer, { animated: false, limitInputPixels: 100000000 });
+        await image.metadata(); // Throws for data that isn't a supported image
+
+        const images = [];
+        for (const [size, pixels] of Object.entries(THUMBNAIL_CONFIG.SIZES)) {
+            const { data, info } = await image.clone()
+                .rotate() // Apply the EXIF orientation
+                .resize(pixels, pixels, { fit: 'inside', withoutEnlargement: true })
+                .webp({ quality: 80 })
+                .toBuffer({ resolveWithObject: true });
+
+            images.push({ size, data, width: info.width, height: info.height });
+        }
+        return images;
+    }
+
+    /**
+     * Make thumbnails of every image whose thumbnails are missing or out of date
+     */
+    async generateMissing() {
+        if (this.running) {
+            return; // Previous run still in progress
+        }
+
+        this.running = true;
+        const seen = new Set();
+
+        try {
+            for (;;) {
+                const batch = await File.find({
+                    uploadStatus: 'completed',
+                    isDeleted: false,
+                    versionOf: null,
+                    mimeType: { $in: THUMBNAIL_MIME_TYPES },
+                    _id: { $nin: [...seen] },
+                    $expr: { $ne: [{ $ifNull: ['$thumbnailSource', null] }, '$s3Key'] },
+                })
+                    .limit(THUMBNAIL_CONFIG.BATCH_SIZE)
+                    .select('_id');
+
+                if (batch.length === 0) {
+                    break;
+                }
+
+                for (const { _id } of batch) {
+                    const fileId = _id.toString();
+                    seen.add(fileId);
+                    try {
+                        await this.generate(fileId);
+                    } catch (error) {
+                        console.error(`❌ Thumbnail Service: Failed to make thumbnails of file ${fileId}:`, error);
+                    }
+                }
+            }
+
+            if (seen.size > 0) {
+                console.log(`🖼️  Thumbnail Service: processed ${seen.size} images`);
+            }
+        } catch (error) {
+            console.error('❌ Thumbnail Service: Error making thumbnails:', error);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Stop the thumbnail schedule
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            console.log('⏹️  Thumbnail Service stopped');
+        }
+    }
+}
+
+/**
+ * Shared instance, used by the schedule in server.js and the CDC service
+ */
+export const thumbnailGenerator = new ThumbnailService();
+
+export default ThumbnailService;
@@ -0,0 +1,78 @@
+import File from '../models/File.js';
+import { deleteFile } from './fileService.js';
+
+/**
+ * Trash configuration
+ */
+export const TRASH_CONFIG = {
+    RETENTION_DAYS: parseInt(process.env.TRASH_RETENTION_DAYS) || 30,
+    PURGE_INTERVAL: (parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60) * 60 * 1000,
+};
+
+/**
+ * Trash Purge Service
+ * Periodically deletes files that have been in the trash longer than the retention period
+ */
+export class TrashPurgeService {
+    constructor() {
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Start the purge schedule (runs once immediately)
+     */
+    start() {
+        this.timer = setInterval(() => this.purgeExpired(), TRASH_CONFIG.PURGE_INTERVAL);
+        this.purgeExpired();
+
+        console.log(`🗑️  Trash Purge Service: purging files older than ${TRASH_CONFIG.RETENTION_DAYS} days`);
+    }
+
+    /**
+     * Permanently delete every trashed file past the retention period
+     */
+    async purgeExpired() {
+        if (this.running) {
+            return; // Previous run still in progress
+        }
+
+        this.running = true;
+        try {
+            const cutoff = new Date(Date.now() - TRASH_CONFIG.RETENTION_DAYS * 24 * 60 * 60 * 1000);
+            const expired = await File.find({
+                isDeleted: true,
+                deletedAt: { $lte: cutoff },
+            });
+
+            for (const file of expired) {
+                try {
+                    await deleteFile(file);
+                } catch (error) {
+                    console.error(`❌ Trash Purge Service: Failed to purge file ${file._id}:`, error);
+                }
+            }
+
+            if (expired.length > 0) {
+                console.log(`🗑️  Trash Purge Service: purged ${expired.length} files`);
+            }
+        } catch (error) {
+            console.error('❌ Trash Purge Service: Error purging trash:', error);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Stop the purge schedule
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            console.log('⏹️  Trash Purge Service stopped');
+        }
+    }
+}
+
+export default TrashPurgeService;
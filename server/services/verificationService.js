@@ -0,0 +1,219 @@
+import crypto from 'crypto';
+import {
+    ListPartsCommand,
+    HeadObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+} from '@aws-sdk/client-s3';
+import { s3Client, S3_CONFIG } from '../config/s3.js';
+
+/**
+ * ETags are handled without the surrounding quotes S3 adds
+ */
+const normalizeEtag = (etag) => (etag || '').replace(/"/g, '');
+
+/**
+ * List the parts S3 holds for a file's in-progress multipart upload
+ * (ListParts returns at most 1000 parts per page), with their SHA-256
+ * checksums when the upload was created with them
+ */
+export const listUploadedParts = async (file) => {
+    const parts = [];
+    let partNumberMarker;
+
+    do {
+        const listCommand = new ListPartsCommand({
+            Bucket: S3_CONFIG.BUCKET_NAME,
+            Key: file.s3Key,
+            UploadId: file.uploadId,
+            PartNumberMarker: partNumberMarker,
+        });
+        const response = await s3Client.send(listCommand);
+
+        (response.Parts || []).forEach(part => parts.push({
+            partNumber: part.PartNumber,
+            etag: normalizeEtag(part.ETag),
+            size: part.Size,
+            checksum: part.ChecksumSHA256,
+        }));
+        partNumberMarker = response.IsTruncated ? response.NextPartNumberMarker : undefined;
+    } while (partNumberMarker);
+
+    return parts;
+};
+
+/**
+ * Match the parts a client reports against the parts S3 actually holds.
+ * Returns the S3 parts in order (with the client's fingerprints), or null
+ * when the client's list doesn't describe exactly the uploaded parts.
+ */
+export const matchUploadedParts = (clientParts, uploadedParts) => {
+    if (clientParts.length !== uploadedParts.length) {
+        return null;
+    }
+
+    const byNumber = new Map(clientParts.map(part => [part.partNumber, part]));
+    const matched = [];
+
+    for (const uploaded of uploadedParts) {
+        const claimed = byNumber.get(uploaded.partNumber);
+        if (!claimed || normalizeEtag(claimed.etag) !== uploaded.etag) {
+            return null;
+        }
+        matched.push({ ...uploaded, fingerprint: claimed.fingerprint });
+    }
+
+    return matched.sort((a, b) => a.partNumber - b.partNumber);
+};
+
+/**
+ * S3 checksum (base64 SHA-256) of a part with the given fingerprint (hex
+ * SHA-256). Signed into the part's upload URL, so S3 rejects a part whose
+ * content doesn't have that fingerprint.
+ */
+export const fingerprintChecksum = (fingerprint) => Buffer.from(fingerprint, 'hex').toString('base64');
+
+/**
+ * Verify the parts of an upload created with SHA-256 checksums without
+ * reading them: S3 checked each part's content against its checksum when it
+ * was uploaded, so a part whose checksum is its fingerprint holds exactly
+ * the chunk the client fingerprinted.
+ * Returns { valid, reason }.
+ */
+export const verifyPartChecksums = (parts) => {
+    const badPart = parts.find(part => (
+        !part.checksum || !part.fingerprint || part.checksum !== fingerprintChecksum(part.fingerprint)
+    ));
+
+    if (badPart) {
+        return { valid: false, reason: `part ${badPart.partNumber} checksum does not match its fingerprint` };
+    }
+    return { valid: true };
+};
+
+/**
+ * Verify the size of an assembled object (HeadObject).
+ * Returns { valid, reason } or { valid, size }.
+ */
+export const verifyStoredSize = async (s3Key, size) => {
+    const headCommand = new HeadObjectCommand({
+        Bucket: S3_CONFIG.BUCKET_NAME,
+        Key: s3Key,
+    });
+    const head = await s3Client.send(headCommand);
+
+    if (head.ContentLength !== size) {
+        return { valid: false, reason: `size is ${head.ContentLength} bytes, expected ${size}` };
+    }
+    return { valid: true, size: head.ContentLength };
+};
+
+/**
+ * SHA-256 (hex) of a stored object, streamed
+ */
+export const hashStoredObject = async (s3Key) => {
+    const response = await s3Client.send(new GetObjectCommand({
+        Bucket: S3_CONFIG.BUCKET_NAME,
+        Key: s3Key,
+    }));
+
+    const hash = crypto.createHash('sha256');
+    for await (const data of response.Body) {
+        hash.update(data);
+    }
+    return hash.digest('hex');
+};
+
+/**
+ * Verify an assembled object against what the client declared: its size
+ * (HeadObject) and a streamed SHA-256 re-hash of the whole object and of
+ * every part. Used for uploads created without part checksums; it reads
+ * the whole object.
+ *
+ * `parts` are the ordered parts with their S3 sizes and optional client
+ * fingerprints; `hash` is the optional client-declared SHA-256.
+ * Returns { valid, reason } or { valid, size, hash, fingerprints }.
+ */
+export const verifyStoredObject = async (s3Key, { size, hash, parts }) => {
+    const sizeCheck = await verifyStoredSize(s3Key, size);
+    if (!sizeCheck.valid) {
+        return sizeCheck;
+    }
+
+    const getCommand = new GetObjectCommand({
+        Bucket: S3_CONFIG.BUCKET_NAME,
+        Key: s3Key,
+    });
+    const response = await s3Client.send(getCommand);
+
+    const fileHash = crypto.createHash('sha256');
+    const fingerprints = [];
+    let partIndex = 0;
+    let partHash = crypto.createHash('sha256');
+    let partRemaining = parts[0]?.size ?? 0;
+
+    // Close every part whose bytes have all been read
+    const flushCompletedParts = () => {
+        while (partIndex < parts.length && partRemaining === 0) {
+            fingerprints.push(partHash.digest('hex'));
+            partIndex++;
+            partHash = crypto.createHash('sha256');
+            partRemaining = parts[partIndex]?.size ?? 0;
+        }
+    };
+
+    flushCompletedParts();
+
+    for await (const data of response.Body) {
+        fileHash.update(data);
+
+        let offset = 0;
+        while (offset < data.length && partIndex < parts.length) {
+            const take = Math.min(partRemaining, data.length - offset);
+            partHash.update(data.subarray(offset, offset + take));
+            offset += take;
+            partRemaining -= take;
+            flushCompletedParts();
+        }
+    }
+
+    const actualHash = fileHash.digest('hex');
+
+    if (hash && hash !== actualHash) {
+        return { valid: false, reason: 'content hash does not match' };
+    }
+
+    const badPart = parts.find((part, index) => part.fingerprint && part.fingerprint !== fingerprints[index]);
+    if (badPart) {
+        return { valid: false, reason: `part ${badPart.partNumber} fingerprint does not match` };
+    }
+
+    return {
+        valid: true,
+        size: sizeCheck.size,
+        hash: actualHash,
+        fingerprints,
+    };
+};
+
+/**
+ * Delete an assembled object that failed verification
+ */
+export const discardStoredObject = async (s3Key) => {
+    const deleteCommand = new DeleteObjectCommand({
+        Bucket: S3_CONFIG.BUCKET_NAME,
+        Key: s3Key,
+    });
+    await s3Client.send(deleteCommand);
+};
+
+export default {
+    listUploadedParts,
+    matchUploadedParts,
+    fingerprintChecksum,
+    verifyPartChecksums,
+    verifyStoredSize,
+    hashStoredObject,
+    verifyStoredObject,
+    discardStoredObject,
+};
@@ -0,0 +1,16 @@
+/**
+ * Content-Disposition header for serving a file under its current name.
+ * Names are user-provided, so quotes and non-ASCII characters are replaced
+ * in the plain `filename` and the exact name goes in `filename*` (RFC 6266).
+ */
+export const contentDisposition = (filename, type = 'attachment') => {
+    const fallback = String(filename)
+        .replace(/[^\x20-\x7e]/g, '_')
+        .replace(/["\\]/g, '_');
+    const encoded = encodeURIComponent(filename)
+        .replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+    return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+export default contentDisposition;
@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+
+/**
+ * Keyset (cursor) pagination helpers
+ *
+ * Lists are sorted by one field plus _id as a tie-breaker. A cursor holds
+ * the sort value and _id of the last item of a page, and the next page
+ * starts right after it, so documents inserted or removed meanwhile don't
+ * shift pages the way skip/limit does.
+ */
+
+/**
+ * Opaque cursor pointing after a document
+ */
+export const encodeCursor = (doc, field) => {
+    const value = doc[field];
+
+    return Buffer.from(JSON.stringify({
+        v: value instanceof Date ? value.toISOString() : value,
+        id: doc._id.toString(),
+    })).toString('base64url');
+};
+
+/**
+ * ISO 8601 date-time, as encodeCursor writes dates
+ */
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+/**
+ * Whether a cursor value has the `type` ('string', 'number' or 'date') of
+ * the sort field, so it can only be compared, never act as a query operator.
+ * Documents without the field have a null value.
+ */
+const isCursorValue = (v, type) => {
+    if (v === null) {
+        return true;
+    }
+    switch (type) {
+        case 'number':
+            return typeof v === 'number' && Number.isFinite(v);
+        case 'date':
+            return typeof v === 'string' && ISO_DATE.test(v) && !isNaN(new Date(v).getTime());
+        default:
+            return typeof v === 'string';
+    }
+};
+
+/**
+ * Decode a cursor made by encodeCursor for a sort field of `type` ('string',
+ * 'number' or 'date': dates are restored). Returns null when it isn't a
+ * valid cursor.
+ */
+export const decodeCursor = (cursor, { type = 'string' } = {}) => {
+    try {
+        const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+
+        if (typeof id !== 'string' || !mongoose.isValidObjectId(id) || !isCursorValue(v, type)) {
+            return null;
+        }
+
+        const value = type === 'date' && v !== null ? new Date(v) : v;
+        return { value, id: new mongoose.Types.ObjectId(id) };
+    } catch (error) {
+        return null; // Not a cursor we made
+    }
+};
+
+/**
+ * Query condition selecting the documents after a cursor, for a sort on
+ * `field` (order 1 or -1) with _id as tie-breaker
+ */
+export const afterCursorCondition = (field, order, { value, id }) => {
+    const beyond = order === 1 ? '$gt' : '$lt';
+
+    return {
+        $or: [
+            { [field]: { [beyond]: value } },
+            { [field]: value, _id: { [beyond]: id } },
+        ],
+    };
+};
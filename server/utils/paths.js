@@ -0,0 +1,68 @@
+/**
+ * Folder path helpers
+ * Paths are stored in the canonical "/a/b" form, with "/" as the root
+ */
+
+/**
+ * Normalize a path: collapse slashes, trim segments and drop "." / ".."
+ */
+export const normalizePath = (path = '/') => {
+    const segments = String(path)
+        .split('/')
+        .map(segment => segment.trim())
+        .filter(segment => segment && segment !== '.' && segment !== '..');
+
+    return '/' + segments.join('/');
+};
+
+/**
+ * Join a parent path and a child name
+ */
+export const joinPath = (parent, name) => normalizePath(`${parent}/${name}`);
+
+/**
+ * Get the parent of a path ("/" for top-level entries)
+ */
+export const getParentPath = (path) => {
+    const normalized = normalizePath(path);
+    return normalizePath(normalized.slice(0, normalized.lastIndexOf('/')));
+};
+
+/**
+ * Check that a name can be used as a single path segment (also in ZIP
+ * archives, where extractors may take a backslash as a separator)
+ */
+export const isValidName = (name) => {
+    if (typeof name !== 'string') return false;
+
+    const trimmed = name.trim();
+    return trimmed.length > 0 && trimmed !== '.' && trimmed !== '..' && !/[/\\]/.test(trimmed);
+};
+
+/**
+ * Check whether a path is the same as, or nested below, another path
+ */
+export const isWithinPath = (path, ancestor) => {
+    const normalized = normalizePath(path);
+    const base = normalizePath(ancestor);
+
+    return base === '/' || normalized === base || normalized.startsWith(`${base}/`);
+};
+
+/**
+ * Escape a string for use inside a RegExp
+ */
+export const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Mongo condition matching a path and every path below it
+ */
+export const subtreeCondition = (path) => {
+    const normalized = normalizePath(path);
+
+    if (normalized === '/') {
+        return { $regex: '^/' };
+    }
+
+    return { $regex: `^${escapeRegex(normalized)}(/|$)` };
+};